@@ -0,0 +1,67 @@
+CREATE TABLE IF NOT EXISTS shops (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bakery_items (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT '',
+  unit TEXT NOT NULL DEFAULT 'Stk',
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bakery_item_shop_settings (
+  id SERIAL PRIMARY KEY,
+  item_id INTEGER NOT NULL REFERENCES bakery_items(id) ON DELETE CASCADE,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  soll_bestand NUMERIC(10,2) NOT NULL DEFAULT 0,
+  active_for_shop BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (item_id, shop_id)
+);
+
+CREATE TABLE IF NOT EXISTS bakery_orders (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE RESTRICT,
+  order_date DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'ENTWURF',
+  note TEXT NOT NULL DEFAULT '',
+  submitted_at TIMESTAMPTZ NULL,
+  created_by TEXT NOT NULL DEFAULT '',
+  updated_by TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT bakery_orders_status_check CHECK (status IN ('ENTWURF', 'ABGEGEBEN'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bakery_orders_shop_date_unique
+ON bakery_orders (shop_id, order_date);
+
+CREATE TABLE IF NOT EXISTS bakery_order_lines (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES bakery_orders(id) ON DELETE CASCADE,
+  item_id INTEGER NOT NULL REFERENCES bakery_items(id) ON DELETE RESTRICT,
+  item_name_snapshot TEXT NOT NULL,
+  category_snapshot TEXT NOT NULL DEFAULT '',
+  unit_snapshot TEXT NOT NULL DEFAULT 'Stk',
+  ist_bestand NUMERIC(10,2) NOT NULL DEFAULT 0,
+  soll_snapshot NUMERIC(10,2) NOT NULL DEFAULT 0,
+  suggested_qty NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ordered_qty NUMERIC(10,2) NOT NULL DEFAULT 0,
+  manual_override BOOLEAN NOT NULL DEFAULT FALSE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (order_id, item_id)
+);
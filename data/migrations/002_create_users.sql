@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL DEFAULT '',
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'SHOP',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT users_role_check CHECK (role IN ('ADMIN', 'PRODUKTION', 'SHOP'))
+);
+
+CREATE TABLE IF NOT EXISTS user_shops (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  PRIMARY KEY (user_id, shop_id)
+);
@@ -0,0 +1,7 @@
+ALTER TABLE shops
+  ADD COLUMN IF NOT EXISTS order_cutoff_time TIME NULL,
+  ADD COLUMN IF NOT EXISTS order_cutoff_days_before INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS cutoff_action TEXT NOT NULL DEFAULT 'SUBMIT',
+  ADD COLUMN IF NOT EXISTS suggestion_mode TEXT NOT NULL DEFAULT 'SOLL',
+  ADD COLUMN IF NOT EXISTS forecast_weeks INTEGER NOT NULL DEFAULT 4,
+  ADD COLUMN IF NOT EXISTS forecast_safety_factor NUMERIC(5,2) NOT NULL DEFAULT 1.10;
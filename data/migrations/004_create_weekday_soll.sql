@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS bakery_item_shop_weekday_soll (
+  item_id INTEGER NOT NULL,
+  shop_id INTEGER NOT NULL,
+  weekday SMALLINT NOT NULL,
+  soll_bestand NUMERIC(10,2) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (item_id, shop_id, weekday),
+  FOREIGN KEY (item_id, shop_id)
+    REFERENCES bakery_item_shop_settings (item_id, shop_id) ON DELETE CASCADE,
+  CONSTRAINT bakery_item_shop_weekday_soll_weekday_check CHECK (weekday BETWEEN 1 AND 7)
+);
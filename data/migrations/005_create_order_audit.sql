@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS bakery_order_audit (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES bakery_orders(id) ON DELETE CASCADE,
+  action TEXT NOT NULL,
+  changed_by TEXT NOT NULL DEFAULT '',
+  status_before TEXT NULL,
+  status_after TEXT NULL,
+  note_before TEXT NULL,
+  note_after TEXT NULL,
+  line_changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS bakery_order_audit_order_idx
+ON bakery_order_audit (order_id, created_at);
@@ -0,0 +1,5 @@
+ALTER TABLE bakery_orders
+DROP CONSTRAINT IF EXISTS bakery_orders_status_check;
+
+ALTER TABLE bakery_orders
+ADD CONSTRAINT bakery_orders_status_check CHECK (status IN ('ENTWURF', 'ABGEGEBEN', 'BESTÄTIGT', 'IN_PRODUKTION', 'GELIEFERT', 'STORNIERT'));
@@ -0,0 +1,9 @@
+ALTER TABLE bakery_order_lines
+  ADD COLUMN IF NOT EXISTS suggestion_basis TEXT NOT NULL DEFAULT 'SOLL',
+  ADD COLUMN IF NOT EXISTS forecast_qty NUMERIC(10,2) NULL,
+  ADD COLUMN IF NOT EXISTS received_qty NUMERIC(10,2) NULL;
+
+ALTER TABLE bakery_orders
+  ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS received_by TEXT NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS receipt_note TEXT NOT NULL DEFAULT '';
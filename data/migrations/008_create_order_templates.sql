@@ -0,0 +1,24 @@
+CREATE TABLE IF NOT EXISTS bakery_order_templates (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  weekday INTEGER NULL,
+  created_by TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT bakery_order_templates_weekday_check CHECK (weekday IS NULL OR weekday BETWEEN 1 AND 7)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bakery_order_templates_shop_name_unique
+ON bakery_order_templates (shop_id, LOWER(name));
+
+CREATE UNIQUE INDEX IF NOT EXISTS bakery_order_templates_shop_weekday_unique
+ON bakery_order_templates (shop_id, weekday)
+WHERE weekday IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS bakery_order_template_lines (
+  template_id INTEGER NOT NULL REFERENCES bakery_order_templates(id) ON DELETE CASCADE,
+  item_id INTEGER NOT NULL REFERENCES bakery_items(id) ON DELETE CASCADE,
+  ordered_qty NUMERIC(10,2) NOT NULL DEFAULT 0,
+  PRIMARY KEY (template_id, item_id)
+);
@@ -0,0 +1,39 @@
+CREATE TABLE IF NOT EXISTS bakery_suppliers (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  contact TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bakery_suppliers_name_unique
+ON bakery_suppliers (LOWER(name));
+
+CREATE TABLE IF NOT EXISTS bakery_ingredients (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  unit TEXT NOT NULL DEFAULT 'kg',
+  supplier_id INTEGER NULL REFERENCES bakery_suppliers(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bakery_ingredients_name_unique
+ON bakery_ingredients (LOWER(name));
+
+CREATE TABLE IF NOT EXISTS bakery_item_recipes (
+  item_id INTEGER PRIMARY KEY REFERENCES bakery_items(id) ON DELETE CASCADE,
+  yield_qty NUMERIC(12,3) NOT NULL DEFAULT 1,
+  note TEXT NOT NULL DEFAULT '',
+  updated_by TEXT NOT NULL DEFAULT '',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT bakery_item_recipes_yield_check CHECK (yield_qty > 0)
+);
+
+CREATE TABLE IF NOT EXISTS bakery_recipe_ingredients (
+  item_id INTEGER NOT NULL REFERENCES bakery_item_recipes(item_id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES bakery_ingredients(id) ON DELETE RESTRICT,
+  quantity NUMERIC(12,4) NOT NULL,
+  PRIMARY KEY (item_id, ingredient_id),
+  CONSTRAINT bakery_recipe_ingredients_quantity_check CHECK (quantity > 0)
+);
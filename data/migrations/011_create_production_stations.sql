@@ -0,0 +1,16 @@
+CREATE TABLE IF NOT EXISTS bakery_production_stations (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  start_time TIME NULL,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bakery_production_stations_name_unique
+ON bakery_production_stations (LOWER(name));
+
+ALTER TABLE bakery_items
+  ADD COLUMN IF NOT EXISTS station_id INTEGER NULL REFERENCES bakery_production_stations(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS bake_slot TIME NULL,
+  ADD COLUMN IF NOT EXISTS batch_size NUMERIC(12,3) NOT NULL DEFAULT 1;
@@ -0,0 +1,19 @@
+CREATE TABLE IF NOT EXISTS bakery_item_prices (
+  id SERIAL PRIMARY KEY,
+  item_id INTEGER NOT NULL REFERENCES bakery_items(id) ON DELETE CASCADE,
+  shop_id INTEGER NULL REFERENCES shops(id) ON DELETE CASCADE,
+  price NUMERIC(12,2) NOT NULL,
+  valid_from DATE NOT NULL,
+  valid_to DATE NULL,
+  created_by TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT bakery_item_prices_price_check CHECK (price >= 0),
+  CONSTRAINT bakery_item_prices_validity_check CHECK (valid_to IS NULL OR valid_to >= valid_from)
+);
+
+CREATE INDEX IF NOT EXISTS bakery_item_prices_lookup_idx
+ON bakery_item_prices (item_id, shop_id, valid_from);
+
+ALTER TABLE bakery_order_lines
+  ADD COLUMN IF NOT EXISTS unit_price_snapshot NUMERIC(12,2) NULL,
+  ADD COLUMN IF NOT EXISTS line_value_snapshot NUMERIC(12,2) NULL;
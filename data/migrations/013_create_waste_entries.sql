@@ -0,0 +1,16 @@
+CREATE TABLE IF NOT EXISTS bakery_waste_entries (
+  id SERIAL PRIMARY KEY,
+  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  item_id INTEGER NOT NULL REFERENCES bakery_items(id) ON DELETE CASCADE,
+  waste_date DATE NOT NULL,
+  quantity NUMERIC(10,2) NOT NULL DEFAULT 0,
+  reason TEXT NOT NULL DEFAULT '',
+  recorded_by TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (shop_id, item_id, waste_date),
+  CONSTRAINT bakery_waste_entries_quantity_check CHECK (quantity >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS bakery_waste_entries_date_idx
+ON bakery_waste_entries (waste_date, shop_id);
@@ -0,0 +1,3 @@
+ALTER TABLE bakery_items
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS archived_by TEXT NOT NULL DEFAULT '';
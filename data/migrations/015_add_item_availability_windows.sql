@@ -0,0 +1,8 @@
+ALTER TABLE bakery_item_shop_settings
+  ADD COLUMN IF NOT EXISTS available_from DATE NULL,
+  ADD COLUMN IF NOT EXISTS available_to DATE NULL,
+  ADD COLUMN IF NOT EXISTS available_weekdays SMALLINT[] NULL;
+
+ALTER TABLE bakery_item_shop_settings
+  ADD CONSTRAINT bakery_item_shop_settings_availability_check
+  CHECK (available_from IS NULL OR available_to IS NULL OR available_to >= available_from);
@@ -0,0 +1,9 @@
+ALTER TABLE bakery_items
+  ADD COLUMN IF NOT EXISTS pack_size NUMERIC(12,3) NULL,
+  ADD COLUMN IF NOT EXISTS min_order_qty NUMERIC(12,3) NULL,
+  ADD COLUMN IF NOT EXISTS rounding_mode TEXT NOT NULL DEFAULT 'UP';
+
+ALTER TABLE bakery_items
+  ADD CONSTRAINT bakery_items_pack_size_check CHECK (pack_size IS NULL OR pack_size > 0),
+  ADD CONSTRAINT bakery_items_min_order_qty_check CHECK (min_order_qty IS NULL OR min_order_qty >= 0),
+  ADD CONSTRAINT bakery_items_rounding_mode_check CHECK (rounding_mode IN ('UP', 'NEAREST'));
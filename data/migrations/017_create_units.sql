@@ -0,0 +1,53 @@
+CREATE TABLE IF NOT EXISTS bakery_units (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL DEFAULT '',
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT bakery_units_code_check CHECK (BTRIM(code) <> '')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bakery_units_code_lower_idx
+ON bakery_units (LOWER(code));
+
+INSERT INTO bakery_units (code, name, sort_order)
+VALUES
+  ('Stk', 'Stück', 10),
+  ('Blech', 'Blech', 20),
+  ('kg', 'Kilogramm', 30),
+  ('Laib', 'Laib', 40),
+  ('Kiste', 'Kiste', 50)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO bakery_units (code, name, sort_order)
+SELECT DISTINCT ON (LOWER(BTRIM(unit))) BTRIM(unit), BTRIM(unit), 100
+FROM bakery_items
+WHERE BTRIM(unit) <> ''
+ORDER BY LOWER(BTRIM(unit)), BTRIM(unit)
+ON CONFLICT DO NOTHING;
+
+UPDATE bakery_items i
+SET unit = COALESCE(
+  (SELECT u.code FROM bakery_units u WHERE LOWER(u.code) = LOWER(BTRIM(i.unit))),
+  'Stk'
+)
+WHERE i.unit IS DISTINCT FROM (SELECT u.code FROM bakery_units u WHERE LOWER(u.code) = LOWER(BTRIM(i.unit)));
+
+ALTER TABLE bakery_items
+  ADD COLUMN IF NOT EXISTS production_unit TEXT NULL,
+  ADD COLUMN IF NOT EXISTS production_unit_factor NUMERIC(12,4) NOT NULL DEFAULT 1;
+
+ALTER TABLE bakery_items
+  ADD CONSTRAINT bakery_items_unit_fkey
+    FOREIGN KEY (unit) REFERENCES bakery_units(code) ON UPDATE CASCADE,
+  ADD CONSTRAINT bakery_items_production_unit_fkey
+    FOREIGN KEY (production_unit) REFERENCES bakery_units(code) ON UPDATE CASCADE,
+  ADD CONSTRAINT bakery_items_production_unit_factor_check CHECK (production_unit_factor > 0);
+
+ALTER TABLE bakery_order_lines
+  ADD COLUMN IF NOT EXISTS production_unit_snapshot TEXT NULL,
+  ADD COLUMN IF NOT EXISTS production_factor_snapshot NUMERIC(12,4) NOT NULL DEFAULT 1;
+
+UPDATE bakery_order_lines
+SET production_unit_snapshot = unit_snapshot
+WHERE production_unit_snapshot IS NULL;
@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const MIGRATION_LOCK_KEY = 73110021;
+
+function listMigrationFiles(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      return {
+        version: Number(match[1]),
+        name: file.replace(/\.sql$/, ''),
+        file: path.join(dir, file),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let index = 1; index < migrations.length; index += 1) {
+    if (migrations[index].version === migrations[index - 1].version) {
+      throw new Error(
+        `Duplicate migration version ${migrations[index].version}: ${migrations[index - 1].name}, ${migrations[index].name}`
+      );
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function listAppliedMigrations(db) {
+  const { rows: tableRows } = await db.query(
+    `SELECT to_regclass('schema_migrations') IS NOT NULL AS "exists";`
+  );
+  if (!tableRows[0]?.exists) return [];
+
+  const { rows } = await db.query(`
+    SELECT
+      version,
+      name,
+      applied_at AS "appliedAt"
+    FROM schema_migrations
+    ORDER BY version ASC;
+  `);
+
+  return rows;
+}
+
+async function getMigrationStatus(db) {
+  const applied = await listAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+
+  return listMigrationFiles().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: appliedByVersion.get(migration.version)?.appliedAt || null,
+  }));
+}
+
+async function listPendingMigrations(db) {
+  const status = await getMigrationStatus(db);
+  return status.filter((migration) => !migration.appliedAt);
+}
+
+async function runPendingMigrations(pool, { onApplied = () => {} } = {}) {
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1);', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationTable(client);
+
+    const appliedVersions = new Set(
+      (await listAppliedMigrations(client)).map((row) => row.version)
+    );
+
+    for (const migration of listMigrationFiles()) {
+      if (appliedVersions.has(migration.version)) continue;
+
+      const sql = fs.readFileSync(migration.file, 'utf8');
+
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2);',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+
+      applied.push(migration);
+      onApplied(migration);
+    }
+
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1);', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrationFiles,
+  getMigrationStatus,
+  listPendingMigrations,
+  runPendingMigrations,
+};
@@ -1,6 +1,8 @@
 'use strict';
 
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const migrator = require('./migrator');
 
 const connectionString = process.env.DATABASE_URL;
 if (!connectionString) {
@@ -17,14 +19,126 @@ const pool = new Pool({
 const ORDER_STATUS = {
   DRAFT: 'ENTWURF',
   SUBMITTED: 'ABGEGEBEN',
+  CONFIRMED: 'BESTÄTIGT',
+  IN_PRODUCTION: 'IN_PRODUKTION',
+  DELIVERED: 'GELIEFERT',
+  CANCELLED: 'STORNIERT',
 };
 
 const ORDER_STATUS_VALUES = Object.values(ORDER_STATUS);
 
+const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.DRAFT]: [ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SUBMITTED]: [ORDER_STATUS.DRAFT, ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.DRAFT, ORDER_STATUS.IN_PRODUCTION, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.IN_PRODUCTION]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.DRAFT],
+};
+
+const PRODUCTION_ORDER_STATUSES = [
+  ORDER_STATUS.SUBMITTED,
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.IN_PRODUCTION,
+  ORDER_STATUS.DELIVERED,
+];
+
+const USER_ROLES = {
+  ADMIN: 'ADMIN',
+  PRODUCTION: 'PRODUKTION',
+  SHOP: 'SHOP',
+};
+
+const USER_ROLE_VALUES = Object.values(USER_ROLES);
+
+const CUTOFF_ACTIONS = {
+  SUBMIT: 'SUBMIT',
+  LOCK: 'LOCK',
+};
+
+const BAKERY_TIMEZONE = process.env.BAKERY_TIMEZONE || 'Europe/Berlin';
+
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+const SUGGESTION_MODES = {
+  SOLL: 'SOLL',
+  FORECAST: 'PROGNOSE',
+};
+
+const ROUNDING_MODES = {
+  UP: 'UP',
+  NEAREST: 'NEAREST',
+};
+
+const ORDER_AUDIT_ACTIONS = {
+  SAVE: 'SAVE',
+  AUTOSAVE: 'AUTOSAVE',
+  SUBMIT: 'SUBMIT',
+  AUTO_SUBMIT: 'AUTO_SUBMIT',
+  REOPEN: 'REOPEN',
+  STATUS_CHANGE: 'STATUS_CHANGE',
+  RECEIPT: 'RECEIPT',
+  ITEM_MERGE: 'ITEM_MERGE',
+};
+
+const RECEIVABLE_ORDER_STATUSES = [
+  ORDER_STATUS.IN_PRODUCTION,
+  ORDER_STATUS.DELIVERED,
+];
+
+const ITEM_IMPORT_ACTIONS = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  UNCHANGED: 'UNCHANGED',
+  ERROR: 'ERROR',
+};
+
+const ITEM_IMPORT_COLUMNS = {
+  code: 'code',
+  artikelcode: 'code',
+  name: 'name',
+  artikel: 'name',
+  artikelname: 'name',
+  kategorie: 'category',
+  einheit: 'unit',
+  sortierung: 'sortOrder',
+  aktiv: 'active',
+};
+
+const SHOP_COLUMNS = `
+  id,
+  code,
+  name,
+  active,
+  sort_order AS "sortOrder",
+  TO_CHAR(order_cutoff_time, 'HH24:MI') AS "orderCutoffTime",
+  order_cutoff_days_before AS "orderCutoffDaysBefore",
+  cutoff_action AS "cutoffAction",
+  suggestion_mode AS "suggestionMode",
+  forecast_weeks AS "forecastWeeks",
+  forecast_safety_factor AS "forecastSafetyFactor"
+`;
+
+const ITEM_PRICE_LATERAL = `
+  LEFT JOIN LATERAL (
+    SELECT p.price
+    FROM bakery_item_prices p
+    WHERE p.item_id = l.item_id
+      AND (p.shop_id = o.shop_id OR p.shop_id IS NULL)
+      AND p.valid_from <= o.order_date
+      AND (p.valid_to IS NULL OR p.valid_to >= o.order_date)
+    ORDER BY p.shop_id IS NULL ASC, p.valid_from DESC, p.id DESC
+    LIMIT 1
+  ) price ON TRUE
+`;
+
+const LINE_UNIT_PRICE_SQL = 'COALESCE(l.unit_price_snapshot, price.price)';
+const LINE_VALUE_SQL = 'COALESCE(l.line_value_snapshot, ROUND(l.ordered_qty * price.price, 2))';
+
 function normalizeDateInput(value = new Date()) {
   const d = value instanceof Date ? value : new Date(value);
   if (Number.isNaN(d.getTime())) {
-    throw new Error('Invalid date');
+    throw createStoreError('Invalid date', 'INVALID_DATE');
   }
   return d.toISOString().slice(0, 10);
 }
@@ -38,6 +152,14 @@ function clampNonNegative(value) {
   return Math.max(0, toNumber(value, 0));
 }
 
+function createStoreError(message, code, status = 400, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
 function slugify(text = '') {
   return String(text)
     .trim()
@@ -56,8 +178,235 @@ function buildItemCode(name) {
   return base;
 }
 
-function calcSuggestedQty(soll, ist) {
-  return Math.max(clampNonNegative(soll) - clampNonNegative(ist), 0);
+function calcSuggestedQty(soll, ist, rules = null) {
+  return applyOrderRules(Math.max(clampNonNegative(soll) - clampNonNegative(ist), 0), rules);
+}
+
+function roundQty(value) {
+  return Math.round(toNumber(value, 0) * 100) / 100;
+}
+
+function normalizeOrderRules(rules = {}) {
+  const packSize = toNumber(rules?.packSize, 0);
+  const minOrderQty = toNumber(rules?.minOrderQty, 0);
+
+  return {
+    packSize: packSize > 0 ? packSize : null,
+    minOrderQty: minOrderQty > 0 ? minOrderQty : null,
+    roundingMode: rules?.roundingMode === ROUNDING_MODES.NEAREST ? ROUNDING_MODES.NEAREST : ROUNDING_MODES.UP,
+  };
+}
+
+function applyOrderRules(qty, rules = null) {
+  const { packSize, minOrderQty, roundingMode } = normalizeOrderRules(rules);
+  let result = clampNonNegative(qty);
+  if (result <= 0) return 0;
+
+  if (packSize) {
+    const packs = result / packSize;
+    result = (roundingMode === ROUNDING_MODES.NEAREST ? Math.round(packs) : Math.ceil(packs - 1e-9)) * packSize;
+    if (result <= 0) return 0;
+  }
+
+  if (minOrderQty && result < minOrderQty) {
+    result = packSize ? Math.ceil(minOrderQty / packSize - 1e-9) * packSize : minOrderQty;
+  }
+
+  return roundQty(result);
+}
+
+function getOrderRuleViolation(qty, rules = null) {
+  const { packSize, minOrderQty } = normalizeOrderRules(rules);
+  const finalQty = clampNonNegative(qty);
+  if (finalQty <= 0) return null;
+
+  if (minOrderQty && finalQty < minOrderQty) {
+    return 'BELOW_MINIMUM';
+  }
+
+  if (packSize && Math.abs(finalQty / packSize - Math.round(finalQty / packSize)) > 1e-6) {
+    return 'NOT_PACK_MULTIPLE';
+  }
+
+  return null;
+}
+
+function convertToProductionQty(qty, factor = 1) {
+  const finalFactor = toNumber(factor, 1) > 0 ? toNumber(factor, 1) : 1;
+  return Math.round((toNumber(qty, 0) / finalFactor) * 1000) / 1000;
+}
+
+function resolveSuggestionTarget(shop, sollBestand, forecast) {
+  if (shop?.suggestionMode === SUGGESTION_MODES.FORECAST && forecast) {
+    return { suggestionBasis: SUGGESTION_MODES.FORECAST, targetQty: forecast.forecastQty };
+  }
+
+  return { suggestionBasis: SUGGESTION_MODES.SOLL, targetQty: toNumber(sollBestand, 0) };
+}
+
+function getIsoWeekday(dateInput) {
+  const day = new Date(`${normalizeDateInput(dateInput)}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+}
+
+function mapWeekdaySoll(value) {
+  const source = value || {};
+
+  return WEEKDAYS.map((weekday) => {
+    const raw = source[weekday] ?? source[String(weekday)];
+    return raw == null ? null : toNumber(raw, 0);
+  });
+}
+
+function normalizeWeekdaySoll(values) {
+  if (!Array.isArray(values)) return null;
+
+  return WEEKDAYS.map((weekday, index) => {
+    const raw = values[index];
+    if (raw == null || String(raw).trim() === '') return null;
+    return clampNonNegative(raw);
+  });
+}
+
+function normalizeAvailableWeekdays(values) {
+  if (!Array.isArray(values)) return null;
+
+  const weekdays = [...new Set(values.map((value) => toNumber(value, 0)))]
+    .filter((weekday) => WEEKDAYS.includes(weekday))
+    .sort((a, b) => a - b);
+
+  return weekdays.length && weekdays.length < WEEKDAYS.length ? weekdays : null;
+}
+
+function normalizeAvailability({ availableFrom = null, availableTo = null, availableWeekdays = null } = {}) {
+  const from = availableFrom ? normalizeDateInput(availableFrom) : null;
+  const to = availableTo ? normalizeDateInput(availableTo) : null;
+
+  if (from && to && to < from) {
+    throw createStoreError('Availability end must not be before its start', 'INVALID_AVAILABILITY', 400, {
+      availableFrom: from,
+      availableTo: to,
+    });
+  }
+
+  return {
+    availableFrom: from,
+    availableTo: to,
+    availableWeekdays: normalizeAvailableWeekdays(availableWeekdays),
+  };
+}
+
+function isAvailableOn(setting, dateInput) {
+  const finalDate = normalizeDateInput(dateInput);
+
+  return (!setting.availableFrom || setting.availableFrom <= finalDate)
+    && (!setting.availableTo || setting.availableTo >= finalDate)
+    && (!setting.availableWeekdays || setting.availableWeekdays.includes(getIsoWeekday(finalDate)));
+}
+
+function itemAvailabilitySql(dateParam) {
+  return `
+      (iss.available_from IS NULL OR iss.available_from <= ${dateParam}::date)
+      AND (iss.available_to IS NULL OR iss.available_to >= ${dateParam}::date)
+      AND (
+        iss.available_weekdays IS NULL
+        OR EXTRACT(ISODOW FROM ${dateParam}::date)::smallint = ANY(iss.available_weekdays)
+      )`;
+}
+
+function getTimeZoneOffsetMs(date, timeZone = BAKERY_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  const asUtc = Date.UTC(
+    Number(values.year),
+    Number(values.month) - 1,
+    Number(values.day),
+    Number(values.hour),
+    Number(values.minute),
+    Number(values.second)
+  );
+
+  return asUtc - date.getTime();
+}
+
+function localDateInput(value = new Date(), timeZone = BAKERY_TIMEZONE) {
+  const d = value instanceof Date ? value : new Date(value);
+  return new Date(d.getTime() + getTimeZoneOffsetMs(d, timeZone)).toISOString().slice(0, 10);
+}
+
+function addDaysToDateInput(dateInput, days) {
+  const d = new Date(`${normalizeDateInput(dateInput)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function zonedTimeToUtc(dateInput, timeInput, timeZone = BAKERY_TIMEZONE) {
+  const [year, month, day] = normalizeDateInput(dateInput).split('-').map(Number);
+  const [hours, minutes] = String(timeInput).split(':').map(Number);
+  const guess = new Date(Date.UTC(year, month - 1, day, hours || 0, minutes || 0));
+  const offset = getTimeZoneOffsetMs(guess, timeZone);
+  return new Date(guess.getTime() - offset);
+}
+
+function normalizeCutoffTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function getOrderCutoffState(shop, orderDate, now = new Date()) {
+  const finalDate = normalizeDateInput(orderDate);
+  const cutoffTime = normalizeCutoffTime(shop?.orderCutoffTime);
+  const cutoffAt = cutoffTime
+    ? zonedTimeToUtc(
+        addDaysToDateInput(finalDate, -Math.max(0, toNumber(shop.orderCutoffDaysBefore, 1))),
+        cutoffTime
+      )
+    : null;
+
+  let reason = null;
+  if (finalDate < localDateInput(now)) {
+    reason = 'PAST_DATE';
+  } else if (cutoffAt && now.getTime() >= cutoffAt.getTime()) {
+    reason = 'CUTOFF';
+  }
+
+  return {
+    locked: !!reason,
+    reason,
+    cutoffAt: cutoffAt ? cutoffAt.toISOString() : null,
+    cutoffAction: shop?.cutoffAction || CUTOFF_ACTIONS.SUBMIT,
+  };
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, storedHash = '') {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
 }
 
 async function query(text, params = []) {
@@ -80,87 +429,18 @@ async function withTransaction(fn) {
 }
 
 async function init() {
-  await query(`
-    CREATE TABLE IF NOT EXISTS shops (
-      id SERIAL PRIMARY KEY,
-      code TEXT NOT NULL UNIQUE,
-      name TEXT NOT NULL,
-      active BOOLEAN NOT NULL DEFAULT TRUE,
-      sort_order INTEGER NOT NULL DEFAULT 0,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS bakery_items (
-      id SERIAL PRIMARY KEY,
-      code TEXT NOT NULL UNIQUE,
-      name TEXT NOT NULL,
-      category TEXT NOT NULL DEFAULT '',
-      unit TEXT NOT NULL DEFAULT 'Stk',
-      sort_order INTEGER NOT NULL DEFAULT 0,
-      active BOOLEAN NOT NULL DEFAULT TRUE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS bakery_item_shop_settings (
-      id SERIAL PRIMARY KEY,
-      item_id INTEGER NOT NULL REFERENCES bakery_items(id) ON DELETE CASCADE,
-      shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
-      soll_bestand NUMERIC(10,2) NOT NULL DEFAULT 0,
-      active_for_shop BOOLEAN NOT NULL DEFAULT TRUE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (item_id, shop_id)
-    );
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS bakery_orders (
-      id SERIAL PRIMARY KEY,
-      shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE RESTRICT,
-      order_date DATE NOT NULL,
-      status TEXT NOT NULL DEFAULT 'ENTWURF',
-      note TEXT NOT NULL DEFAULT '',
-      submitted_at TIMESTAMPTZ NULL,
-      created_by TEXT NOT NULL DEFAULT '',
-      updated_by TEXT NOT NULL DEFAULT '',
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      CONSTRAINT bakery_orders_status_check CHECK (status IN ('ENTWURF', 'ABGEGEBEN'))
-    );
-  `);
-
-  await query(`
-    CREATE UNIQUE INDEX IF NOT EXISTS bakery_orders_shop_date_unique
-    ON bakery_orders (shop_id, order_date);
-  `);
-
-  await query(`
-    CREATE TABLE IF NOT EXISTS bakery_order_lines (
-      id SERIAL PRIMARY KEY,
-      order_id INTEGER NOT NULL REFERENCES bakery_orders(id) ON DELETE CASCADE,
-      item_id INTEGER NOT NULL REFERENCES bakery_items(id) ON DELETE RESTRICT,
-      item_name_snapshot TEXT NOT NULL,
-      category_snapshot TEXT NOT NULL DEFAULT '',
-      unit_snapshot TEXT NOT NULL DEFAULT 'Stk',
-      ist_bestand NUMERIC(10,2) NOT NULL DEFAULT 0,
-      soll_snapshot NUMERIC(10,2) NOT NULL DEFAULT 0,
-      suggested_qty NUMERIC(10,2) NOT NULL DEFAULT 0,
-      ordered_qty NUMERIC(10,2) NOT NULL DEFAULT 0,
-      manual_override BOOLEAN NOT NULL DEFAULT FALSE,
-      sort_order INTEGER NOT NULL DEFAULT 0,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (order_id, item_id)
+  const pending = await migrator.listPendingMigrations(pool);
+  if (pending.length) {
+    throw createStoreError(
+      `Database schema is not up to date: ${pending.length} pending migration(s), run "npm run migrate"`,
+      'SCHEMA_NOT_MIGRATED',
+      500,
+      { pending: pending.map((migration) => migration.name) }
     );
-  `);
+  }
 
   await seedDefaultShops();
+  await seedDefaultAdmin();
 }
 
 async function seedDefaultShops() {
@@ -175,17 +455,30 @@ async function seedDefaultShops() {
       `
       INSERT INTO shops (code, name, sort_order)
       VALUES ($1, $2, $3)
-      ON CONFLICT (code) DO UPDATE
-      SET name = EXCLUDED.name,
-          sort_order = EXCLUDED.sort_order,
-          updated_at = NOW();
+      ON CONFLICT (code) DO NOTHING;
       `,
       [shop.code, shop.name, shop.sortOrder]
     );
   }
 }
 
-async function listShops({ activeOnly = false } = {}) {
+async function seedDefaultAdmin() {
+  const email = String(process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) return;
+
+  const { rows } = await query(`SELECT 1 FROM users LIMIT 1;`);
+  if (rows[0]) return;
+
+  await createUser({
+    email,
+    name: 'Admin',
+    password,
+    role: USER_ROLES.ADMIN,
+  });
+}
+
+async function listShops({ activeOnly = false, includeStats = false } = {}) {
   const params = [];
   let where = '';
   if (activeOnly) {
@@ -196,11 +489,7 @@ async function listShops({ activeOnly = false } = {}) {
   const { rows } = await query(
     `
     SELECT
-      s.id,
-      s.code,
-      s.name,
-      s.active,
-      s.sort_order AS "sortOrder"
+      ${SHOP_COLUMNS}
     FROM shops s
     ${where}
     ORDER BY s.sort_order ASC, s.name ASC;
@@ -208,111 +497,292 @@ async function listShops({ activeOnly = false } = {}) {
     params
   );
 
-  return rows;
+  if (!includeStats || rows.length === 0) {
+    return rows.map(mapShopRow);
+  }
+
+  const stats = await query(
+    `
+    SELECT
+      s.id AS "shopId",
+      (
+        SELECT COUNT(*)::int
+        FROM bakery_item_shop_settings iss
+        INNER JOIN bakery_items i ON i.id = iss.item_id
+        WHERE iss.shop_id = s.id
+          AND iss.active_for_shop = TRUE
+          AND i.active = TRUE
+      ) AS "activeItemCount",
+      (
+        SELECT COUNT(*)::int
+        FROM bakery_orders o
+        WHERE o.shop_id = s.id
+          AND o.status = $1
+          AND o.order_date >= $2
+          AND EXISTS (
+            SELECT 1
+            FROM bakery_order_lines l
+            WHERE l.order_id = o.id AND l.ordered_qty > 0
+          )
+      ) AS "openDraftCount"
+    FROM shops s;
+    `,
+    [ORDER_STATUS.DRAFT, localDateInput()]
+  );
+
+  const statsMap = new Map(stats.rows.map((row) => [row.shopId, row]));
+
+  return rows.map((shop) => ({
+    ...mapShopRow(shop),
+    activeItemCount: toNumber(statsMap.get(shop.id)?.activeItemCount, 0),
+    openDraftCount: toNumber(statsMap.get(shop.id)?.openDraftCount, 0),
+  }));
 }
 
 async function getShopById(shopId) {
   const { rows } = await query(
     `
     SELECT
-      s.id,
-      s.code,
-      s.name,
-      s.active,
-      s.sort_order AS "sortOrder"
+      ${SHOP_COLUMNS}
     FROM shops s
     WHERE s.id = $1
     LIMIT 1;
     `,
     [shopId]
   );
-  return rows[0] || null;
+  return rows[0] ? mapShopRow(rows[0]) : null;
 }
 
 async function getShopByCode(code) {
   const { rows } = await query(
     `
     SELECT
-      s.id,
-      s.code,
-      s.name,
-      s.active,
-      s.sort_order AS "sortOrder"
+      ${SHOP_COLUMNS}
     FROM shops s
     WHERE s.code = $1
     LIMIT 1;
     `,
     [code]
   );
-  return rows[0] || null;
+  return rows[0] ? mapShopRow(rows[0]) : null;
+}
+
+function normalizeCutoffAction(action) {
+  return Object.values(CUTOFF_ACTIONS).includes(action) ? action : CUTOFF_ACTIONS.SUBMIT;
+}
+
+function normalizeSuggestionMode(mode) {
+  return Object.values(SUGGESTION_MODES).includes(mode) ? mode : SUGGESTION_MODES.SOLL;
+}
+
+function normalizeForecastWeeks(weeks) {
+  return Math.min(Math.max(Math.round(toNumber(weeks, 4)), 1), 12);
+}
+
+function normalizeSafetyFactor(factor) {
+  const value = toNumber(factor, 1);
+  return value > 0 ? Math.min(Math.round(value * 100) / 100, 9.99) : 1;
 }
 
-async function createShop({ code, name, sortOrder = 0, active = true }) {
+async function createShop({
+  code,
+  name,
+  sortOrder = 0,
+  active = true,
+  orderCutoffTime = null,
+  orderCutoffDaysBefore = 1,
+  cutoffAction = CUTOFF_ACTIONS.SUBMIT,
+  suggestionMode = SUGGESTION_MODES.SOLL,
+  forecastWeeks = 4,
+  forecastSafetyFactor = 1.1,
+}) {
   const finalCode = slugify(code || name);
   if (!finalCode) {
-    throw new Error('Shop code is required');
+    throw createStoreError('Shop code is required', 'VALIDATION_ERROR');
   }
   if (!name || !String(name).trim()) {
-    throw new Error('Shop name is required');
+    throw createStoreError('Shop name is required', 'VALIDATION_ERROR');
   }
 
-  const { rows } = await query(
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `
+      INSERT INTO shops (
+        code,
+        name,
+        sort_order,
+        active,
+        order_cutoff_time,
+        order_cutoff_days_before,
+        cutoff_action,
+        suggestion_mode,
+        forecast_weeks,
+        forecast_safety_factor
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${SHOP_COLUMNS};
+      `,
+      [
+        finalCode,
+        String(name).trim(),
+        toNumber(sortOrder, 0),
+        !!active,
+        normalizeCutoffTime(orderCutoffTime),
+        Math.max(0, toNumber(orderCutoffDaysBefore, 1)),
+        normalizeCutoffAction(cutoffAction),
+        normalizeSuggestionMode(suggestionMode),
+        normalizeForecastWeeks(forecastWeeks),
+        normalizeSafetyFactor(forecastSafetyFactor),
+      ]
+    );
+
+    await client.query(
+      `
+      INSERT INTO bakery_item_shop_settings (item_id, shop_id, soll_bestand, active_for_shop)
+      SELECT i.id, $1, 0, TRUE
+      FROM bakery_items i
+      ON CONFLICT (item_id, shop_id) DO NOTHING;
+      `,
+      [rows[0].id]
+    );
+
+    return mapShopRow(rows[0]);
+  });
+}
+
+async function countOpenDraftOrdersForShop(shopId, fromDate = localDateInput(), db = pool) {
+  const { rows } = await db.query(
     `
-    INSERT INTO shops (code, name, sort_order, active)
-    VALUES ($1, $2, $3, $4)
-    RETURNING
-      id,
-      code,
-      name,
-      active,
-      sort_order AS "sortOrder";
+    SELECT COUNT(*)::int AS "count"
+    FROM bakery_orders o
+    WHERE o.shop_id = $1
+      AND o.status = $2
+      AND o.order_date >= $3
+      AND EXISTS (
+        SELECT 1
+        FROM bakery_order_lines l
+        WHERE l.order_id = o.id AND l.ordered_qty > 0
+      );
     `,
-    [finalCode, String(name).trim(), toNumber(sortOrder, 0), !!active]
+    [shopId, ORDER_STATUS.DRAFT, normalizeDateInput(fromDate)]
   );
 
-  return rows[0];
+  return toNumber(rows[0]?.count, 0);
 }
 
-async function updateShop(shopId, { name, sortOrder, active }) {
-  const current = await getShopById(shopId);
-  if (!current) {
-    throw new Error('Shop not found');
-  }
+async function updateShop(shopId, {
+  name,
+  sortOrder,
+  active,
+  orderCutoffTime,
+  orderCutoffDaysBefore,
+  cutoffAction,
+  suggestionMode,
+  forecastWeeks,
+  forecastSafetyFactor,
+}) {
+  return withTransaction(async (client) => {
+    const locked = await client.query(
+      `
+      SELECT
+        ${SHOP_COLUMNS}
+      FROM shops s
+      WHERE s.id = $1
+      LIMIT 1
+      FOR UPDATE;
+      `,
+      [shopId]
+    );
+    if (!locked.rows[0]) {
+      throw createStoreError('Shop not found', 'SHOP_NOT_FOUND', 404);
+    }
+    const current = mapShopRow(locked.rows[0]);
+
+    if (active != null && !active && current.active) {
+      const openDraftCount = await countOpenDraftOrdersForShop(shopId, localDateInput(), client);
+      if (openDraftCount > 0) {
+        throw createStoreError(
+          'Shop has open draft orders',
+          'SHOP_HAS_OPEN_DRAFTS',
+          409,
+          { openDraftCount }
+        );
+      }
+    }
 
-  const { rows } = await query(
-    `
-    UPDATE shops
-    SET
-      name = $2,
-      sort_order = $3,
-      active = $4,
-      updated_at = NOW()
-    WHERE id = $1
-    RETURNING
-      id,
-      code,
-      name,
-      active,
-      sort_order AS "sortOrder";
-    `,
-    [
-      shopId,
-      name != null ? String(name).trim() : current.name,
-      sortOrder != null ? toNumber(sortOrder, 0) : current.sortOrder,
-      active != null ? !!active : current.active,
-    ]
-  );
+    const { rows } = await client.query(
+      `
+      UPDATE shops
+      SET
+        name = $2,
+        sort_order = $3,
+        active = $4,
+        order_cutoff_time = $5,
+        order_cutoff_days_before = $6,
+        cutoff_action = $7,
+        suggestion_mode = $8,
+        forecast_weeks = $9,
+        forecast_safety_factor = $10,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${SHOP_COLUMNS};
+      `,
+      [
+        shopId,
+        name != null ? String(name).trim() : current.name,
+        sortOrder != null ? toNumber(sortOrder, 0) : current.sortOrder,
+        active != null ? !!active : current.active,
+        orderCutoffTime !== undefined
+          ? normalizeCutoffTime(orderCutoffTime)
+          : current.orderCutoffTime,
+        orderCutoffDaysBefore != null
+          ? Math.max(0, toNumber(orderCutoffDaysBefore, 1))
+          : current.orderCutoffDaysBefore,
+        cutoffAction != null ? normalizeCutoffAction(cutoffAction) : current.cutoffAction,
+        suggestionMode != null ? normalizeSuggestionMode(suggestionMode) : current.suggestionMode,
+        forecastWeeks != null ? normalizeForecastWeeks(forecastWeeks) : current.forecastWeeks,
+        forecastSafetyFactor != null
+          ? normalizeSafetyFactor(forecastSafetyFactor)
+          : current.forecastSafetyFactor,
+      ]
+    );
 
-  return rows[0];
+    return mapShopRow(rows[0]);
+  });
+}
+
+async function reorderShops(shopIds = []) {
+  const ids = [...new Set(shopIds.map((id) => toNumber(id, 0)).filter(Boolean))];
+
+  return withTransaction(async (client) => {
+    for (let i = 0; i < ids.length; i += 1) {
+      await client.query(
+        `
+        UPDATE shops
+        SET
+          sort_order = $2,
+          updated_at = NOW()
+        WHERE id = $1;
+        `,
+        [ids[i], i + 1]
+      );
+    }
+
+    return ids.length;
+  });
 }
 
-async function listItems({ activeOnly = false, includeShopSettings = false } = {}) {
+async function listItems({ activeOnly = false, includeShopSettings = false, includeArchived = false } = {}) {
   const params = [];
-  let where = '';
+  const whereParts = [];
   if (activeOnly) {
     params.push(true);
-    where = `WHERE i.active = $${params.length}`;
+    whereParts.push(`i.active = $${params.length}`);
   }
+  if (!includeArchived) {
+    whereParts.push('i.archived_at IS NULL');
+  }
+  const where = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
 
   const { rows } = await query(
     `
@@ -323,7 +793,18 @@ async function listItems({ activeOnly = false, includeShopSettings = false } = {
       i.category,
       i.unit,
       i.sort_order AS "sortOrder",
-      i.active
+      i.active,
+      i.station_id AS "stationId",
+      TO_CHAR(i.bake_slot, 'HH24:MI') AS "bakeSlot",
+      i.batch_size AS "batchSize",
+      i.pack_size AS "packSize",
+      i.min_order_qty AS "minOrderQty",
+      i.rounding_mode AS "roundingMode",
+      i.production_unit AS "productionUnit",
+      i.production_unit_factor AS "productionUnitFactor",
+      i.archived_at AS "archivedAt",
+      i.archived_by AS "archivedBy",
+      (SELECT COUNT(*) FROM bakery_order_lines l WHERE l.item_id = i.id)::int AS "orderLineCount"
     FROM bakery_items i
     ${where}
     ORDER BY
@@ -335,7 +816,7 @@ async function listItems({ activeOnly = false, includeShopSettings = false } = {
   );
 
   if (!includeShopSettings || rows.length === 0) {
-    return rows;
+    return rows.map(mapItemRow);
   }
 
   const settings = await listItemShopSettings();
@@ -350,7 +831,7 @@ async function listItems({ activeOnly = false, includeShopSettings = false } = {
   }
 
   return rows.map((item) => ({
-    ...item,
+    ...mapItemRow(item),
     shopSettings: settingsMap.get(item.id) || [],
   }));
 }
@@ -365,40 +846,223 @@ async function getItemById(itemId) {
       i.category,
       i.unit,
       i.sort_order AS "sortOrder",
-      i.active
+      i.active,
+      i.station_id AS "stationId",
+      TO_CHAR(i.bake_slot, 'HH24:MI') AS "bakeSlot",
+      i.batch_size AS "batchSize",
+      i.pack_size AS "packSize",
+      i.min_order_qty AS "minOrderQty",
+      i.rounding_mode AS "roundingMode",
+      i.production_unit AS "productionUnit",
+      i.production_unit_factor AS "productionUnitFactor",
+      i.archived_at AS "archivedAt",
+      i.archived_by AS "archivedBy"
     FROM bakery_items i
     WHERE i.id = $1
     LIMIT 1;
     `,
     [itemId]
   );
-  return rows[0] || null;
+  return rows[0] ? mapItemRow(rows[0]) : null;
 }
 
-async function createItem({
-  name,
-  category = '',
-  unit = 'Stk',
-  sortOrder = 0,
-  active = true,
-}) {
-  if (!name || !String(name).trim()) {
-    throw new Error('Item name is required');
-  }
-
-  const trimmedName = String(name).trim();
-  let code = buildItemCode(trimmedName);
-  let suffix = 1;
+function normalizeBatchSize(value) {
+  const batchSize = toNumber(String(value ?? '').replace(',', '.'), 1);
+  return batchSize > 0 ? batchSize : 1;
+}
 
-  while (await itemCodeExists(code)) {
-    suffix += 1;
-    code = `${buildItemCode(trimmedName)}-${suffix}`;
-  }
+function mapUnitRow(row) {
+  return {
+    code: row.code,
+    name: row.name || row.code,
+    sortOrder: toNumber(row.sortOrder, 0),
+    itemCount: toNumber(row.itemCount, 0),
+  };
+}
+
+async function listUnits(db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      u.code,
+      u.name,
+      u.sort_order AS "sortOrder",
+      COUNT(i.id)::int AS "itemCount"
+    FROM bakery_units u
+    LEFT JOIN bakery_items i ON i.unit = u.code OR i.production_unit = u.code
+    GROUP BY u.code
+    ORDER BY u.sort_order ASC, u.code ASC;
+    `
+  );
+
+  return rows.map(mapUnitRow);
+}
+
+async function loadUnitCodes(db = pool) {
+  const { rows } = await db.query('SELECT code FROM bakery_units;');
+  return new Map(rows.map((row) => [row.code.toLowerCase(), row.code]));
+}
+
+function resolveUnitCode(unitCodes, value) {
+  const unit = String(value ?? '').trim();
+  if (!unit) return null;
+
+  const code = unitCodes.get(unit.toLowerCase());
+  if (!code) {
+    throw createStoreError('Unknown unit', 'UNKNOWN_UNIT', 400, { unit });
+  }
+
+  return code;
+}
+
+function normalizeItemUnits(unitCodes, { unit, productionUnit = null, productionUnitFactor = 1 } = {}) {
+  const finalUnit = resolveUnitCode(unitCodes, unit) || resolveUnitCode(unitCodes, 'Stk');
+  const finalProductionUnit = resolveUnitCode(unitCodes, productionUnit);
+
+  if (!finalProductionUnit || finalProductionUnit === finalUnit) {
+    return { unit: finalUnit, productionUnit: null, productionUnitFactor: 1 };
+  }
+
+  const factor = toNumber(String(productionUnitFactor ?? '').replace(',', '.'), 0);
+  if (factor <= 0) {
+    throw createStoreError('Unit conversion factor must be greater than zero', 'INVALID_UNIT_FACTOR', 400, {
+      unit: finalUnit,
+      productionUnit: finalProductionUnit,
+    });
+  }
+
+  return { unit: finalUnit, productionUnit: finalProductionUnit, productionUnitFactor: factor };
+}
+
+async function createUnit({ code, name = '', sortOrder = 0 }) {
+  const finalCode = String(code || '').trim();
+  if (!finalCode) {
+    throw createStoreError('Unit code is required', 'VALIDATION_ERROR');
+  }
 
   const { rows } = await query(
     `
-    INSERT INTO bakery_items (code, name, category, unit, sort_order, active)
-    VALUES ($1, $2, $3, $4, $5, $6)
+    INSERT INTO bakery_units (code, name, sort_order)
+    VALUES ($1, $2, $3)
+    ON CONFLICT DO NOTHING
+    RETURNING
+      code,
+      name,
+      sort_order AS "sortOrder";
+    `,
+    [finalCode, String(name || '').trim() || finalCode, toNumber(sortOrder, 0)]
+  );
+
+  if (!rows[0]) {
+    throw createStoreError('Unit already exists', 'UNIT_EXISTS', 409, { code: finalCode });
+  }
+
+  return mapUnitRow(rows[0]);
+}
+
+async function deleteUnit(code) {
+  return withTransaction(async (client) => {
+    const { rows: usage } = await client.query(
+      `
+      SELECT COUNT(*)::int AS "itemCount"
+      FROM bakery_items
+      WHERE unit = $1 OR production_unit = $1;
+      `,
+      [code]
+    );
+
+    if (usage[0].itemCount > 0) {
+      throw createStoreError('Unit is still used by items', 'UNIT_IN_USE', 409, {
+        code,
+        itemCount: usage[0].itemCount,
+      });
+    }
+
+    const { rows } = await client.query(
+      `
+      DELETE FROM bakery_units
+      WHERE code = $1
+      RETURNING
+        code,
+        name,
+        sort_order AS "sortOrder";
+      `,
+      [code]
+    );
+
+    if (!rows[0]) {
+      throw createStoreError('Unit not found', 'UNIT_NOT_FOUND', 404);
+    }
+
+    return mapUnitRow(rows[0]);
+  });
+}
+
+function mapItemRow(row) {
+  return {
+    ...row,
+    stationId: row.stationId || null,
+    bakeSlot: row.bakeSlot || null,
+    batchSize: toNumber(row.batchSize, 1),
+    ...normalizeOrderRules(row),
+    productionUnit: row.productionUnit || null,
+    productionUnitFactor: toNumber(row.productionUnitFactor, 1),
+    archivedAt: row.archivedAt || null,
+    archivedBy: row.archivedBy || '',
+  };
+}
+
+async function createItem({
+  name,
+  category = '',
+  unit = 'Stk',
+  sortOrder = 0,
+  active = true,
+  stationId = null,
+  bakeSlot = null,
+  batchSize = 1,
+  packSize = null,
+  minOrderQty = null,
+  roundingMode = ROUNDING_MODES.UP,
+  productionUnit = null,
+  productionUnitFactor = 1,
+}) {
+  if (!name || !String(name).trim()) {
+    throw createStoreError('Item name is required', 'VALIDATION_ERROR');
+  }
+
+  const units = normalizeItemUnits(await loadUnitCodes(), { unit, productionUnit, productionUnitFactor });
+
+  const trimmedName = String(name).trim();
+  let code = buildItemCode(trimmedName);
+  let suffix = 1;
+
+  while (await itemCodeExists(code)) {
+    suffix += 1;
+    code = `${buildItemCode(trimmedName)}-${suffix}`;
+  }
+
+  const orderRules = normalizeOrderRules({ packSize, minOrderQty, roundingMode });
+
+  const { rows } = await query(
+    `
+    INSERT INTO bakery_items (
+      code,
+      name,
+      category,
+      unit,
+      sort_order,
+      active,
+      station_id,
+      bake_slot,
+      batch_size,
+      pack_size,
+      min_order_qty,
+      rounding_mode,
+      production_unit,
+      production_unit_factor
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     RETURNING
       id,
       code,
@@ -406,19 +1070,35 @@ async function createItem({
       category,
       unit,
       sort_order AS "sortOrder",
-      active;
+      active,
+      station_id AS "stationId",
+      TO_CHAR(bake_slot, 'HH24:MI') AS "bakeSlot",
+      batch_size AS "batchSize",
+      pack_size AS "packSize",
+      min_order_qty AS "minOrderQty",
+      rounding_mode AS "roundingMode",
+      production_unit AS "productionUnit",
+      production_unit_factor AS "productionUnitFactor";
     `,
     [
       code,
       trimmedName,
       String(category || '').trim(),
-      String(unit || 'Stk').trim() || 'Stk',
+      units.unit,
       toNumber(sortOrder, 0),
       !!active,
+      toNumber(stationId, 0) || null,
+      String(bakeSlot || '').trim() || null,
+      normalizeBatchSize(batchSize),
+      orderRules.packSize,
+      orderRules.minOrderQty,
+      orderRules.roundingMode,
+      units.productionUnit,
+      units.productionUnitFactor,
     ]
   );
 
-  return rows[0];
+  return mapItemRow(rows[0]);
 }
 
 async function itemCodeExists(code) {
@@ -432,9 +1112,24 @@ async function itemCodeExists(code) {
 async function updateItem(itemId, data = {}) {
   const current = await getItemById(itemId);
   if (!current) {
-    throw new Error('Item not found');
+    throw createStoreError('Item not found', 'ITEM_NOT_FOUND', 404);
+  }
+
+  if (current.archivedAt && data.active) {
+    throw createStoreError('Archived items must be restored before activating', 'ITEM_ARCHIVED', 409);
   }
 
+  const orderRules = normalizeOrderRules({
+    packSize: data.packSize !== undefined ? data.packSize : current.packSize,
+    minOrderQty: data.minOrderQty !== undefined ? data.minOrderQty : current.minOrderQty,
+    roundingMode: data.roundingMode != null ? data.roundingMode : current.roundingMode,
+  });
+  const units = normalizeItemUnits(await loadUnitCodes(), {
+    unit: data.unit != null ? data.unit : current.unit,
+    productionUnit: data.productionUnit !== undefined ? data.productionUnit : current.productionUnit,
+    productionUnitFactor: data.productionUnitFactor != null ? data.productionUnitFactor : current.productionUnitFactor,
+  });
+
   const { rows } = await query(
     `
     UPDATE bakery_items
@@ -444,6 +1139,14 @@ async function updateItem(itemId, data = {}) {
       unit = $4,
       sort_order = $5,
       active = $6,
+      station_id = $7,
+      bake_slot = $8,
+      batch_size = $9,
+      pack_size = $10,
+      min_order_qty = $11,
+      rounding_mode = $12,
+      production_unit = $13,
+      production_unit_factor = $14,
       updated_at = NOW()
     WHERE id = $1
     RETURNING
@@ -453,110 +1156,570 @@ async function updateItem(itemId, data = {}) {
       category,
       unit,
       sort_order AS "sortOrder",
-      active;
+      active,
+      station_id AS "stationId",
+      TO_CHAR(bake_slot, 'HH24:MI') AS "bakeSlot",
+      batch_size AS "batchSize",
+      pack_size AS "packSize",
+      min_order_qty AS "minOrderQty",
+      rounding_mode AS "roundingMode",
+      production_unit AS "productionUnit",
+      production_unit_factor AS "productionUnitFactor",
+      archived_at AS "archivedAt",
+      archived_by AS "archivedBy";
     `,
     [
       itemId,
       data.name != null ? String(data.name).trim() : current.name,
       data.category != null ? String(data.category).trim() : current.category,
-      data.unit != null ? String(data.unit).trim() || 'Stk' : current.unit,
+      units.unit,
       data.sortOrder != null ? toNumber(data.sortOrder, 0) : current.sortOrder,
       data.active != null ? !!data.active : current.active,
+      data.stationId !== undefined ? toNumber(data.stationId, 0) || null : current.stationId,
+      data.bakeSlot !== undefined ? String(data.bakeSlot || '').trim() || null : current.bakeSlot,
+      data.batchSize != null ? normalizeBatchSize(data.batchSize) : current.batchSize,
+      orderRules.packSize,
+      orderRules.minOrderQty,
+      orderRules.roundingMode,
+      units.productionUnit,
+      units.productionUnitFactor,
     ]
   );
 
-  return rows[0];
+  return mapItemRow(rows[0]);
 }
 
 async function setItemActive(itemId, active) {
   return updateItem(itemId, { active: !!active });
 }
 
-function parseBulkItems(text = '') {
-  const lines = String(text)
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean);
+async function archiveItem(itemId, { archivedBy = '' } = {}) {
+  const { rows } = await query(
+    `
+    UPDATE bakery_items
+    SET
+      active = FALSE,
+      archived_at = COALESCE(archived_at, NOW()),
+      archived_by = CASE WHEN archived_at IS NULL THEN $2 ELSE archived_by END,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING id;
+    `,
+    [toNumber(itemId, 0), String(archivedBy || '').trim()]
+  );
 
-  const results = [];
+  if (!rows[0]) {
+    throw createStoreError('Item not found', 'ITEM_NOT_FOUND', 404);
+  }
 
-  for (const line of lines) {
-    const parts = line.split(';').map((part) => part.trim());
-    if (!parts[0]) continue;
+  return getItemById(rows[0].id);
+}
 
-    results.push({
-      name: parts[0],
-      category: parts[1] || '',
-      unit: parts[2] || 'Stk',
-      sortOrder: parts[3] ? toNumber(parts[3], 0) : 0,
-    });
+async function restoreItem(itemId) {
+  const { rows } = await query(
+    `
+    UPDATE bakery_items
+    SET
+      archived_at = NULL,
+      archived_by = '',
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING id;
+    `,
+    [toNumber(itemId, 0)]
+  );
+
+  if (!rows[0]) {
+    throw createStoreError('Item not found', 'ITEM_NOT_FOUND', 404);
   }
 
-  return results;
+  return getItemById(rows[0].id);
 }
 
-async function bulkCreateItems(text) {
-  const parsed = parseBulkItems(text);
-  if (!parsed.length) {
-    return [];
-  }
+async function deleteItem(itemId) {
+  const finalItemId = toNumber(itemId, 0);
 
-  const created = [];
-  for (const row of parsed) {
-    created.push(await createItem(row));
+  return withTransaction(async (client) => {
+    const item = await client.query(
+      'SELECT id, name FROM bakery_items WHERE id = $1 FOR UPDATE;',
+      [finalItemId]
+    );
+    if (!item.rows[0]) {
+      throw createStoreError('Item not found', 'ITEM_NOT_FOUND', 404);
+    }
+
+    const usage = await client.query(
+      'SELECT COUNT(*)::int AS count FROM bakery_order_lines WHERE item_id = $1;',
+      [finalItemId]
+    );
+    if (usage.rows[0].count > 0) {
+      throw createStoreError('Items that were ordered cannot be deleted, archive or merge them instead', 'ITEM_HAS_ORDERS', 409, {
+        orderLineCount: usage.rows[0].count,
+      });
+    }
+
+    await client.query('DELETE FROM bakery_items WHERE id = $1;', [finalItemId]);
+
+    return { id: finalItemId, name: item.rows[0].name };
+  });
+}
+
+async function mergeItems({ sourceItemId, targetItemId, mergedBy = '' }) {
+  const finalSourceId = toNumber(sourceItemId, 0);
+  const finalTargetId = toNumber(targetItemId, 0);
+
+  if (!finalSourceId || !finalTargetId || finalSourceId === finalTargetId) {
+    throw createStoreError('Choose two different items to merge', 'VALIDATION_ERROR');
   }
-  return created;
+
+  return withTransaction(async (client) => {
+    const items = await client.query(
+      `
+      SELECT
+        id,
+        name,
+        unit,
+        COALESCE(production_unit, unit) AS "productionUnit",
+        CASE
+          WHEN production_unit IS NULL OR production_unit = unit THEN 1
+          ELSE production_unit_factor
+        END AS "productionUnitFactor"
+      FROM bakery_items
+      WHERE id = ANY($1::int[])
+      ORDER BY id
+      FOR UPDATE;
+      `,
+      [[finalSourceId, finalTargetId]]
+    );
+    const source = items.rows.find((row) => row.id === finalSourceId);
+    const target = items.rows.find((row) => row.id === finalTargetId);
+    if (!source || !target) {
+      throw createStoreError('Item not found', 'ITEM_NOT_FOUND', 404);
+    }
+    if (
+      source.unit !== target.unit
+      || source.productionUnit !== target.productionUnit
+      || toNumber(source.productionUnitFactor, 1) !== toNumber(target.productionUnitFactor, 1)
+    ) {
+      throw createStoreError('Items with different units cannot be merged', 'ITEM_UNIT_MISMATCH', 409, {
+        source: { unit: source.unit, productionUnit: source.productionUnit, productionUnitFactor: toNumber(source.productionUnitFactor, 1) },
+        target: { unit: target.unit, productionUnit: target.productionUnit, productionUnitFactor: toNumber(target.productionUnitFactor, 1) },
+      });
+    }
+
+    const { rows: sourceLines } = await client.query(
+      `
+      SELECT
+        s.id AS "sourceLineId",
+        s.order_id AS "orderId",
+        s.item_name_snapshot AS "sourceName",
+        s.ist_bestand AS "sourceIst",
+        s.ordered_qty AS "sourceOrdered",
+        t.id AS "targetLineId",
+        t.item_name_snapshot AS "targetName",
+        t.ist_bestand AS "targetIst",
+        t.ordered_qty AS "targetOrdered",
+        s.unit_snapshot IS DISTINCT FROM t.unit_snapshot
+          OR s.production_factor_snapshot <> t.production_factor_snapshot AS "unitMismatch"
+      FROM bakery_order_lines s
+      LEFT JOIN bakery_order_lines t ON t.order_id = s.order_id AND t.item_id = $2
+      WHERE s.item_id = $1
+      ORDER BY s.order_id;
+      `,
+      [finalSourceId, finalTargetId]
+    );
+
+    const mismatchedOrderIds = sourceLines
+      .filter((line) => line.targetLineId && line.unitMismatch)
+      .map((line) => line.orderId);
+    if (mismatchedOrderIds.length) {
+      throw createStoreError('Order lines with different units cannot be merged', 'ITEM_UNIT_MISMATCH', 409, {
+        orderIds: mismatchedOrderIds,
+      });
+    }
+
+    const changesByOrder = new Map();
+    let movedLineCount = 0;
+    let combinedLineCount = 0;
+
+    for (const line of sourceLines) {
+      const sourceIst = toNumber(line.sourceIst, 0);
+      const sourceOrdered = toNumber(line.sourceOrdered, 0);
+
+      if (line.targetLineId) {
+        await client.query(
+          `
+          UPDATE bakery_order_lines t
+          SET
+            ist_bestand = t.ist_bestand + s.ist_bestand,
+            soll_snapshot = t.soll_snapshot + s.soll_snapshot,
+            suggested_qty = t.suggested_qty + s.suggested_qty,
+            ordered_qty = t.ordered_qty + s.ordered_qty,
+            received_qty = CASE
+              WHEN t.received_qty IS NULL AND s.received_qty IS NULL THEN NULL
+              ELSE COALESCE(t.received_qty, t.ordered_qty) + COALESCE(s.received_qty, s.ordered_qty)
+            END,
+            line_value_snapshot = CASE
+              WHEN t.line_value_snapshot IS NULL OR s.line_value_snapshot IS NULL THEN NULL
+              ELSE t.line_value_snapshot + s.line_value_snapshot
+            END,
+            unit_price_snapshot = CASE
+              WHEN t.line_value_snapshot IS NULL OR s.line_value_snapshot IS NULL THEN NULL
+              WHEN t.ordered_qty + s.ordered_qty = 0 THEN t.unit_price_snapshot
+              ELSE ROUND((t.line_value_snapshot + s.line_value_snapshot) / (t.ordered_qty + s.ordered_qty), 2)
+            END,
+            manual_override = t.manual_override OR s.manual_override,
+            updated_at = NOW()
+          FROM bakery_order_lines s
+          WHERE t.id = $1 AND s.id = $2;
+          `,
+          [line.targetLineId, line.sourceLineId]
+        );
+        await client.query('DELETE FROM bakery_order_lines WHERE id = $1;', [line.sourceLineId]);
+        combinedLineCount += 1;
+      } else {
+        await client.query(
+          'UPDATE bakery_order_lines SET item_id = $2, updated_at = NOW() WHERE id = $1;',
+          [line.sourceLineId, finalTargetId]
+        );
+        movedLineCount += 1;
+      }
+
+      const targetIst = line.targetLineId ? toNumber(line.targetIst, 0) : 0;
+      const targetOrdered = line.targetLineId ? toNumber(line.targetOrdered, 0) : 0;
+
+      if (!changesByOrder.has(line.orderId)) {
+        changesByOrder.set(line.orderId, []);
+      }
+      changesByOrder.get(line.orderId).push({
+        itemId: finalTargetId,
+        itemName: `${line.sourceName} → ${line.targetName || target.name}`,
+        istBefore: line.targetLineId ? targetIst : null,
+        istAfter: roundQty(targetIst + sourceIst),
+        orderedBefore: line.targetLineId ? targetOrdered : null,
+        orderedAfter: roundQty(targetOrdered + sourceOrdered),
+      });
+    }
+
+    for (const [orderId, lineChanges] of changesByOrder) {
+      await insertOrderAudit(client, {
+        orderId,
+        action: ORDER_AUDIT_ACTIONS.ITEM_MERGE,
+        changedBy: mergedBy,
+        lineChanges,
+      });
+    }
+
+    const movedSettings = await client.query(
+      `
+      INSERT INTO bakery_item_shop_settings (item_id, shop_id, soll_bestand, active_for_shop)
+      SELECT $2, s.shop_id, s.soll_bestand, s.active_for_shop
+      FROM bakery_item_shop_settings s
+      WHERE s.item_id = $1
+      ON CONFLICT (item_id, shop_id) DO NOTHING
+      RETURNING shop_id;
+      `,
+      [finalSourceId, finalTargetId]
+    );
+
+    await client.query(
+      `
+      INSERT INTO bakery_item_shop_weekday_soll (item_id, shop_id, weekday, soll_bestand)
+      SELECT $2, w.shop_id, w.weekday, w.soll_bestand
+      FROM bakery_item_shop_weekday_soll w
+      WHERE w.item_id = $1 AND w.shop_id = ANY($3::int[]);
+      `,
+      [finalSourceId, finalTargetId, movedSettings.rows.map((row) => row.shop_id)]
+    );
+
+    await client.query(
+      `
+      INSERT INTO bakery_order_template_lines (template_id, item_id, ordered_qty)
+      SELECT tl.template_id, $2, tl.ordered_qty
+      FROM bakery_order_template_lines tl
+      WHERE tl.item_id = $1
+      ON CONFLICT (template_id, item_id)
+      DO UPDATE SET ordered_qty = bakery_order_template_lines.ordered_qty + EXCLUDED.ordered_qty;
+      `,
+      [finalSourceId, finalTargetId]
+    );
+
+    await client.query(
+      `
+      INSERT INTO bakery_waste_entries (shop_id, item_id, waste_date, quantity, reason, recorded_by)
+      SELECT w.shop_id, $2, w.waste_date, w.quantity, w.reason, w.recorded_by
+      FROM bakery_waste_entries w
+      WHERE w.item_id = $1
+      ON CONFLICT (shop_id, item_id, waste_date)
+      DO UPDATE SET
+        quantity = bakery_waste_entries.quantity + EXCLUDED.quantity,
+        updated_at = NOW();
+      `,
+      [finalSourceId, finalTargetId]
+    );
+
+    const { rows: movedRecipes } = await client.query(
+      `
+      INSERT INTO bakery_item_recipes (item_id, yield_qty, note, updated_by, updated_at)
+      SELECT $2, r.yield_qty, r.note, $3, NOW()
+      FROM bakery_item_recipes r
+      WHERE r.item_id = $1
+      ON CONFLICT (item_id) DO NOTHING
+      RETURNING item_id;
+      `,
+      [finalSourceId, finalTargetId, String(mergedBy || '').trim()]
+    );
+    if (movedRecipes.length) {
+      await client.query(
+        `
+        INSERT INTO bakery_recipe_ingredients (item_id, ingredient_id, quantity)
+        SELECT $2, ri.ingredient_id, ri.quantity
+        FROM bakery_recipe_ingredients ri
+        WHERE ri.item_id = $1;
+        `,
+        [finalSourceId, finalTargetId]
+      );
+    }
+    const { rows: sourceRecipes } = await client.query(
+      'SELECT 1 FROM bakery_item_recipes WHERE item_id = $1;',
+      [finalSourceId]
+    );
+
+    const { rows: targetPrices } = await client.query(
+      'SELECT 1 FROM bakery_item_prices WHERE item_id = $1 LIMIT 1;',
+      [finalTargetId]
+    );
+    let movedPriceCount = 0;
+    let droppedPriceCount = 0;
+    if (targetPrices.length) {
+      const { rowCount } = await client.query('SELECT id FROM bakery_item_prices WHERE item_id = $1;', [finalSourceId]);
+      droppedPriceCount = rowCount;
+    } else {
+      const { rowCount } = await client.query(
+        'UPDATE bakery_item_prices SET item_id = $2 WHERE item_id = $1;',
+        [finalSourceId, finalTargetId]
+      );
+      movedPriceCount = rowCount;
+    }
+
+    await client.query('DELETE FROM bakery_items WHERE id = $1;', [finalSourceId]);
+
+    return {
+      sourceItem: { id: source.id, name: source.name },
+      targetItem: { id: target.id, name: target.name },
+      movedLineCount,
+      combinedLineCount,
+      orderCount: changesByOrder.size,
+      recipeMoved: movedRecipes.length > 0,
+      recipeDropped: sourceRecipes.length > 0 && !movedRecipes.length,
+      movedPriceCount,
+      droppedPriceCount,
+    };
+  });
 }
 
-async function listItemShopSettings({ activeItemsOnly = false, activeShopsOnly = false } = {}) {
-  const whereParts = [];
+function mapItemPriceRow(row) {
+  return {
+    id: row.id,
+    itemId: row.itemId,
+    itemName: row.itemName || '',
+    shopId: row.shopId || null,
+    shopName: row.shopName || '',
+    price: toNumber(row.price, 0),
+    validFrom: row.validFrom,
+    validTo: row.validTo || null,
+    createdBy: row.createdBy || '',
+    createdAt: row.createdAt || null,
+  };
+}
+
+async function listItemPrices({ itemId = null, shopId = null } = {}) {
   const params = [];
+  const whereParts = [];
 
-  if (activeItemsOnly) {
-    params.push(true);
-    whereParts.push(`i.active = $${params.length}`);
+  if (itemId) {
+    params.push(toNumber(itemId, 0));
+    whereParts.push(`p.item_id = $${params.length}`);
   }
 
-  if (activeShopsOnly) {
-    params.push(true);
-    whereParts.push(`s.active = $${params.length}`);
+  if (shopId) {
+    params.push(toNumber(shopId, 0));
+    whereParts.push(`(p.shop_id = $${params.length} OR p.shop_id IS NULL)`);
   }
 
-  const where = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
-
   const { rows } = await query(
     `
     SELECT
-      iss.id,
-      iss.item_id AS "itemId",
-      iss.shop_id AS "shopId",
-      iss.soll_bestand AS "sollBestand",
-      iss.active_for_shop AS "activeForShop",
+      p.id,
+      p.item_id AS "itemId",
       i.name AS "itemName",
-      i.category AS "itemCategory",
-      i.unit AS "itemUnit",
-      i.sort_order AS "itemSortOrder",
-      i.active AS "itemActive",
+      p.shop_id AS "shopId",
       s.name AS "shopName",
-      s.code AS "shopCode",
-      s.sort_order AS "shopSortOrder",
-      s.active AS "shopActive"
-    FROM bakery_item_shop_settings iss
-    INNER JOIN bakery_items i ON i.id = iss.item_id
-    INNER JOIN shops s ON s.id = iss.shop_id
-    ${where}
-    ORDER BY s.sort_order ASC, i.sort_order ASC, i.name ASC;
+      p.price,
+      TO_CHAR(p.valid_from, 'YYYY-MM-DD') AS "validFrom",
+      TO_CHAR(p.valid_to, 'YYYY-MM-DD') AS "validTo",
+      p.created_by AS "createdBy",
+      p.created_at AS "createdAt"
+    FROM bakery_item_prices p
+    INNER JOIN bakery_items i ON i.id = p.item_id
+    LEFT JOIN shops s ON s.id = p.shop_id
+    ${whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : ''}
+    ORDER BY
+      i.name ASC,
+      p.shop_id IS NOT NULL ASC,
+      s.sort_order ASC NULLS FIRST,
+      p.valid_from DESC,
+      p.id DESC;
     `,
     params
   );
 
-  return rows.map((row) => ({
-    ...row,
-    sollBestand: toNumber(row.sollBestand, 0),
-  }));
+  return rows.map(mapItemPriceRow);
 }
 
-async function getItemShopSetting(itemId, shopId) {
+function findEffectivePrice(prices = [], { itemId, shopId = null, date }) {
+  const finalDate = normalizeDateInput(date);
+  const candidates = prices
+    .filter((price) => price.itemId === itemId)
+    .filter((price) => !price.shopId || price.shopId === shopId)
+    .filter((price) => price.validFrom <= finalDate && (!price.validTo || price.validTo >= finalDate))
+    .sort((a, b) => {
+      if (!!a.shopId !== !!b.shopId) return a.shopId ? -1 : 1;
+      if (a.validFrom !== b.validFrom) return a.validFrom < b.validFrom ? 1 : -1;
+      return b.id - a.id;
+    });
+
+  return candidates[0] || null;
+}
+
+async function createItemPrice({
+  itemId,
+  shopId = null,
+  price,
+  validFrom,
+  validTo = null,
+  createdBy = '',
+}) {
+  const finalPrice = toNumber(String(price ?? '').trim().replace(',', '.'), NaN);
+  if (!Number.isFinite(finalPrice) || finalPrice < 0) {
+    throw createStoreError('Price must be zero or greater', 'VALIDATION_ERROR');
+  }
+
+  if (!validFrom) {
+    throw createStoreError('validFrom is required', 'VALIDATION_ERROR');
+  }
+
+  const finalFrom = normalizeDateInput(validFrom);
+  const finalTo = validTo ? normalizeDateInput(validTo) : null;
+  if (finalTo && finalTo < finalFrom) {
+    throw createStoreError('validTo must not be before validFrom', 'VALIDATION_ERROR');
+  }
+
+  const item = await getItemById(toNumber(itemId, 0));
+  if (!item) {
+    throw createStoreError('Item not found', 'ITEM_NOT_FOUND', 404);
+  }
+
+  const { rows } = await query(
+    `
+    INSERT INTO bakery_item_prices (item_id, shop_id, price, valid_from, valid_to, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING
+      id,
+      item_id AS "itemId",
+      shop_id AS "shopId",
+      price,
+      TO_CHAR(valid_from, 'YYYY-MM-DD') AS "validFrom",
+      TO_CHAR(valid_to, 'YYYY-MM-DD') AS "validTo",
+      created_by AS "createdBy",
+      created_at AS "createdAt";
+    `,
+    [item.id, toNumber(shopId, 0) || null, finalPrice, finalFrom, finalTo, String(createdBy || '').trim()]
+  );
+
+  return mapItemPriceRow({ ...rows[0], itemName: item.name });
+}
+
+async function deleteItemPrice(priceId) {
+  const { rows } = await query(
+    `
+    DELETE FROM bakery_item_prices
+    WHERE id = $1
+    RETURNING
+      id,
+      item_id AS "itemId",
+      shop_id AS "shopId",
+      price,
+      TO_CHAR(valid_from, 'YYYY-MM-DD') AS "validFrom",
+      TO_CHAR(valid_to, 'YYYY-MM-DD') AS "validTo";
+    `,
+    [priceId]
+  );
+
+  if (!rows[0]) {
+    throw createStoreError('Price not found', 'PRICE_NOT_FOUND', 404);
+  }
+
+  return mapItemPriceRow(rows[0]);
+}
+
+function parseBulkItems(text = '') {
+  const lines = String(text)
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const results = [];
+
+  for (const line of lines) {
+    const parts = line.split(';').map((part) => part.trim());
+    if (!parts[0]) continue;
+
+    results.push({
+      name: parts[0],
+      category: parts[1] || '',
+      unit: parts[2] || 'Stk',
+      sortOrder: parts[3] ? toNumber(parts[3], 0) : 0,
+    });
+  }
+
+  return results;
+}
+
+async function bulkCreateItems(text) {
+  const parsed = parseBulkItems(text);
+  if (!parsed.length) {
+    return [];
+  }
+
+  const unitCodes = await loadUnitCodes();
+  for (const row of parsed) {
+    resolveUnitCode(unitCodes, row.unit);
+  }
+
+  const created = [];
+  for (const row of parsed) {
+    created.push(await createItem(row));
+  }
+  return created;
+}
+
+async function listItemShopSettings({ activeItemsOnly = false, activeShopsOnly = false } = {}) {
+  const whereParts = [];
+  const params = [];
+
+  if (activeItemsOnly) {
+    params.push(true);
+    whereParts.push(`i.active = $${params.length}`);
+  }
+
+  if (activeShopsOnly) {
+    params.push(true);
+    whereParts.push(`s.active = $${params.length}`);
+  }
+
+  const where = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
+
   const { rows } = await query(
     `
     SELECT
@@ -564,7 +1727,59 @@ async function getItemShopSetting(itemId, shopId) {
       iss.item_id AS "itemId",
       iss.shop_id AS "shopId",
       iss.soll_bestand AS "sollBestand",
-      iss.active_for_shop AS "activeForShop"
+      COALESCE(
+        (
+          SELECT json_object_agg(ws.weekday, ws.soll_bestand)
+          FROM bakery_item_shop_weekday_soll ws
+          WHERE ws.item_id = iss.item_id AND ws.shop_id = iss.shop_id
+        ),
+        '{}'::json
+      ) AS "sollWeekdays",
+      iss.active_for_shop AS "activeForShop",
+      TO_CHAR(iss.available_from, 'YYYY-MM-DD') AS "availableFrom",
+      TO_CHAR(iss.available_to, 'YYYY-MM-DD') AS "availableTo",
+      iss.available_weekdays AS "availableWeekdays",
+      i.name AS "itemName",
+      i.category AS "itemCategory",
+      i.unit AS "itemUnit",
+      i.sort_order AS "itemSortOrder",
+      i.active AS "itemActive",
+      s.name AS "shopName",
+      s.code AS "shopCode",
+      s.sort_order AS "shopSortOrder",
+      s.active AS "shopActive"
+    FROM bakery_item_shop_settings iss
+    INNER JOIN bakery_items i ON i.id = iss.item_id
+    INNER JOIN shops s ON s.id = iss.shop_id
+    ${where}
+    ORDER BY s.sort_order ASC, i.sort_order ASC, i.name ASC;
+    `,
+    params
+  );
+
+  return rows.map(mapItemShopSettingRow);
+}
+
+async function getItemShopSetting(itemId, shopId) {
+  const { rows } = await query(
+    `
+    SELECT
+      iss.id,
+      iss.item_id AS "itemId",
+      iss.shop_id AS "shopId",
+      iss.soll_bestand AS "sollBestand",
+      COALESCE(
+        (
+          SELECT json_object_agg(ws.weekday, ws.soll_bestand)
+          FROM bakery_item_shop_weekday_soll ws
+          WHERE ws.item_id = iss.item_id AND ws.shop_id = iss.shop_id
+        ),
+        '{}'::json
+      ) AS "sollWeekdays",
+      iss.active_for_shop AS "activeForShop",
+      TO_CHAR(iss.available_from, 'YYYY-MM-DD') AS "availableFrom",
+      TO_CHAR(iss.available_to, 'YYYY-MM-DD') AS "availableTo",
+      iss.available_weekdays AS "availableWeekdays"
     FROM bakery_item_shop_settings iss
     WHERE iss.item_id = $1 AND iss.shop_id = $2
     LIMIT 1;
@@ -572,51 +1787,107 @@ async function getItemShopSetting(itemId, shopId) {
     [itemId, shopId]
   );
 
-  if (!rows[0]) return null;
-
-  return {
-    ...rows[0],
-    sollBestand: toNumber(rows[0].sollBestand, 0),
-  };
+  return rows[0] ? mapItemShopSettingRow(rows[0]) : null;
 }
 
 async function upsertItemShopSetting({
   itemId,
   shopId,
   sollBestand = 0,
+  sollByWeekday,
   activeForShop = true,
+  availability,
 }) {
-  const { rows } = await query(
-    `
-    INSERT INTO bakery_item_shop_settings (
-      item_id,
-      shop_id,
-      soll_bestand,
-      active_for_shop
-    )
-    VALUES ($1, $2, $3, $4)
-    ON CONFLICT (item_id, shop_id)
-    DO UPDATE SET
-      soll_bestand = EXCLUDED.soll_bestand,
-      active_for_shop = EXCLUDED.active_for_shop,
-      updated_at = NOW()
-    RETURNING
-      id,
-      item_id AS "itemId",
-      shop_id AS "shopId",
-      soll_bestand AS "sollBestand",
-      active_for_shop AS "activeForShop";
-    `,
-    [itemId, shopId, clampNonNegative(sollBestand), !!activeForShop]
-  );
+  const weekdaySoll = normalizeWeekdaySoll(sollByWeekday);
+  const finalAvailability = normalizeAvailability(availability);
 
-  return {
-    ...rows[0],
-    sollBestand: toNumber(rows[0].sollBestand, 0),
-  };
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `
+      INSERT INTO bakery_item_shop_settings (
+        item_id,
+        shop_id,
+        soll_bestand,
+        active_for_shop,
+        available_from,
+        available_to,
+        available_weekdays
+      )
+      VALUES ($1, $2, $3, $4, $6, $7, $8)
+      ON CONFLICT (item_id, shop_id)
+      DO UPDATE SET
+        soll_bestand = EXCLUDED.soll_bestand,
+        active_for_shop = EXCLUDED.active_for_shop,
+        available_from = CASE WHEN $5 THEN EXCLUDED.available_from ELSE bakery_item_shop_settings.available_from END,
+        available_to = CASE WHEN $5 THEN EXCLUDED.available_to ELSE bakery_item_shop_settings.available_to END,
+        available_weekdays = CASE WHEN $5 THEN EXCLUDED.available_weekdays ELSE bakery_item_shop_settings.available_weekdays END,
+        updated_at = NOW()
+      RETURNING
+        id,
+        item_id AS "itemId",
+        shop_id AS "shopId",
+        soll_bestand AS "sollBestand",
+        active_for_shop AS "activeForShop",
+        TO_CHAR(available_from, 'YYYY-MM-DD') AS "availableFrom",
+        TO_CHAR(available_to, 'YYYY-MM-DD') AS "availableTo",
+        available_weekdays AS "availableWeekdays";
+      `,
+      [
+        itemId,
+        shopId,
+        clampNonNegative(sollBestand),
+        !!activeForShop,
+        availability !== undefined,
+        finalAvailability.availableFrom,
+        finalAvailability.availableTo,
+        finalAvailability.availableWeekdays,
+      ]
+    );
+
+    if (weekdaySoll) {
+      await client.query(
+        `
+        DELETE FROM bakery_item_shop_weekday_soll
+        WHERE item_id = $1 AND shop_id = $2;
+        `,
+        [itemId, shopId]
+      );
+
+      for (const weekday of WEEKDAYS) {
+        const value = weekdaySoll[weekday - 1];
+        if (value == null) continue;
+
+        await client.query(
+          `
+          INSERT INTO bakery_item_shop_weekday_soll (item_id, shop_id, weekday, soll_bestand)
+          VALUES ($1, $2, $3, $4);
+          `,
+          [itemId, shopId, weekday, value]
+        );
+      }
+    }
+
+    const weekdayRows = await client.query(
+      `
+      SELECT weekday, soll_bestand AS "sollBestand"
+      FROM bakery_item_shop_weekday_soll
+      WHERE item_id = $1 AND shop_id = $2;
+      `,
+      [itemId, shopId]
+    );
+
+    return mapItemShopSettingRow({
+      ...rows[0],
+      sollWeekdays: Object.fromEntries(
+        weekdayRows.rows.map((row) => [row.weekday, row.sollBestand])
+      ),
+    });
+  });
 }
 
 async function bulkUpsertItemShopSettings(rows = []) {
+  rows.forEach((row) => normalizeAvailability(row.availability));
+
   const results = [];
   for (const row of rows) {
     results.push(await upsertItemShopSetting(row));
@@ -642,69 +1913,2176 @@ async function ensureAllShopSettingsForItem(itemId, defaultSoll = 0) {
   return results;
 }
 
-async function getOrCreateOrder({
-  shopId,
-  orderDate = new Date(),
-  createdBy = '',
-}) {
-  const finalDate = normalizeDateInput(orderDate);
+function parseCsv(text = '') {
+  const source = String(text).replace(/^\ufeff/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = firstLine.includes(';') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
 
-  return withTransaction(async (client) => {
-    const existing = await client.query(
-      `
-      SELECT
-        o.id,
-        o.shop_id AS "shopId",
-        o.order_date AS "orderDate",
-        o.status,
-        o.note,
-        o.submitted_at AS "submittedAt",
-        o.created_by AS "createdBy",
-        o.updated_by AS "updatedBy",
-        o.created_at AS "createdAt",
-        o.updated_at AS "updatedAt"
-      FROM bakery_orders o
-      WHERE o.shop_id = $1 AND o.order_date = $2
-      LIMIT 1;
-      `,
-      [shopId, finalDate]
-    );
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
 
-    if (existing.rows[0]) {
-      return mapOrderRow(existing.rows[0]);
+  return rows
+    .map((cells) => cells.map((cell) => cell.trim()))
+    .filter((cells) => cells.some(Boolean));
+}
+
+function parseImportNumber(value) {
+  const normalized = String(value).replace(/\s/g, '').replace(',', '.');
+  const n = Number(normalized);
+  return normalized !== '' && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function parseImportBoolean(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'ja', 'j', 'x', 'true', 'aktiv', 'yes'].includes(normalized)) return true;
+  if (['0', 'nein', 'n', 'false', 'inaktiv', 'no'].includes(normalized)) return false;
+  return null;
+}
+
+function mapItemImportHeader(headerCells, shops) {
+  const columns = [];
+  const errors = [];
+  const seen = new Set();
+
+  headerCells.forEach((header, index) => {
+    const normalized = header.toLowerCase().replace(/\s+/g, ' ').trim();
+    let column = null;
+
+    if (ITEM_IMPORT_COLUMNS[normalized]) {
+      column = { field: ITEM_IMPORT_COLUMNS[normalized] };
+    } else {
+      const match = normalized.match(/^(.+) (soll|aktiv)$/);
+      const shop = match
+        ? shops.find((candidate) =>
+            candidate.code.toLowerCase() === match[1] || candidate.name.toLowerCase() === match[1]
+          )
+        : null;
+
+      if (shop) {
+        column = {
+          field: match[2] === 'soll' ? 'soll' : 'activeForShop',
+          shopId: shop.id,
+        };
+      }
     }
 
-    const inserted = await client.query(
-      `
-      INSERT INTO bakery_orders (
-        shop_id,
-        order_date,
-        status,
-        note,
-        created_by,
-        updated_by
-      )
-      VALUES ($1, $2, $3, '', $4, $4)
-      RETURNING
-        id,
-        shop_id AS "shopId",
-        order_date AS "orderDate",
-        status,
-        note,
-        submitted_at AS "submittedAt",
-        created_by AS "createdBy",
-        updated_by AS "updatedBy",
-        created_at AS "createdAt",
-        updated_at AS "updatedAt";
-      `,
-      [shopId, finalDate, ORDER_STATUS.DRAFT, String(createdBy || '').trim()]
-    );
+    if (!column) {
+      if (header) errors.push({ code: 'UNKNOWN_COLUMN', column: header });
+      return;
+    }
+
+    const key = `${column.field}:${column.shopId || ''}`;
+    if (seen.has(key)) {
+      errors.push({ code: 'DUPLICATE_COLUMN', column: header });
+      return;
+    }
+
+    seen.add(key);
+    columns.push({ ...column, index, header });
+  });
+
+  if (!columns.some((column) => column.field === 'code' || column.field === 'name')) {
+    errors.push({ code: 'MISSING_IDENTIFIER' });
+  }
+
+  return { columns, errors };
+}
+
+async function loadItemImportContext(db = pool) {
+  const items = await db.query(`
+    SELECT
+      id,
+      code,
+      name,
+      category,
+      unit,
+      sort_order AS "sortOrder",
+      active
+    FROM bakery_items;
+  `);
+  const shops = await db.query(`
+    SELECT ${SHOP_COLUMNS}
+    FROM shops
+    ORDER BY sort_order ASC, name ASC;
+  `);
+  const settings = await db.query(`
+    SELECT
+      item_id AS "itemId",
+      shop_id AS "shopId",
+      soll_bestand AS "sollBestand",
+      active_for_shop AS "activeForShop"
+    FROM bakery_item_shop_settings;
+  `);
+
+  return {
+    items: items.rows,
+    unitCodes: await loadUnitCodes(db),
+    shops: shops.rows.map(mapShopRow),
+    settings: new Map(
+      settings.rows.map((row) => [
+        `${row.itemId}:${row.shopId}`,
+        { sollBestand: toNumber(row.sollBestand, 0), activeForShop: !!row.activeForShop },
+      ])
+    ),
+  };
+}
+
+function buildItemImportPlan(text, { items, shops, settings, unitCodes }) {
+  const csvRows = parseCsv(text);
+
+  if (!csvRows.length) {
+    return {
+      shops,
+      headerErrors: [{ code: 'EMPTY_FILE' }],
+      rows: [],
+      summary: { create: 0, update: 0, unchanged: 0, error: 0 },
+    };
+  }
+
+  const { columns, errors: headerErrors } = mapItemImportHeader(csvRows[0], shops);
+  const itemsByCode = new Map(items.map((item) => [item.code, item]));
+  const seenCodes = new Map();
+  const shopsById = new Map(shops.map((shop) => [shop.id, shop]));
+
+  const rows = csvRows.slice(1).map((cells, rowIndex) => {
+    const lineNumber = rowIndex + 2;
+    const errors = [];
+    const values = {};
+    const shopValues = new Map();
+
+    for (const column of columns) {
+      const raw = cells[column.index] ?? '';
+      if (raw === '') continue;
+
+      if (column.field === 'sortOrder' || column.field === 'soll') {
+        const parsed = parseImportNumber(raw);
+        if (parsed == null) {
+          errors.push({ code: 'INVALID_NUMBER', column: column.header, value: raw });
+          continue;
+        }
+        if (column.shopId) {
+          shopValues.set(column.shopId, { ...shopValues.get(column.shopId), sollBestand: parsed });
+        } else {
+          values.sortOrder = parsed;
+        }
+      } else if (column.field === 'active' || column.field === 'activeForShop') {
+        const parsed = parseImportBoolean(raw);
+        if (parsed == null) {
+          errors.push({ code: 'INVALID_BOOLEAN', column: column.header, value: raw });
+          continue;
+        }
+        if (column.shopId) {
+          shopValues.set(column.shopId, { ...shopValues.get(column.shopId), activeForShop: parsed });
+        } else {
+          values.active = parsed;
+        }
+      } else if (column.field === 'unit') {
+        const code = unitCodes.get(raw.trim().toLowerCase());
+        if (!code) {
+          errors.push({ code: 'UNKNOWN_UNIT', column: column.header, value: raw });
+          continue;
+        }
+        values.unit = code;
+      } else {
+        values[column.field] = raw;
+      }
+    }
+
+    const code = slugify(values.code || values.name || '');
+    const existing = code ? itemsByCode.get(code) : null;
+
+    if (!code) {
+      errors.push({ code: 'MISSING_IDENTIFIER' });
+    } else if (seenCodes.has(code)) {
+      errors.push({ code: 'DUPLICATE_CODE', value: code, line: seenCodes.get(code) });
+    } else {
+      seenCodes.set(code, lineNumber);
+    }
+
+    if (!existing && !values.name) {
+      errors.push({ code: 'NAME_REQUIRED' });
+    }
+
+    const changes = [];
+    const itemFields = ['name', 'category', 'unit', 'sortOrder', 'active'];
+    const createDefaults = { category: '', unit: 'Stk', sortOrder: 0, active: true };
+
+    for (const field of itemFields) {
+      if (values[field] === undefined) continue;
+
+      const before = existing ? existing[field] : null;
+      const after = values[field];
+      if (existing && String(before) === String(after)) continue;
+      if (!existing && String(createDefaults[field]) === String(after)) continue;
+
+      changes.push({ field, before, after });
+    }
+
+    const shopSettings = [];
+    for (const [shopId, next] of shopValues) {
+      const current = existing ? settings.get(`${existing.id}:${shopId}`) : null;
+      const merged = {
+        shopId,
+        sollBestand: next.sollBestand ?? current?.sollBestand ?? 0,
+        activeForShop: next.activeForShop ?? current?.activeForShop ?? true,
+      };
+      shopSettings.push(merged);
+
+      for (const field of ['sollBestand', 'activeForShop']) {
+        if (next[field] === undefined) continue;
+        const before = current ? current[field] : null;
+        if (current && before === next[field]) continue;
+
+        changes.push({
+          field,
+          shopId,
+          shopName: shopsById.get(shopId)?.name || '',
+          before,
+          after: next[field],
+        });
+      }
+    }
+
+    let action = ITEM_IMPORT_ACTIONS.UNCHANGED;
+    if (errors.length) action = ITEM_IMPORT_ACTIONS.ERROR;
+    else if (!existing) action = ITEM_IMPORT_ACTIONS.CREATE;
+    else if (changes.length) action = ITEM_IMPORT_ACTIONS.UPDATE;
+
+    return {
+      lineNumber,
+      action,
+      code,
+      name: values.name || existing?.name || '',
+      itemId: existing?.id || null,
+      values,
+      shopSettings,
+      changes,
+      errors,
+    };
+  });
+
+  const count = (action) => rows.filter((row) => row.action === action).length;
+
+  return {
+    shops,
+    headerErrors,
+    rows,
+    summary: {
+      create: count(ITEM_IMPORT_ACTIONS.CREATE),
+      update: count(ITEM_IMPORT_ACTIONS.UPDATE),
+      unchanged: count(ITEM_IMPORT_ACTIONS.UNCHANGED),
+      error: count(ITEM_IMPORT_ACTIONS.ERROR),
+    },
+  };
+}
+
+async function previewItemImport(text) {
+  return buildItemImportPlan(text, await loadItemImportContext());
+}
+
+async function applyItemImport(text) {
+  return withTransaction(async (client) => {
+    const plan = buildItemImportPlan(text, await loadItemImportContext(client));
+
+    if (plan.headerErrors.length || plan.summary.error > 0) {
+      throw createStoreError('Import contains errors', 'IMPORT_INVALID', 400, {
+        headerErrorCount: plan.headerErrors.length,
+        errorCount: plan.summary.error,
+      });
+    }
+
+    for (const row of plan.rows) {
+      if (row.action === ITEM_IMPORT_ACTIONS.UNCHANGED) continue;
+
+      let itemId = row.itemId;
+
+      if (row.action === ITEM_IMPORT_ACTIONS.CREATE) {
+        const inserted = await client.query(
+          `
+          INSERT INTO bakery_items (code, name, category, unit, sort_order, active)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING id;
+          `,
+          [
+            row.code,
+            String(row.values.name).trim(),
+            String(row.values.category || '').trim(),
+            String(row.values.unit || 'Stk').trim() || 'Stk',
+            toNumber(row.values.sortOrder, 0),
+            row.values.active ?? true,
+          ]
+        );
+        itemId = inserted.rows[0].id;
+
+        await client.query(
+          `
+          INSERT INTO bakery_item_shop_settings (item_id, shop_id, soll_bestand, active_for_shop)
+          SELECT $1, s.id, 0, TRUE
+          FROM shops s
+          ON CONFLICT (item_id, shop_id) DO NOTHING;
+          `,
+          [itemId]
+        );
+      } else {
+        await client.query(
+          `
+          UPDATE bakery_items
+          SET
+            name = COALESCE($2, name),
+            category = COALESCE($3, category),
+            unit = COALESCE($4, unit),
+            production_unit = NULLIF(production_unit, COALESCE($4, unit)),
+            sort_order = COALESCE($5, sort_order),
+            active = COALESCE($6, active),
+            updated_at = NOW()
+          WHERE id = $1;
+          `,
+          [
+            itemId,
+            row.values.name ?? null,
+            row.values.category ?? null,
+            row.values.unit ?? null,
+            row.values.sortOrder ?? null,
+            row.values.active ?? null,
+          ]
+        );
+      }
+
+      for (const setting of row.shopSettings) {
+        await client.query(
+          `
+          INSERT INTO bakery_item_shop_settings (item_id, shop_id, soll_bestand, active_for_shop)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (item_id, shop_id)
+          DO UPDATE SET
+            soll_bestand = EXCLUDED.soll_bestand,
+            active_for_shop = EXCLUDED.active_for_shop,
+            updated_at = NOW();
+          `,
+          [itemId, setting.shopId, setting.sollBestand, setting.activeForShop]
+        );
+      }
+    }
+
+    return plan.summary;
+  });
+}
+
+async function getOrCreateOrder({
+  shopId,
+  orderDate = new Date(),
+  createdBy = '',
+}) {
+  const finalDate = normalizeDateInput(orderDate);
+
+  return withTransaction(async (client) => {
+    const existing = await client.query(
+      `
+      SELECT
+        o.id,
+        o.shop_id AS "shopId",
+        o.order_date AS "orderDate",
+        o.status,
+        o.note,
+        o.submitted_at AS "submittedAt",
+        o.created_by AS "createdBy",
+        o.updated_by AS "updatedBy",
+        o.created_at AS "createdAt",
+        o.updated_at AS "updatedAt",
+        o.version
+      FROM bakery_orders o
+      WHERE o.shop_id = $1 AND o.order_date = $2
+      LIMIT 1;
+      `,
+      [shopId, finalDate]
+    );
+
+    if (existing.rows[0]) {
+      return mapOrderRow(existing.rows[0]);
+    }
+
+    const inserted = await client.query(
+      `
+      INSERT INTO bakery_orders (
+        shop_id,
+        order_date,
+        status,
+        note,
+        created_by,
+        updated_by
+      )
+      VALUES ($1, $2, $3, '', $4, $4)
+      RETURNING
+        id,
+        shop_id AS "shopId",
+        order_date AS "orderDate",
+        status,
+        note,
+        submitted_at AS "submittedAt",
+        created_by AS "createdBy",
+        updated_by AS "updatedBy",
+        created_at AS "createdAt",
+        updated_at AS "updatedAt",
+        version;
+      `,
+      [shopId, finalDate, ORDER_STATUS.DRAFT, String(createdBy || '').trim()]
+    );
+
+    return mapOrderRow(inserted.rows[0]);
+  });
+}
+
+async function getOrderById(orderId) {
+  const { rows } = await query(
+    `
+    SELECT
+      o.id,
+      o.shop_id AS "shopId",
+      o.order_date AS "orderDate",
+      o.status,
+      o.note,
+      o.submitted_at AS "submittedAt",
+      o.created_by AS "createdBy",
+      o.updated_by AS "updatedBy",
+      o.created_at AS "createdAt",
+      o.updated_at AS "updatedAt",
+      o.version,
+      o.received_at AS "receivedAt",
+      o.received_by AS "receivedBy",
+      o.receipt_note AS "receiptNote",
+      s.name AS "shopName",
+      s.code AS "shopCode"
+    FROM bakery_orders o
+    INNER JOIN shops s ON s.id = o.shop_id
+    WHERE o.id = $1
+    LIMIT 1;
+    `,
+    [orderId]
+  );
+
+  if (!rows[0]) return null;
+  return mapOrderRow(rows[0]);
+}
+
+async function getOrderByShopAndDate(shopId, orderDate) {
+  const finalDate = normalizeDateInput(orderDate);
+
+  const { rows } = await query(
+    `
+    SELECT
+      o.id,
+      o.shop_id AS "shopId",
+      o.order_date AS "orderDate",
+      o.status,
+      o.note,
+      o.submitted_at AS "submittedAt",
+      o.created_by AS "createdBy",
+      o.updated_by AS "updatedBy",
+      o.created_at AS "createdAt",
+      o.updated_at AS "updatedAt",
+      o.version,
+      o.received_at AS "receivedAt",
+      o.received_by AS "receivedBy",
+      o.receipt_note AS "receiptNote",
+      s.name AS "shopName",
+      s.code AS "shopCode"
+    FROM bakery_orders o
+    INNER JOIN shops s ON s.id = o.shop_id
+    WHERE o.shop_id = $1 AND o.order_date = $2
+    LIMIT 1;
+    `,
+    [shopId, finalDate]
+  );
+
+  if (!rows[0]) return null;
+  return mapOrderRow(rows[0]);
+}
+
+async function getOrderWithLines(orderId) {
+  const order = await getOrderById(orderId);
+  if (!order) return null;
+
+  const { rows } = await query(
+    `
+    SELECT
+      l.id,
+      l.order_id AS "orderId",
+      l.item_id AS "itemId",
+      l.item_name_snapshot AS "itemName",
+      l.category_snapshot AS "category",
+      l.unit_snapshot AS "unit",
+      l.ist_bestand AS "istBestand",
+      l.soll_snapshot AS "sollBestand",
+      l.suggested_qty AS "suggestedQty",
+      l.ordered_qty AS "orderedQty",
+      l.manual_override AS "manualOverride",
+      l.sort_order AS "sortOrder",
+      l.suggestion_basis AS "suggestionBasis",
+      l.forecast_qty AS "forecastQty",
+      l.received_qty AS "receivedQty",
+      l.unit_price_snapshot AS "unitPrice",
+      l.line_value_snapshot AS "lineValue",
+      COALESCE(l.production_unit_snapshot, l.unit_snapshot) AS "productionUnit",
+      l.production_factor_snapshot AS "productionFactor"
+    FROM bakery_order_lines l
+    WHERE l.order_id = $1
+    ORDER BY
+      COALESCE(NULLIF(l.category_snapshot, ''), 'ZZZ') ASC,
+      l.sort_order ASC,
+      l.item_name_snapshot ASC;
+    `,
+    [orderId]
+  );
+
+  order.lines = rows.map(mapOrderLineRow);
+  return order;
+}
+
+async function getSellThroughForecasts({ shop, orderDate, itemIds = null }, db = pool) {
+  const weeks = normalizeForecastWeeks(shop.forecastWeeks);
+  const safetyFactor = normalizeSafetyFactor(shop.forecastSafetyFactor);
+  const finalDate = normalizeDateInput(orderDate);
+  const sampleDates = Array.from({ length: weeks }, (_, index) =>
+    addDaysToDateInput(finalDate, -7 * (index + 1))
+  );
+
+  const { rows } = await db.query(
+    `
+    SELECT
+      l.item_id AS "itemId",
+      TO_CHAR(o.order_date, 'YYYY-MM-DD') AS "sampleDate",
+      l.ist_bestand AS "istBestand",
+      l.ordered_qty AS "orderedQty",
+      nl.ist_bestand AS "nextIstBestand",
+      COALESCE(w.quantity, 0) AS "wasteQty"
+    FROM bakery_order_lines l
+    INNER JOIN bakery_orders o ON o.id = l.order_id
+    INNER JOIN bakery_orders next_o
+      ON next_o.shop_id = o.shop_id AND next_o.order_date = o.order_date + 1
+    INNER JOIN bakery_order_lines nl
+      ON nl.order_id = next_o.id AND nl.item_id = l.item_id
+    LEFT JOIN bakery_waste_entries w
+      ON w.shop_id = o.shop_id AND w.item_id = l.item_id AND w.waste_date = o.order_date
+    WHERE
+      o.shop_id = $1
+      AND o.order_date = ANY($2::date[])
+      AND o.status = ANY($3::text[])
+      AND ($4::int[] IS NULL OR l.item_id = ANY($4::int[]))
+    ORDER BY o.order_date DESC;
+    `,
+    [shop.id, sampleDates, PRODUCTION_ORDER_STATUSES, itemIds]
+  );
+
+  const samplesByItem = new Map();
+  for (const row of rows) {
+    const sellThrough = Math.max(
+      toNumber(row.istBestand, 0)
+        + toNumber(row.orderedQty, 0)
+        - toNumber(row.nextIstBestand, 0)
+        - toNumber(row.wasteQty, 0),
+      0
+    );
+
+    if (!samplesByItem.has(row.itemId)) {
+      samplesByItem.set(row.itemId, []);
+    }
+    samplesByItem.get(row.itemId).push({ date: row.sampleDate, sellThrough: roundQty(sellThrough) });
+  }
+
+  const forecasts = new Map();
+  for (const [itemId, samples] of samplesByItem) {
+    const total = samples.reduce((sum, sample) => sum + sample.sellThrough, 0);
+    const averageSellThrough = roundQty(total / samples.length);
+
+    forecasts.set(itemId, {
+      weeks,
+      safetyFactor,
+      sampleCount: samples.length,
+      samples,
+      averageSellThrough,
+      forecastQty: Math.ceil(roundQty(averageSellThrough * safetyFactor)),
+    });
+  }
+
+  return forecasts;
+}
+
+function normalizeTemplateWeekday(value) {
+  if (value == null || value === '') return null;
+  const weekday = Math.round(toNumber(value, 0));
+  return WEEKDAYS.includes(weekday) ? weekday : null;
+}
+
+function mapOrderTemplateRow(row) {
+  return {
+    id: row.id,
+    shopId: row.shopId,
+    name: row.name,
+    weekday: row.weekday == null ? null : toNumber(row.weekday, 0),
+    createdBy: row.createdBy || '',
+    createdAt: row.createdAt || null,
+    updatedAt: row.updatedAt || null,
+    lineCount: toNumber(row.lineCount, 0),
+    totalQty: toNumber(row.totalQty, 0),
+  };
+}
+
+const ORDER_TEMPLATE_SELECT = `
+  SELECT
+    t.id,
+    t.shop_id AS "shopId",
+    t.name,
+    t.weekday,
+    t.created_by AS "createdBy",
+    t.created_at AS "createdAt",
+    t.updated_at AS "updatedAt",
+    COUNT(tl.item_id)::int AS "lineCount",
+    COALESCE(SUM(tl.ordered_qty), 0) AS "totalQty"
+  FROM bakery_order_templates t
+  LEFT JOIN bakery_order_template_lines tl ON tl.template_id = t.id
+`;
+
+async function listOrderTemplates(shopId) {
+  const { rows } = await query(
+    `
+    ${ORDER_TEMPLATE_SELECT}
+    WHERE t.shop_id = $1
+    GROUP BY t.id
+    ORDER BY t.weekday ASC NULLS LAST, t.name ASC;
+    `,
+    [shopId]
+  );
+
+  return rows.map(mapOrderTemplateRow);
+}
+
+async function getOrderTemplate(templateId, db = pool) {
+  const { rows } = await db.query(
+    `
+    ${ORDER_TEMPLATE_SELECT}
+    WHERE t.id = $1
+    GROUP BY t.id;
+    `,
+    [templateId]
+  );
+
+  if (!rows[0]) return null;
+
+  const lines = await db.query(
+    `
+    SELECT
+      item_id AS "itemId",
+      ordered_qty AS "orderedQty"
+    FROM bakery_order_template_lines
+    WHERE template_id = $1;
+    `,
+    [templateId]
+  );
+
+  return {
+    ...mapOrderTemplateRow(rows[0]),
+    lines: lines.rows.map((line) => ({
+      itemId: line.itemId,
+      orderedQty: toNumber(line.orderedQty, 0),
+    })),
+  };
+}
+
+async function getStandingOrderTemplate(shopId, orderDate) {
+  const { rows } = await query(
+    `
+    SELECT id
+    FROM bakery_order_templates
+    WHERE shop_id = $1 AND weekday = $2
+    LIMIT 1;
+    `,
+    [shopId, getIsoWeekday(orderDate)]
+  );
+
+  return rows[0] ? getOrderTemplate(rows[0].id) : null;
+}
+
+async function saveOrderAsTemplate({
+  shopId,
+  orderDate,
+  name,
+  weekday = null,
+  createdBy = '',
+}) {
+  const finalName = String(name || '').trim();
+  if (!finalName) {
+    throw createStoreError('Template name is required', 'TEMPLATE_NAME_REQUIRED');
+  }
+
+  const finalWeekday = normalizeTemplateWeekday(weekday);
+
+  const templateId = await withTransaction(async (client) => {
+    const order = await client.query(
+      `
+      SELECT
+        o.id,
+        COUNT(l.id)::int AS "lineCount"
+      FROM bakery_orders o
+      LEFT JOIN bakery_order_lines l ON l.order_id = o.id
+      WHERE o.shop_id = $1 AND o.order_date = $2
+      GROUP BY o.id
+      LIMIT 1;
+      `,
+      [shopId, normalizeDateInput(orderDate)]
+    );
+
+    if (!order.rows[0] || !toNumber(order.rows[0].lineCount, 0)) {
+      throw createStoreError('Order has no saved lines', 'ORDER_EMPTY');
+    }
+
+    const existing = await client.query(
+      `
+      SELECT id
+      FROM bakery_order_templates
+      WHERE shop_id = $1 AND LOWER(name) = LOWER($2)
+      LIMIT 1;
+      `,
+      [shopId, finalName]
+    );
+
+    if (finalWeekday) {
+      await client.query(
+        `
+        UPDATE bakery_order_templates
+        SET
+          weekday = NULL,
+          updated_at = NOW()
+        WHERE shop_id = $1 AND weekday = $2 AND LOWER(name) <> LOWER($3);
+        `,
+        [shopId, finalWeekday, finalName]
+      );
+    }
+
+    let id = existing.rows[0]?.id;
+
+    if (id) {
+      await client.query(
+        `
+        UPDATE bakery_order_templates
+        SET
+          name = $2,
+          weekday = $3,
+          created_by = $4,
+          updated_at = NOW()
+        WHERE id = $1;
+        `,
+        [id, finalName, finalWeekday, String(createdBy || '').trim()]
+      );
+
+      await client.query(
+        `
+        DELETE FROM bakery_order_template_lines
+        WHERE template_id = $1;
+        `,
+        [id]
+      );
+    } else {
+      const inserted = await client.query(
+        `
+        INSERT INTO bakery_order_templates (
+          shop_id,
+          name,
+          weekday,
+          created_by
+        )
+        VALUES ($1, $2, $3, $4)
+        RETURNING id;
+        `,
+        [shopId, finalName, finalWeekday, String(createdBy || '').trim()]
+      );
+      id = inserted.rows[0].id;
+    }
+
+    await client.query(
+      `
+      INSERT INTO bakery_order_template_lines (
+        template_id,
+        item_id,
+        ordered_qty
+      )
+      SELECT $1, l.item_id, l.ordered_qty
+      FROM bakery_order_lines l
+      WHERE l.order_id = $2;
+      `,
+      [id, order.rows[0].id]
+    );
+
+    return id;
+  });
+
+  return getOrderTemplate(templateId);
+}
+
+async function deleteOrderTemplate(templateId) {
+  const { rows } = await query(
+    `
+    DELETE FROM bakery_order_templates
+    WHERE id = $1
+    RETURNING id, shop_id AS "shopId", name;
+    `,
+    [templateId]
+  );
+
+  if (!rows[0]) {
+    throw createStoreError('Template not found', 'TEMPLATE_NOT_FOUND', 404);
+  }
+
+  return rows[0];
+}
+
+async function getOrderEditorData({
+  shopId,
+  orderDate = new Date(),
+  createdBy = '',
+  templateId = null,
+  createOrder = true,
+}) {
+  const order = createOrder
+    ? await getOrCreateOrder({ shopId, orderDate, createdBy })
+    : await getOrderByShopAndDate(shopId, orderDate);
+  const finalDate = normalizeDateInput(orderDate);
+  const shop = await getShopById(shopId);
+  const forecasts = shop?.suggestionMode === SUGGESTION_MODES.FORECAST
+    ? await getSellThroughForecasts({ shop, orderDate: finalDate })
+    : new Map();
+
+  const itemsResult = await query(
+    `
+    SELECT
+      i.id,
+      i.name,
+      i.category,
+      i.unit,
+      i.sort_order AS "sortOrder",
+      i.pack_size AS "packSize",
+      i.min_order_qty AS "minOrderQty",
+      i.rounding_mode AS "roundingMode",
+      i.production_unit AS "productionUnit",
+      i.production_unit_factor AS "productionUnitFactor",
+      COALESCE(ws.soll_bestand, iss.soll_bestand) AS "sollBestand",
+      iss.active_for_shop AS "activeForShop"
+    FROM bakery_items i
+    INNER JOIN bakery_item_shop_settings iss
+      ON iss.item_id = i.id
+    LEFT JOIN bakery_item_shop_weekday_soll ws
+      ON ws.item_id = iss.item_id AND ws.shop_id = iss.shop_id AND ws.weekday = $2
+    WHERE
+      iss.shop_id = $1
+      AND i.active = TRUE
+      AND iss.active_for_shop = TRUE
+      AND ${itemAvailabilitySql('$3')}
+    ORDER BY
+      COALESCE(NULLIF(i.category, ''), 'ZZZ') ASC,
+      i.sort_order ASC,
+      i.name ASC;
+    `,
+    [shopId, getIsoWeekday(finalDate), finalDate]
+  );
+
+  const lineRows = order
+    ? await query(
+      `
+      SELECT
+        l.item_id AS "itemId",
+        l.ist_bestand AS "istBestand",
+        l.soll_snapshot AS "sollBestand",
+        l.suggested_qty AS "suggestedQty",
+        l.ordered_qty AS "orderedQty",
+        l.manual_override AS "manualOverride",
+        l.suggestion_basis AS "suggestionBasis",
+        l.forecast_qty AS "forecastQty"
+      FROM bakery_order_lines l
+      WHERE l.order_id = $1;
+      `,
+      [order.id]
+    )
+    : { rows: [] };
+
+  let template = null;
+  if (!order || order.status === ORDER_STATUS.DRAFT) {
+    if (templateId) {
+      template = await getOrderTemplate(templateId);
+      if (!template || template.shopId !== toNumber(shopId, 0)) {
+        throw createStoreError('Template not found', 'TEMPLATE_NOT_FOUND', 404);
+      }
+    } else if (!lineRows.rows.length) {
+      template = await getStandingOrderTemplate(shopId, finalDate);
+    }
+  }
+
+  const templateMap = new Map(
+    (template?.lines || []).map((line) => [line.itemId, line.orderedQty])
+  );
+
+  const lineMap = new Map(
+    lineRows.rows.map((row) => [
+      row.itemId,
+      {
+        istBestand: toNumber(row.istBestand, 0),
+        sollBestand: toNumber(row.sollBestand, 0),
+        suggestedQty: toNumber(row.suggestedQty, 0),
+        orderedQty: toNumber(row.orderedQty, 0),
+        manualOverride: !!row.manualOverride,
+        suggestionBasis: row.suggestionBasis,
+        targetQty: row.suggestionBasis === SUGGESTION_MODES.FORECAST
+          ? toNumber(row.forecastQty, 0)
+          : toNumber(row.sollBestand, 0),
+      },
+    ])
+  );
+
+  const items = itemsResult.rows.map((item) => {
+    const existing = lineMap.get(item.id);
+    const forecast = forecasts.get(item.id) || null;
+    const sollBestand = existing
+      ? toNumber(existing.sollBestand, 0)
+      : toNumber(item.sollBestand, 0);
+    const { suggestionBasis, targetQty } = existing
+      ? existing
+      : resolveSuggestionTarget(shop, sollBestand, forecast);
+    const istBestand = existing ? toNumber(existing.istBestand, 0) : 0;
+    const suggestedQty = existing
+      ? toNumber(existing.suggestedQty, 0)
+      : calcSuggestedQty(targetQty, istBestand, item);
+    const templateQty = template ? templateMap.get(item.id) ?? 0 : null;
+    const orderedQty = template
+      ? templateQty
+      : existing
+        ? toNumber(existing.orderedQty, 0)
+        : suggestedQty;
+
+    return {
+      itemId: item.id,
+      name: item.name,
+      category: item.category,
+      unit: item.unit,
+      sortOrder: toNumber(item.sortOrder, 0),
+      ...normalizeOrderRules(item),
+      productionUnit: item.productionUnit || null,
+      productionUnitFactor: toNumber(item.productionUnitFactor, 1),
+      sollBestand,
+      istBestand,
+      suggestionBasis,
+      targetQty,
+      forecast,
+      suggestedQty,
+      orderedQty,
+      templateQty,
+      manualOverride: template
+        ? orderedQty !== suggestedQty
+        : existing ? !!existing.manualOverride : false,
+      orderDate: finalDate,
+    };
+  });
+
+  return {
+    order,
+    items,
+    template: template
+      ? {
+          id: template.id,
+          name: template.name,
+          weekday: template.weekday,
+          standing: !templateId,
+        }
+      : null,
+    suggestionMode: shop?.suggestionMode || SUGGESTION_MODES.SOLL,
+    cutoff: await getOrderCutoffStatus(shopId, finalDate),
+  };
+}
+
+async function getOrderCutoffStatus(shopId, orderDate = new Date(), now = new Date()) {
+  const shop = await getShopById(shopId);
+  if (!shop) {
+    throw createStoreError('Shop not found', 'SHOP_NOT_FOUND', 404);
+  }
+
+  return getOrderCutoffState(shop, orderDate, now);
+}
+
+async function assertOrderEditable(shopId, orderDate) {
+  const cutoff = await getOrderCutoffStatus(shopId, orderDate);
+
+  if (cutoff.locked) {
+    throw createStoreError(
+      cutoff.reason === 'PAST_DATE'
+        ? 'Orders for past dates cannot be changed'
+        : 'Order cutoff has passed',
+      'ORDER_CUTOFF_PASSED',
+      409,
+      cutoff
+    );
+  }
+
+  return cutoff;
+}
+
+async function processOrderCutoffs({
+  now = new Date(),
+  updatedBy = 'System (Annahmeschluss)',
+} = {}) {
+  const { rows } = await query(
+    `
+    SELECT
+      o.id,
+      o.order_date AS "orderDate",
+      TO_CHAR(s.order_cutoff_time, 'HH24:MI') AS "orderCutoffTime",
+      s.order_cutoff_days_before AS "orderCutoffDaysBefore",
+      s.cutoff_action AS "cutoffAction",
+      COUNT(l.id)::int AS "lineCount"
+    FROM bakery_orders o
+    INNER JOIN shops s ON s.id = o.shop_id
+    LEFT JOIN bakery_order_lines l ON l.order_id = o.id
+    WHERE
+      o.status = $1
+      AND o.order_date >= $2
+      AND s.order_cutoff_time IS NOT NULL
+    GROUP BY o.id, s.id;
+    `,
+    [ORDER_STATUS.DRAFT, localDateInput(now)]
+  );
+
+  const submittedIds = [];
+  let lockedCount = 0;
+
+  for (const row of rows) {
+    const orderDate = typeof row.orderDate === 'string'
+      ? row.orderDate.slice(0, 10)
+      : normalizeDateInput(row.orderDate);
+    const cutoff = getOrderCutoffState(row, orderDate, now);
+    if (!cutoff.locked) continue;
+
+    if (row.cutoffAction === CUTOFF_ACTIONS.SUBMIT && toNumber(row.lineCount, 0) > 0) {
+      submittedIds.push(row.id);
+    } else {
+      lockedCount += 1;
+    }
+  }
+
+  const submittedOrderIds = [];
+
+  if (submittedIds.length) {
+    await withTransaction(async (client) => {
+      const updated = await client.query(
+        `
+        UPDATE bakery_orders
+        SET
+          status = $2,
+          submitted_at = NOW(),
+          updated_by = $3,
+          updated_at = NOW(),
+          version = version + 1
+        WHERE id = ANY($1::int[]) AND status = $4
+        RETURNING id;
+        `,
+        [submittedIds, ORDER_STATUS.SUBMITTED, updatedBy, ORDER_STATUS.DRAFT]
+      );
+
+      await snapshotOrderLineValues(client, updated.rows.map((row) => row.id));
+
+      for (const row of updated.rows) {
+        submittedOrderIds.push(row.id);
+        await insertOrderAudit(client, {
+          orderId: row.id,
+          action: ORDER_AUDIT_ACTIONS.AUTO_SUBMIT,
+          changedBy: updatedBy,
+          statusBefore: ORDER_STATUS.DRAFT,
+          statusAfter: ORDER_STATUS.SUBMITTED,
+        });
+      }
+    });
+  }
+
+  return {
+    submittedOrderIds,
+    lockedCount,
+  };
+}
+
+async function insertOrderAudit(db, {
+  orderId,
+  action,
+  changedBy = '',
+  statusBefore = null,
+  statusAfter = null,
+  noteBefore = null,
+  noteAfter = null,
+  lineChanges = [],
+}) {
+  const noteChanged = noteBefore !== noteAfter;
+
+  await db.query(
+    `
+    INSERT INTO bakery_order_audit (
+      order_id,
+      action,
+      changed_by,
+      status_before,
+      status_after,
+      note_before,
+      note_after,
+      line_changes
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb);
+    `,
+    [
+      orderId,
+      action,
+      String(changedBy || '').trim(),
+      statusBefore,
+      statusAfter,
+      noteChanged ? noteBefore : null,
+      noteChanged ? noteAfter : null,
+      JSON.stringify(lineChanges),
+    ]
+  );
+}
+
+async function listOrderAudit(orderId) {
+  const { rows } = await query(
+    `
+    SELECT
+      a.id,
+      a.order_id AS "orderId",
+      a.action,
+      a.changed_by AS "changedBy",
+      a.status_before AS "statusBefore",
+      a.status_after AS "statusAfter",
+      a.note_before AS "noteBefore",
+      a.note_after AS "noteAfter",
+      a.line_changes AS "lineChanges",
+      a.created_at AS "createdAt"
+    FROM bakery_order_audit a
+    WHERE a.order_id = $1
+    ORDER BY a.created_at DESC, a.id DESC;
+    `,
+    [orderId]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    lineChanges: Array.isArray(row.lineChanges) ? row.lineChanges : [],
+  }));
+}
+
+async function writeOrderDraft(client, {
+  shop,
+  shopId,
+  orderDate: finalDate,
+  note = null,
+  createdBy = '',
+  updatedBy = '',
+  lines = [],
+  submit = false,
+  autosave = false,
+  expectedVersion = null,
+}) {
+  await client.query('SELECT id FROM shops WHERE id = $1 FOR SHARE;', [shopId]);
+
+  let order = await client.query(
+    `
+    SELECT
+      id,
+      status,
+      note,
+      version,
+      updated_by AS "updatedBy",
+      updated_at AS "updatedAt"
+    FROM bakery_orders
+    WHERE shop_id = $1 AND order_date = $2
+    LIMIT 1
+    FOR UPDATE;
+    `,
+    [shopId, finalDate]
+  );
+  const previousStatus = order.rows[0]?.status || null;
+  const previousNote = order.rows[0] ? order.rows[0].note : null;
+  const finalNote = note == null ? String(previousNote || '').trim() : String(note).trim();
+
+  if (!order.rows[0]) {
+    const inserted = await client.query(
+      `
+      INSERT INTO bakery_orders (
+        shop_id,
+        order_date,
+        status,
+        note,
+        created_by,
+        updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, status, note;
+      `,
+      [
+        shopId,
+        finalDate,
+        ORDER_STATUS.DRAFT,
+        finalNote,
+        String(createdBy || '').trim(),
+        String(updatedBy || createdBy || '').trim(),
+      ]
+    );
+    order = inserted;
+  } else {
+    if (order.rows[0].status !== ORDER_STATUS.DRAFT) {
+      throw createStoreError('Submitted orders cannot be changed', 'ORDER_LOCKED', 409, {
+        status: order.rows[0].status,
+      });
+    }
+
+    if (expectedVersion != null && toNumber(order.rows[0].version, 1) !== toNumber(expectedVersion, 0)) {
+      throw createStoreError('Order was changed since it was loaded', 'ORDER_CONFLICT', 409, {
+        orderId: order.rows[0].id,
+        expectedVersion: toNumber(expectedVersion, 0),
+        currentVersion: toNumber(order.rows[0].version, 1),
+        updatedBy: order.rows[0].updatedBy || '',
+        updatedAt: order.rows[0].updatedAt,
+      });
+    }
+  }
+
+  const orderId = order.rows[0].id;
+  const changedBy = String(updatedBy || createdBy || '').trim();
+  const lineChanges = [];
+
+  const finishSave = async () => {
+    if (submit) {
+      await client.query(
+        `
+        UPDATE bakery_orders
+        SET
+          status = $2,
+          note = $3,
+          submitted_at = NOW(),
+          updated_by = $4,
+          updated_at = NOW(),
+          version = version + 1
+        WHERE id = $1;
+        `,
+        [orderId, ORDER_STATUS.SUBMITTED, finalNote, changedBy]
+      );
+
+      await snapshotOrderLineValues(client, [orderId]);
+    } else if (previousStatus && (lineChanges.length || previousNote !== finalNote)) {
+      await client.query(
+        `
+        UPDATE bakery_orders
+        SET
+          note = $2,
+          updated_by = $3,
+          updated_at = NOW(),
+          version = version + 1
+        WHERE id = $1;
+        `,
+        [orderId, finalNote, changedBy]
+      );
+    }
+
+    if (autosave && !lineChanges.length && previousStatus && previousNote === finalNote) {
+      return orderId;
+    }
+
+    await insertOrderAudit(client, {
+      orderId,
+      action: submit
+        ? ORDER_AUDIT_ACTIONS.SUBMIT
+        : autosave ? ORDER_AUDIT_ACTIONS.AUTOSAVE : ORDER_AUDIT_ACTIONS.SAVE,
+      changedBy,
+      statusBefore: previousStatus,
+      statusAfter: submit ? ORDER_STATUS.SUBMITTED : ORDER_STATUS.DRAFT,
+      noteBefore: previousNote,
+      noteAfter: finalNote,
+      lineChanges,
+    });
+
+    return orderId;
+  };
+
+  const itemIds = [...new Set(lines.map((line) => toNumber(line.itemId, 0)).filter(Boolean))];
+  if (!itemIds.length) {
+    return finishSave();
+  }
+
+  const previousLines = await client.query(
+    `
+    SELECT
+      item_id AS "itemId",
+      ist_bestand AS "istBestand",
+      ordered_qty AS "orderedQty"
+    FROM bakery_order_lines
+    WHERE order_id = $1;
+    `,
+    [orderId]
+  );
+  const previousLineMap = new Map(
+    previousLines.rows.map((row) => [
+      row.itemId,
+      { istBestand: toNumber(row.istBestand, 0), orderedQty: toNumber(row.orderedQty, 0) },
+    ])
+  );
+
+  const itemMeta = await client.query(
+    `
+    SELECT
+      i.id,
+      i.name,
+      i.category,
+      i.unit,
+      i.sort_order AS "sortOrder",
+      i.pack_size AS "packSize",
+      i.min_order_qty AS "minOrderQty",
+      i.rounding_mode AS "roundingMode",
+      COALESCE(i.production_unit, i.unit) AS "productionUnit",
+      CASE
+        WHEN i.production_unit IS NULL OR i.production_unit = i.unit THEN 1
+        ELSE i.production_unit_factor
+      END AS "productionUnitFactor",
+      COALESCE(ws.soll_bestand, iss.soll_bestand, 0) AS "sollBestand",
+      TO_CHAR(iss.available_from, 'YYYY-MM-DD') AS "availableFrom",
+      TO_CHAR(iss.available_to, 'YYYY-MM-DD') AS "availableTo",
+      iss.available_weekdays AS "availableWeekdays"
+    FROM bakery_items i
+    LEFT JOIN bakery_item_shop_settings iss
+      ON iss.item_id = i.id AND iss.shop_id = $2
+    LEFT JOIN bakery_item_shop_weekday_soll ws
+      ON ws.item_id = iss.item_id AND ws.shop_id = iss.shop_id AND ws.weekday = $3
+    WHERE i.id = ANY($1::int[]);
+    `,
+    [itemIds, shopId, getIsoWeekday(finalDate)]
+  );
+
+  const forecasts = shop?.suggestionMode === SUGGESTION_MODES.FORECAST
+    ? await getSellThroughForecasts({ shop, orderDate: finalDate, itemIds }, client)
+    : new Map();
+
+  const metaMap = new Map(
+    itemMeta.rows.map((row) => [
+      row.id,
+      {
+        itemId: row.id,
+        itemName: row.name,
+        category: row.category,
+        unit: row.unit,
+        sortOrder: toNumber(row.sortOrder, 0),
+        orderRules: normalizeOrderRules(row),
+        productionUnit: row.productionUnit,
+        productionUnitFactor: toNumber(row.productionUnitFactor, 1),
+        sollBestand: toNumber(row.sollBestand, 0),
+        availableFrom: row.availableFrom || null,
+        availableTo: row.availableTo || null,
+        availableWeekdays: row.availableWeekdays ? row.availableWeekdays.map((weekday) => toNumber(weekday, 0)) : null,
+      },
+    ])
+  );
+  const unavailableLines = [];
+  const ruleViolations = [];
+
+  for (const line of lines) {
+    const itemId = toNumber(line.itemId, 0);
+    if (!itemId || !metaMap.has(itemId)) continue;
+
+    const meta = metaMap.get(itemId);
+    const istBestand = clampNonNegative(line.istBestand);
+    const sollBestand = meta.sollBestand;
+    const forecast = forecasts.get(itemId) || null;
+    const { suggestionBasis, targetQty } = resolveSuggestionTarget(shop, sollBestand, forecast);
+    const suggestedQty = calcSuggestedQty(targetQty, istBestand, meta.orderRules);
+
+    let orderedQty = line.orderedQty == null || line.orderedQty === ''
+      ? suggestedQty
+      : clampNonNegative(line.orderedQty);
+
+    if (!isAvailableOn(meta, finalDate)) {
+      if (orderedQty > 0) {
+        unavailableLines.push({
+          itemId,
+          itemName: meta.itemName,
+          availableFrom: meta.availableFrom,
+          availableTo: meta.availableTo,
+          availableWeekdays: meta.availableWeekdays,
+        });
+      }
+      continue;
+    }
+
+    const ruleViolation = autosave ? null : getOrderRuleViolation(orderedQty, meta.orderRules);
+    if (ruleViolation) {
+      ruleViolations.push({
+        itemId,
+        itemName: meta.itemName,
+        orderedQty,
+        packSize: meta.orderRules.packSize,
+        minOrderQty: meta.orderRules.minOrderQty,
+        reason: ruleViolation,
+      });
+    }
+
+    const manualOverride = orderedQty !== suggestedQty;
+    const previousLine = previousLineMap.get(itemId);
+
+    if (
+      !previousLine
+      || previousLine.istBestand !== istBestand
+      || previousLine.orderedQty !== orderedQty
+    ) {
+      lineChanges.push({
+        itemId,
+        itemName: meta.itemName,
+        istBefore: previousLine ? previousLine.istBestand : null,
+        istAfter: istBestand,
+        orderedBefore: previousLine ? previousLine.orderedQty : null,
+        orderedAfter: orderedQty,
+      });
+    }
+
+    await client.query(
+      `
+      INSERT INTO bakery_order_lines (
+        order_id,
+        item_id,
+        item_name_snapshot,
+        category_snapshot,
+        unit_snapshot,
+        ist_bestand,
+        soll_snapshot,
+        suggested_qty,
+        ordered_qty,
+        manual_override,
+        sort_order,
+        suggestion_basis,
+        forecast_qty,
+        production_unit_snapshot,
+        production_factor_snapshot
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      ON CONFLICT (order_id, item_id)
+      DO UPDATE SET
+        item_name_snapshot = EXCLUDED.item_name_snapshot,
+        category_snapshot = EXCLUDED.category_snapshot,
+        unit_snapshot = EXCLUDED.unit_snapshot,
+        ist_bestand = EXCLUDED.ist_bestand,
+        soll_snapshot = EXCLUDED.soll_snapshot,
+        suggested_qty = EXCLUDED.suggested_qty,
+        ordered_qty = EXCLUDED.ordered_qty,
+        manual_override = EXCLUDED.manual_override,
+        sort_order = EXCLUDED.sort_order,
+        suggestion_basis = EXCLUDED.suggestion_basis,
+        forecast_qty = EXCLUDED.forecast_qty,
+        production_unit_snapshot = EXCLUDED.production_unit_snapshot,
+        production_factor_snapshot = EXCLUDED.production_factor_snapshot,
+        updated_at = NOW();
+      `,
+      [
+        orderId,
+        itemId,
+        meta.itemName,
+        meta.category,
+        meta.unit,
+        istBestand,
+        sollBestand,
+        suggestedQty,
+        orderedQty,
+        manualOverride,
+        meta.sortOrder,
+        suggestionBasis,
+        forecast ? forecast.forecastQty : null,
+        meta.productionUnit,
+        meta.productionUnitFactor,
+      ]
+    );
+  }
+
+  if (unavailableLines.length) {
+    throw createStoreError('Items are not available on this order date', 'ITEM_NOT_AVAILABLE', 409, {
+      orderDate: finalDate,
+      items: unavailableLines,
+    });
+  }
+
+  if (ruleViolations.length) {
+    throw createStoreError('Ordered quantities violate pack size or minimum order rules', 'ORDER_QTY_RULES_VIOLATED', 400, {
+      items: ruleViolations,
+    });
+  }
+
+  return finishSave();
+}
+
+async function snapshotOrderLineValues(client, orderIds = []) {
+  if (!orderIds.length) return;
+
+  await client.query(
+    `
+    WITH priced AS (
+      SELECT l.id, price.price
+      FROM bakery_order_lines l
+      INNER JOIN bakery_orders o ON o.id = l.order_id
+      ${ITEM_PRICE_LATERAL}
+      WHERE l.order_id = ANY($1::int[])
+    )
+    UPDATE bakery_order_lines l
+    SET
+      unit_price_snapshot = priced.price,
+      line_value_snapshot = ROUND(l.ordered_qty * priced.price, 2)
+    FROM priced
+    WHERE priced.id = l.id;
+    `,
+    [orderIds]
+  );
+}
+
+async function saveOrderDraft({
+  shopId,
+  orderDate = new Date(),
+  note = '',
+  createdBy = '',
+  updatedBy = '',
+  lines = [],
+  allowAfterCutoff = false,
+  submit = false,
+  autosave = false,
+  expectedVersion = null,
+}) {
+  const finalDate = normalizeDateInput(orderDate);
+
+  if (!allowAfterCutoff) {
+    await assertOrderEditable(shopId, finalDate);
+  }
+
+  const shop = await getShopById(shopId);
+
+  const savedOrderId = await withTransaction((client) => writeOrderDraft(client, {
+    shop,
+    shopId,
+    orderDate: finalDate,
+    note,
+    createdBy,
+    updatedBy,
+    lines,
+    submit,
+    autosave,
+    expectedVersion,
+  }));
+
+  return getOrderWithLines(savedOrderId);
+}
+
+async function copyOrder({
+  sourceOrderId,
+  shopId,
+  orderDate,
+  createdBy = '',
+  allowAfterCutoff = false,
+}) {
+  const source = await getOrderWithLines(sourceOrderId);
+  if (!source) {
+    throw createStoreError('Order not found', 'ORDER_NOT_FOUND', 404);
+  }
+
+  const targetShop = await getShopById(shopId);
+  if (!targetShop) {
+    throw createStoreError('Shop not found', 'SHOP_NOT_FOUND', 404);
+  }
+
+  const finalDate = normalizeDateInput(orderDate);
+  if (source.shopId === targetShop.id && source.orderDate === finalDate) {
+    throw createStoreError('Source and target order are the same', 'COPY_SAME_ORDER');
+  }
+
+  const { rows } = await query(
+    `
+    SELECT
+      i.id,
+      i.active,
+      i.pack_size AS "packSize",
+      i.min_order_qty AS "minOrderQty",
+      i.rounding_mode AS "roundingMode",
+      COALESCE(iss.active_for_shop, FALSE) AS "activeForShop",
+      COALESCE(${itemAvailabilitySql('$3')}, FALSE) AS "availableOnDate"
+    FROM bakery_items i
+    LEFT JOIN bakery_item_shop_settings iss
+      ON iss.item_id = i.id AND iss.shop_id = $2
+    WHERE i.id = ANY($1::int[]);
+    `,
+    [source.lines.map((line) => line.itemId), targetShop.id, finalDate]
+  );
+  const availability = new Map(rows.map((row) => [row.id, row]));
+
+  const existingTarget = await getOrderByShopAndDate(targetShop.id, finalDate);
+  const existingLines = existingTarget
+    ? (await getOrderWithLines(existingTarget.id)).lines
+    : [];
+  const existingIst = new Map(existingLines.map((line) => [line.itemId, line.istBestand]));
+
+  const lines = [];
+  const droppedLines = [];
+  const adjustedLines = [];
+
+  for (const line of source.lines) {
+    const item = availability.get(line.itemId);
+    const reason = !item || !item.active
+      ? 'ITEM_INACTIVE'
+      : !item.activeForShop
+        ? 'NOT_ACTIVE_FOR_SHOP'
+        : !item.availableOnDate
+          ? 'NOT_AVAILABLE_ON_DATE'
+          : null;
+
+    if (reason) {
+      droppedLines.push({ itemId: line.itemId, itemName: line.itemName, reason });
+      continue;
+    }
+
+    const orderedQty = applyOrderRules(line.orderedQty, item);
+    if (orderedQty !== toNumber(line.orderedQty, 0)) {
+      adjustedLines.push({
+        itemId: line.itemId,
+        itemName: line.itemName,
+        orderedQty: toNumber(line.orderedQty, 0),
+        adjustedQty: orderedQty,
+      });
+    }
+
+    lines.push({
+      itemId: line.itemId,
+      istBestand: existingIst.get(line.itemId) ?? 0,
+      orderedQty,
+    });
+  }
+
+  const copiedItemIds = new Set(lines.map((line) => line.itemId));
+  const clearedLines = existingLines.filter(
+    (line) => !copiedItemIds.has(line.itemId) && toNumber(line.orderedQty, 0) > 0
+  );
+  const copiedCount = lines.length;
+
+  for (const line of clearedLines) {
+    lines.push({
+      itemId: line.itemId,
+      istBestand: line.istBestand,
+      orderedQty: 0,
+    });
+  }
+
+  const order = await saveOrderDraft({
+    shopId: targetShop.id,
+    orderDate: finalDate,
+    note: existingTarget ? existingTarget.note : source.note,
+    createdBy,
+    updatedBy: createdBy,
+    lines,
+    allowAfterCutoff,
+  });
+
+  return {
+    order,
+    sourceOrderId: source.id,
+    copiedCount,
+    clearedCount: clearedLines.length,
+    droppedLines,
+    adjustedLines,
+  };
+}
+
+async function submitOrder({
+  shopId,
+  orderDate = new Date(),
+  note = '',
+  createdBy = '',
+  updatedBy = '',
+  lines = [],
+  allowAfterCutoff = false,
+  expectedVersion = null,
+}) {
+  return saveOrderDraft({
+    shopId,
+    orderDate,
+    note,
+    createdBy,
+    updatedBy,
+    lines,
+    allowAfterCutoff,
+    submit: true,
+    expectedVersion,
+  });
+}
+
+async function getBulkOrderEditorData({
+  orderDate = new Date(),
+  shopIds = null,
+}) {
+  const finalDate = normalizeDateInput(orderDate);
+  const allowedShopIds = Array.isArray(shopIds) ? shopIds.map((id) => toNumber(id, 0)) : null;
+  const shops = (await listShops({ activeOnly: true }))
+    .filter((shop) => !allowedShopIds || allowedShopIds.includes(shop.id));
+
+  const columns = [];
+  const itemMap = new Map();
+
+  for (const shop of shops) {
+    const editor = await getOrderEditorData({ shopId: shop.id, orderDate: finalDate, createOrder: false });
+
+    columns.push({
+      shop,
+      order: editor.order,
+      cutoff: editor.cutoff,
+      suggestionMode: editor.suggestionMode,
+      locked: !!editor.order && editor.order.status !== ORDER_STATUS.DRAFT,
+    });
+
+    for (const item of editor.items) {
+      if (!itemMap.has(item.itemId)) {
+        itemMap.set(item.itemId, {
+          itemId: item.itemId,
+          name: item.name,
+          category: item.category,
+          unit: item.unit,
+          sortOrder: item.sortOrder,
+          cells: {},
+        });
+      }
+
+      itemMap.get(item.itemId).cells[shop.id] = item;
+    }
+  }
+
+  const items = [...itemMap.values()].sort((a, b) => {
+    const categoryA = String(a.category || '').trim() || 'ZZZ';
+    const categoryB = String(b.category || '').trim() || 'ZZZ';
+    return categoryA.localeCompare(categoryB, 'de')
+      || a.sortOrder - b.sortOrder
+      || a.name.localeCompare(b.name, 'de');
+  });
+
+  return {
+    orderDate: finalDate,
+    shops: columns,
+    items,
+  };
+}
+
+async function saveBulkOrders({
+  orderDate = new Date(),
+  orders = [],
+  createdBy = '',
+  updatedBy = '',
+  allowAfterCutoff = false,
+  submit = false,
+}) {
+  const finalDate = normalizeDateInput(orderDate);
+  const entries = [];
+
+  for (const entry of orders) {
+    const shopId = toNumber(entry?.shopId, 0);
+    if (!shopId) continue;
+
+    const shop = await getShopById(shopId);
+    if (!shop) {
+      throw createStoreError('Shop not found', 'SHOP_NOT_FOUND', 404, { shopId });
+    }
+
+    if (!allowAfterCutoff) {
+      const cutoff = await getOrderCutoffStatus(shopId, finalDate);
+      if (cutoff.locked) {
+        throw createStoreError('Order cutoff has passed', 'ORDER_CUTOFF_PASSED', 409, {
+          ...cutoff,
+          shopId,
+          shopName: shop.name,
+        });
+      }
+    }
+
+    entries.push({
+      shop,
+      shopId,
+      note: entry.note,
+      lines: entry.lines || [],
+      expectedVersion: entry.expectedVersion ?? null,
+    });
+  }
+
+  if (!entries.length) {
+    throw createStoreError('At least one shop order is required', 'ORDER_EMPTY');
+  }
+
+  const orderIds = await withTransaction(async (client) => {
+    const savedIds = [];
+
+    for (const entry of entries) {
+      try {
+        savedIds.push(await writeOrderDraft(client, {
+          shop: entry.shop,
+          shopId: entry.shopId,
+          orderDate: finalDate,
+          note: entry.note,
+          createdBy,
+          updatedBy,
+          lines: entry.lines,
+          submit,
+          expectedVersion: entry.expectedVersion,
+        }));
+      } catch (error) {
+        if (error.code) {
+          error.details = { ...error.details, shopId: entry.shopId, shopName: entry.shop.name };
+        }
+        throw error;
+      }
+    }
+
+    return savedIds;
+  });
+
+  const savedOrders = [];
+  for (const orderId of orderIds) {
+    savedOrders.push(await getOrderWithLines(orderId));
+  }
+
+  return savedOrders;
+}
+
+function getOrderStatusTransitions(status) {
+  return [...(ORDER_STATUS_TRANSITIONS[status] || [])];
+}
+
+function canTransitionOrderStatus(fromStatus, toStatus) {
+  return getOrderStatusTransitions(fromStatus).includes(toStatus);
+}
+
+function normalizeOrderStatusFilter(value, fallback = null) {
+  const values = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const statuses = [...new Set(values.map((status) => String(status || '').trim().toUpperCase()))]
+    .filter((status) => ORDER_STATUS_VALUES.includes(status));
+
+  return statuses.length ? statuses : fallback;
+}
+
+async function changeOrderStatus(orderId, nextStatus, updatedBy = '') {
+  if (!ORDER_STATUS_VALUES.includes(nextStatus)) {
+    throw createStoreError('Unknown order status', 'INVALID_STATUS', 400, { status: nextStatus });
+  }
+
+  await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `
+      SELECT id, status
+      FROM bakery_orders
+      WHERE id = $1
+      FOR UPDATE;
+      `,
+      [orderId]
+    );
+
+    if (!rows[0]) {
+      throw createStoreError('Order not found', 'ORDER_NOT_FOUND', 404);
+    }
+
+    const currentStatus = rows[0].status;
+    if (!canTransitionOrderStatus(currentStatus, nextStatus)) {
+      throw createStoreError(
+        `Order status cannot change from ${currentStatus} to ${nextStatus}`,
+        'INVALID_STATUS_TRANSITION',
+        409,
+        { from: currentStatus, to: nextStatus, allowed: getOrderStatusTransitions(currentStatus) }
+      );
+    }
+
+    await client.query(
+      `
+      UPDATE bakery_orders
+      SET
+        status = $2,
+        submitted_at = CASE
+          WHEN $2 = $4 THEN NULL
+          ELSE submitted_at
+        END,
+        updated_by = $3,
+        updated_at = NOW(),
+        version = version + 1
+      WHERE id = $1;
+      `,
+      [
+        orderId,
+        nextStatus,
+        String(updatedBy || '').trim(),
+        ORDER_STATUS.DRAFT,
+      ]
+    );
+
+    await insertOrderAudit(client, {
+      orderId,
+      action: nextStatus === ORDER_STATUS.DRAFT
+        ? ORDER_AUDIT_ACTIONS.REOPEN
+        : ORDER_AUDIT_ACTIONS.STATUS_CHANGE,
+      changedBy: updatedBy,
+      statusBefore: currentStatus,
+      statusAfter: nextStatus,
+    });
+  });
+
+  return getOrderWithLines(orderId);
+}
+
+async function reopenOrder(orderId, updatedBy = '') {
+  return changeOrderStatus(orderId, ORDER_STATUS.DRAFT, updatedBy);
+}
+
+async function confirmOrderReceipt({
+  orderId,
+  lines = [],
+  note = '',
+  receivedBy = '',
+}) {
+  await withTransaction(async (client) => {
+    const order = await client.query(
+      `
+      SELECT id, status, receipt_note AS "receiptNote"
+      FROM bakery_orders
+      WHERE id = $1
+      FOR UPDATE;
+      `,
+      [orderId]
+    );
+
+    if (!order.rows[0]) {
+      throw createStoreError('Order not found', 'ORDER_NOT_FOUND', 404);
+    }
+
+    const { status, receiptNote } = order.rows[0];
+    if (!RECEIVABLE_ORDER_STATUSES.includes(status)) {
+      throw createStoreError('Order has not been delivered yet', 'ORDER_NOT_RECEIVABLE', 409, { status });
+    }
+
+    const currentLines = await client.query(
+      `
+      SELECT
+        item_id AS "itemId",
+        item_name_snapshot AS "itemName",
+        ordered_qty AS "orderedQty",
+        received_qty AS "receivedQty"
+      FROM bakery_order_lines
+      WHERE order_id = $1;
+      `,
+      [orderId]
+    );
+
+    const receivedMap = new Map(
+      lines.map((line) => [toNumber(line.itemId, 0), line.receivedQty])
+    );
+    const changedBy = String(receivedBy || '').trim();
+    const lineChanges = [];
+
+    for (const line of currentLines.rows) {
+      const orderedQty = toNumber(line.orderedQty, 0);
+      const value = receivedMap.get(line.itemId);
+      const receivedQty = value == null || value === ''
+        ? orderedQty
+        : clampNonNegative(value);
+      const previousQty = line.receivedQty == null ? null : toNumber(line.receivedQty, 0);
+
+      if (previousQty === receivedQty) continue;
+
+      await client.query(
+        `
+        UPDATE bakery_order_lines
+        SET
+          received_qty = $3,
+          updated_at = NOW()
+        WHERE order_id = $1 AND item_id = $2;
+        `,
+        [orderId, line.itemId, receivedQty]
+      );
+
+      lineChanges.push({
+        itemId: line.itemId,
+        itemName: line.itemName,
+        orderedQty,
+        receivedBefore: previousQty,
+        receivedAfter: receivedQty,
+      });
+    }
+
+    await client.query(
+      `
+      UPDATE bakery_orders
+      SET
+        status = $2,
+        received_at = NOW(),
+        received_by = $3,
+        receipt_note = $4,
+        updated_by = $3,
+        updated_at = NOW(),
+        version = version + 1
+      WHERE id = $1;
+      `,
+      [orderId, ORDER_STATUS.DELIVERED, changedBy, String(note || '').trim()]
+    );
+
+    await insertOrderAudit(client, {
+      orderId,
+      action: ORDER_AUDIT_ACTIONS.RECEIPT,
+      changedBy,
+      statusBefore: status,
+      statusAfter: ORDER_STATUS.DELIVERED,
+      noteBefore: receiptNote,
+      noteAfter: String(note || '').trim(),
+      lineChanges,
+    });
+  });
+
+  return getOrderWithLines(orderId);
+}
+
+async function getReceiptDiscrepancyReport({
+  dateFrom,
+  dateTo,
+  shopId = null,
+} = {}) {
+  if (!dateFrom || !dateTo) {
+    throw createStoreError('dateFrom and dateTo are required', 'VALIDATION_ERROR');
+  }
+
+  const params = [normalizeDateInput(dateFrom), normalizeDateInput(dateTo)];
+  const whereParts = [
+    `o.order_date >= $1`,
+    `o.order_date <= $2`,
+    `l.received_qty IS NOT NULL`,
+    `l.received_qty <> l.ordered_qty`,
+  ];
+
+  if (shopId) {
+    params.push(shopId);
+    whereParts.push(`o.shop_id = $${params.length}`);
+  }
+
+  const { rows } = await query(
+    `
+    SELECT
+      o.id AS "orderId",
+      o.order_date AS "orderDate",
+      o.received_at AS "receivedAt",
+      o.received_by AS "receivedBy",
+      o.receipt_note AS "receiptNote",
+      s.id AS "shopId",
+      s.name AS "shopName",
+      l.item_id AS "itemId",
+      l.item_name_snapshot AS "itemName",
+      l.unit_snapshot AS "unit",
+      l.ordered_qty AS "orderedQty",
+      l.received_qty AS "receivedQty"
+    FROM bakery_order_lines l
+    INNER JOIN bakery_orders o ON o.id = l.order_id
+    INNER JOIN shops s ON s.id = o.shop_id
+    WHERE ${whereParts.join(' AND ')}
+    ORDER BY o.order_date ASC, s.sort_order ASC, s.name ASC, l.sort_order ASC, l.item_name_snapshot ASC;
+    `,
+    params
+  );
+
+  const lines = rows.map((row) => {
+    const orderedQty = toNumber(row.orderedQty, 0);
+    const receivedQty = toNumber(row.receivedQty, 0);
+
+    return {
+      ...row,
+      orderDate: typeof row.orderDate === 'string'
+        ? row.orderDate.slice(0, 10)
+        : normalizeDateInput(row.orderDate),
+      orderedQty,
+      receivedQty,
+      discrepancyQty: receivedQty - orderedQty,
+    };
+  });
+
+  return {
+    dateFrom: normalizeDateInput(dateFrom),
+    dateTo: normalizeDateInput(dateTo),
+    lines,
+    totals: {
+      lineCount: lines.length,
+      orderCount: new Set(lines.map((line) => line.orderId)).size,
+      missingQty: lines.reduce((sum, line) => sum + Math.max(0, -line.discrepancyQty), 0),
+      surplusQty: lines.reduce((sum, line) => sum + Math.max(0, line.discrepancyQty), 0),
+    },
+  };
+}
+
+async function listOrders({
+  shopId = null,
+  shopIds = null,
+  status = null,
+  dateFrom = null,
+  dateTo = null,
+} = {}) {
+  const whereParts = [];
+  const params = [];
+
+  if (shopId) {
+    params.push(shopId);
+    whereParts.push(`o.shop_id = $${params.length}`);
+  }
+
+  if (Array.isArray(shopIds)) {
+    params.push(shopIds.map((id) => toNumber(id, 0)));
+    whereParts.push(`o.shop_id = ANY($${params.length}::int[])`);
+  }
+
+  const statuses = normalizeOrderStatusFilter(status);
+  if (statuses) {
+    params.push(statuses);
+    whereParts.push(`o.status = ANY($${params.length}::text[])`);
+  }
+
+  if (dateFrom) {
+    params.push(normalizeDateInput(dateFrom));
+    whereParts.push(`o.order_date >= $${params.length}`);
+  }
 
-    return mapOrderRow(inserted.rows[0]);
-  });
-}
+  if (dateTo) {
+    params.push(normalizeDateInput(dateTo));
+    whereParts.push(`o.order_date <= $${params.length}`);
+  }
+
+  const where = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
 
-async function getOrderById(orderId) {
   const { rows } = await query(
     `
     SELECT
@@ -718,485 +4096,439 @@ async function getOrderById(orderId) {
       o.updated_by AS "updatedBy",
       o.created_at AS "createdAt",
       o.updated_at AS "updatedAt",
+      o.version,
+      o.received_at AS "receivedAt",
+      o.received_by AS "receivedBy",
+      o.receipt_note AS "receiptNote",
       s.name AS "shopName",
-      s.code AS "shopCode"
+      s.code AS "shopCode",
+      COUNT(l.id)::int AS "lineCount",
+      COALESCE(SUM(l.ordered_qty), 0) AS "totalOrderedQty"
     FROM bakery_orders o
     INNER JOIN shops s ON s.id = o.shop_id
-    WHERE o.id = $1
-    LIMIT 1;
+    LEFT JOIN bakery_order_lines l ON l.order_id = o.id
+    ${where}
+    GROUP BY o.id, s.id
+    ORDER BY o.order_date DESC, s.sort_order ASC, s.name ASC;
     `,
-    [orderId]
+    params
   );
 
-  if (!rows[0]) return null;
-  return mapOrderRow(rows[0]);
+  return rows.map((row) => ({
+    ...mapOrderRow(row),
+    lineCount: toNumber(row.lineCount, 0),
+    totalOrderedQty: toNumber(row.totalOrderedQty, 0),
+  }));
 }
 
-async function getOrderByShopAndDate(shopId, orderDate) {
-  const finalDate = normalizeDateInput(orderDate);
+function mapSupplierRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    contact: row.contact || '',
+    ingredientCount: toNumber(row.ingredientCount, 0),
+  };
+}
+
+function mapIngredientRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    unit: row.unit || '',
+    supplierId: row.supplierId || null,
+    supplierName: row.supplierName || '',
+    recipeCount: toNumber(row.recipeCount, 0),
+  };
+}
 
+async function listSuppliers() {
   const { rows } = await query(
     `
     SELECT
-      o.id,
-      o.shop_id AS "shopId",
-      o.order_date AS "orderDate",
-      o.status,
-      o.note,
-      o.submitted_at AS "submittedAt",
-      o.created_by AS "createdBy",
-      o.updated_by AS "updatedBy",
-      o.created_at AS "createdAt",
-      o.updated_at AS "updatedAt",
-      s.name AS "shopName",
-      s.code AS "shopCode"
-    FROM bakery_orders o
-    INNER JOIN shops s ON s.id = o.shop_id
-    WHERE o.shop_id = $1 AND o.order_date = $2
-    LIMIT 1;
-    `,
-    [shopId, finalDate]
+      s.id,
+      s.name,
+      s.contact,
+      COUNT(i.id)::int AS "ingredientCount"
+    FROM bakery_suppliers s
+    LEFT JOIN bakery_ingredients i ON i.supplier_id = s.id
+    GROUP BY s.id
+    ORDER BY s.name ASC;
+    `
   );
 
-  if (!rows[0]) return null;
-  return mapOrderRow(rows[0]);
+  return rows.map(mapSupplierRow);
 }
 
-async function getOrderWithLines(orderId) {
-  const order = await getOrderById(orderId);
-  if (!order) return null;
+async function createSupplier({ name, contact = '' }) {
+  if (!name || !String(name).trim()) {
+    throw createStoreError('Supplier name is required', 'VALIDATION_ERROR');
+  }
 
   const { rows } = await query(
     `
-    SELECT
-      l.id,
-      l.order_id AS "orderId",
-      l.item_id AS "itemId",
-      l.item_name_snapshot AS "itemName",
-      l.category_snapshot AS "category",
-      l.unit_snapshot AS "unit",
-      l.ist_bestand AS "istBestand",
-      l.soll_snapshot AS "sollBestand",
-      l.suggested_qty AS "suggestedQty",
-      l.ordered_qty AS "orderedQty",
-      l.manual_override AS "manualOverride",
-      l.sort_order AS "sortOrder"
-    FROM bakery_order_lines l
-    WHERE l.order_id = $1
-    ORDER BY
-      COALESCE(NULLIF(l.category_snapshot, ''), 'ZZZ') ASC,
-      l.sort_order ASC,
-      l.item_name_snapshot ASC;
+    INSERT INTO bakery_suppliers (name, contact)
+    VALUES ($1, $2)
+    RETURNING id, name, contact;
     `,
-    [orderId]
+    [String(name).trim(), String(contact || '').trim()]
   );
 
-  order.lines = rows.map(mapOrderLineRow);
-  return order;
+  return mapSupplierRow(rows[0]);
 }
 
-async function getOrderEditorData({ shopId, orderDate = new Date(), createdBy = '' }) {
-  const order = await getOrCreateOrder({ shopId, orderDate, createdBy });
-  const finalDate = normalizeDateInput(orderDate);
+async function deleteSupplier(supplierId) {
+  const { rows } = await query(
+    `
+    DELETE FROM bakery_suppliers
+    WHERE id = $1
+    RETURNING id, name, contact;
+    `,
+    [supplierId]
+  );
 
-  const itemsResult = await query(
+  if (!rows[0]) {
+    throw createStoreError('Supplier not found', 'SUPPLIER_NOT_FOUND', 404);
+  }
+
+  return mapSupplierRow(rows[0]);
+}
+
+async function listIngredients() {
+  const { rows } = await query(
     `
     SELECT
       i.id,
       i.name,
-      i.category,
       i.unit,
-      i.sort_order AS "sortOrder",
-      iss.soll_bestand AS "sollBestand",
-      iss.active_for_shop AS "activeForShop"
-    FROM bakery_items i
-    INNER JOIN bakery_item_shop_settings iss
-      ON iss.item_id = i.id
-    WHERE
-      iss.shop_id = $1
-      AND i.active = TRUE
-      AND iss.active_for_shop = TRUE
-    ORDER BY
-      COALESCE(NULLIF(i.category, ''), 'ZZZ') ASC,
-      i.sort_order ASC,
-      i.name ASC;
+      i.supplier_id AS "supplierId",
+      s.name AS "supplierName",
+      (
+        SELECT COUNT(*)::int
+        FROM bakery_recipe_ingredients ri
+        WHERE ri.ingredient_id = i.id
+      ) AS "recipeCount"
+    FROM bakery_ingredients i
+    LEFT JOIN bakery_suppliers s ON s.id = i.supplier_id
+    ORDER BY i.name ASC;
+    `
+  );
+
+  return rows.map(mapIngredientRow);
+}
+
+async function createIngredient({ name, unit = 'kg', supplierId = null }) {
+  if (!name || !String(name).trim()) {
+    throw createStoreError('Ingredient name is required', 'VALIDATION_ERROR');
+  }
+
+  const { rows } = await query(
+    `
+    INSERT INTO bakery_ingredients (name, unit, supplier_id)
+    VALUES ($1, $2, $3)
+    RETURNING id, name, unit, supplier_id AS "supplierId";
     `,
-    [shopId]
+    [String(name).trim(), String(unit || '').trim() || 'kg', toNumber(supplierId, 0) || null]
   );
 
-  const lineRows = await query(
+  return mapIngredientRow(rows[0]);
+}
+
+async function updateIngredient(ingredientId, { name, unit = 'kg', supplierId = null } = {}) {
+  if (!name || !String(name).trim()) {
+    throw createStoreError('Ingredient name is required', 'VALIDATION_ERROR');
+  }
+
+  const { rows } = await query(
     `
-    SELECT
-      l.item_id AS "itemId",
-      l.ist_bestand AS "istBestand",
-      l.soll_snapshot AS "sollBestand",
-      l.suggested_qty AS "suggestedQty",
-      l.ordered_qty AS "orderedQty",
-      l.manual_override AS "manualOverride"
-    FROM bakery_order_lines l
-    WHERE l.order_id = $1;
+    UPDATE bakery_ingredients
+    SET
+      name = $2,
+      unit = $3,
+      supplier_id = $4,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING id, name, unit, supplier_id AS "supplierId";
     `,
-    [order.id]
+    [ingredientId, String(name).trim(), String(unit || '').trim() || 'kg', toNumber(supplierId, 0) || null]
   );
 
-  const lineMap = new Map(
-    lineRows.rows.map((row) => [
-      row.itemId,
-      {
-        istBestand: toNumber(row.istBestand, 0),
-        sollBestand: toNumber(row.sollBestand, 0),
-        suggestedQty: toNumber(row.suggestedQty, 0),
-        orderedQty: toNumber(row.orderedQty, 0),
-        manualOverride: !!row.manualOverride,
-      },
-    ])
+  if (!rows[0]) {
+    throw createStoreError('Ingredient not found', 'INGREDIENT_NOT_FOUND', 404);
+  }
+
+  return mapIngredientRow(rows[0]);
+}
+
+async function deleteIngredient(ingredientId) {
+  const usage = await query(
+    `
+    SELECT COUNT(*)::int AS count
+    FROM bakery_recipe_ingredients
+    WHERE ingredient_id = $1;
+    `,
+    [ingredientId]
   );
 
-  const items = itemsResult.rows.map((item) => {
-    const existing = lineMap.get(item.id);
-    const sollBestand = existing
-      ? toNumber(existing.sollBestand, 0)
-      : toNumber(item.sollBestand, 0);
-    const istBestand = existing ? toNumber(existing.istBestand, 0) : 0;
-    const suggestedQty = existing
-      ? toNumber(existing.suggestedQty, 0)
-      : calcSuggestedQty(sollBestand, istBestand);
-    const orderedQty = existing
-      ? toNumber(existing.orderedQty, 0)
-      : suggestedQty;
+  if (usage.rows[0].count > 0) {
+    throw createStoreError('Ingredient is used in recipes', 'INGREDIENT_IN_USE', 409, {
+      recipeCount: usage.rows[0].count,
+    });
+  }
 
-    return {
-      itemId: item.id,
-      name: item.name,
-      category: item.category,
-      unit: item.unit,
-      sortOrder: toNumber(item.sortOrder, 0),
-      sollBestand,
-      istBestand,
-      suggestedQty,
-      orderedQty,
-      manualOverride: existing ? !!existing.manualOverride : false,
-      orderDate: finalDate,
-    };
-  });
+  const { rows } = await query(
+    `
+    DELETE FROM bakery_ingredients
+    WHERE id = $1
+    RETURNING id, name, unit, supplier_id AS "supplierId";
+    `,
+    [ingredientId]
+  );
 
-  return {
-    order,
-    items,
-  };
+  if (!rows[0]) {
+    throw createStoreError('Ingredient not found', 'INGREDIENT_NOT_FOUND', 404);
+  }
+
+  return mapIngredientRow(rows[0]);
 }
 
-async function saveOrderDraft({
-  shopId,
-  orderDate = new Date(),
-  note = '',
-  createdBy = '',
-  updatedBy = '',
-  lines = [],
-}) {
-  const finalDate = normalizeDateInput(orderDate);
+async function listItemRecipes({ itemIds = null } = {}, db = pool) {
+  const params = [];
+  let where = '';
 
-  return withTransaction(async (client) => {
-    let order = await client.query(
-      `
-      SELECT
-        id,
-        status
-      FROM bakery_orders
-      WHERE shop_id = $1 AND order_date = $2
-      LIMIT 1;
-      `,
-      [shopId, finalDate]
-    );
+  if (Array.isArray(itemIds)) {
+    params.push(itemIds);
+    where = `WHERE r.item_id = ANY($1::int[])`;
+  }
 
-    if (!order.rows[0]) {
-      const inserted = await client.query(
-        `
-        INSERT INTO bakery_orders (
-          shop_id,
-          order_date,
-          status,
-          note,
-          created_by,
-          updated_by
-        )
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, status;
-        `,
-        [
-          shopId,
-          finalDate,
-          ORDER_STATUS.DRAFT,
-          String(note || '').trim(),
-          String(createdBy || '').trim(),
-          String(updatedBy || createdBy || '').trim(),
-        ]
-      );
-      order = inserted;
-    } else {
-      if (order.rows[0].status === ORDER_STATUS.SUBMITTED) {
-        throw new Error('Submitted orders cannot be changed');
-      }
+  const { rows } = await db.query(
+    `
+    SELECT
+      r.item_id AS "itemId",
+      i.name AS "itemName",
+      i.unit AS "itemUnit",
+      r.yield_qty AS "yieldQty",
+      r.note,
+      r.updated_by AS "updatedBy",
+      r.updated_at AS "updatedAt",
+      COALESCE(
+        JSON_AGG(
+          JSON_BUILD_OBJECT(
+            'ingredientId', g.id,
+            'ingredientName', g.name,
+            'unit', g.unit,
+            'supplierId', g.supplier_id,
+            'supplierName', s.name,
+            'quantity', ri.quantity
+          )
+          ORDER BY g.name ASC
+        ) FILTER (WHERE g.id IS NOT NULL),
+        '[]'::json
+      ) AS lines
+    FROM bakery_item_recipes r
+    INNER JOIN bakery_items i ON i.id = r.item_id
+    LEFT JOIN bakery_recipe_ingredients ri ON ri.item_id = r.item_id
+    LEFT JOIN bakery_ingredients g ON g.id = ri.ingredient_id
+    LEFT JOIN bakery_suppliers s ON s.id = g.supplier_id
+    ${where}
+    GROUP BY r.item_id, i.name, i.unit, i.sort_order
+    ORDER BY i.sort_order ASC, i.name ASC;
+    `,
+    params
+  );
+
+  return rows.map((row) => ({
+    itemId: row.itemId,
+    itemName: row.itemName,
+    itemUnit: row.itemUnit,
+    yieldQty: toNumber(row.yieldQty, 1),
+    note: row.note || '',
+    updatedBy: row.updatedBy || '',
+    updatedAt: row.updatedAt || null,
+    lines: row.lines.map((line) => ({
+      ...line,
+      supplierName: line.supplierName || '',
+      quantity: toNumber(line.quantity, 0),
+    })),
+  }));
+}
+
+async function getItemRecipe(itemId, db = pool) {
+  const recipes = await listItemRecipes({ itemIds: [toNumber(itemId, 0)] }, db);
+  return recipes[0] || null;
+}
+
+async function saveItemRecipe({
+  itemId,
+  yieldQty = 1,
+  note = '',
+  lines = [],
+  updatedBy = '',
+}) {
+  const finalItemId = toNumber(itemId, 0);
+  const finalYield = toNumber(yieldQty, 0);
 
-      await client.query(
-        `
-        UPDATE bakery_orders
-        SET
-          note = $2,
-          updated_by = $3,
-          updated_at = NOW()
-        WHERE id = $1;
-        `,
-        [
-          order.rows[0].id,
-          String(note || '').trim(),
-          String(updatedBy || createdBy || '').trim(),
-        ]
-      );
+  if (finalYield <= 0) {
+    throw createStoreError('Recipe yield must be greater than zero', 'VALIDATION_ERROR');
+  }
+
+  const quantities = new Map();
+  for (const line of lines) {
+    const ingredientId = toNumber(line?.ingredientId, 0);
+    const quantity = toNumber(String(line?.quantity ?? '').replace(',', '.'), 0);
+    if (ingredientId && quantity > 0) {
+      quantities.set(ingredientId, (quantities.get(ingredientId) || 0) + quantity);
     }
+  }
 
-    const orderId = order.rows[0].id;
+  return withTransaction(async (client) => {
+    const item = await client.query('SELECT id FROM bakery_items WHERE id = $1;', [finalItemId]);
+    if (!item.rows[0]) {
+      throw createStoreError('Item not found', 'ITEM_NOT_FOUND', 404);
+    }
 
-    const itemIds = [...new Set(lines.map((line) => toNumber(line.itemId, 0)).filter(Boolean))];
-    if (!itemIds.length) {
-      const saved = await getOrderWithLines(orderId);
-      return saved;
+    if (!quantities.size) {
+      await client.query('DELETE FROM bakery_item_recipes WHERE item_id = $1;', [finalItemId]);
+      return null;
     }
 
-    const itemMeta = await client.query(
+    await client.query(
       `
-      SELECT
-        i.id,
-        i.name,
-        i.category,
-        i.unit,
-        i.sort_order AS "sortOrder",
-        COALESCE(iss.soll_bestand, 0) AS "sollBestand"
-      FROM bakery_items i
-      LEFT JOIN bakery_item_shop_settings iss
-        ON iss.item_id = i.id AND iss.shop_id = $2
-      WHERE i.id = ANY($1::int[]);
+      INSERT INTO bakery_item_recipes (item_id, yield_qty, note, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (item_id)
+      DO UPDATE SET
+        yield_qty = EXCLUDED.yield_qty,
+        note = EXCLUDED.note,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW();
       `,
-      [itemIds, shopId]
-    );
-
-    const metaMap = new Map(
-      itemMeta.rows.map((row) => [
-        row.id,
-        {
-          itemId: row.id,
-          itemName: row.name,
-          category: row.category,
-          unit: row.unit,
-          sortOrder: toNumber(row.sortOrder, 0),
-          sollBestand: toNumber(row.sollBestand, 0),
-        },
-      ])
+      [finalItemId, finalYield, String(note || '').trim(), String(updatedBy || '').trim()]
     );
 
-    for (const line of lines) {
-      const itemId = toNumber(line.itemId, 0);
-      if (!itemId || !metaMap.has(itemId)) continue;
-
-      const meta = metaMap.get(itemId);
-      const istBestand = clampNonNegative(line.istBestand);
-      const sollBestand = meta.sollBestand;
-      const suggestedQty = calcSuggestedQty(sollBestand, istBestand);
-
-      let orderedQty = line.orderedQty == null || line.orderedQty === ''
-        ? suggestedQty
-        : clampNonNegative(line.orderedQty);
-
-      const manualOverride = orderedQty !== suggestedQty;
+    await client.query('DELETE FROM bakery_recipe_ingredients WHERE item_id = $1;', [finalItemId]);
 
+    for (const [ingredientId, quantity] of quantities) {
       await client.query(
         `
-        INSERT INTO bakery_order_lines (
-          order_id,
-          item_id,
-          item_name_snapshot,
-          category_snapshot,
-          unit_snapshot,
-          ist_bestand,
-          soll_snapshot,
-          suggested_qty,
-          ordered_qty,
-          manual_override,
-          sort_order
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        ON CONFLICT (order_id, item_id)
-        DO UPDATE SET
-          item_name_snapshot = EXCLUDED.item_name_snapshot,
-          category_snapshot = EXCLUDED.category_snapshot,
-          unit_snapshot = EXCLUDED.unit_snapshot,
-          ist_bestand = EXCLUDED.ist_bestand,
-          soll_snapshot = EXCLUDED.soll_snapshot,
-          suggested_qty = EXCLUDED.suggested_qty,
-          ordered_qty = EXCLUDED.ordered_qty,
-          manual_override = EXCLUDED.manual_override,
-          sort_order = EXCLUDED.sort_order,
-          updated_at = NOW();
+        INSERT INTO bakery_recipe_ingredients (item_id, ingredient_id, quantity)
+        VALUES ($1, $2, $3);
         `,
-        [
-          orderId,
-          itemId,
-          meta.itemName,
-          meta.category,
-          meta.unit,
-          istBestand,
-          sollBestand,
-          suggestedQty,
-          orderedQty,
-          manualOverride,
-          meta.sortOrder,
-        ]
+        [finalItemId, ingredientId, quantity]
       );
     }
 
-    return getOrderWithLines(orderId);
+    return getItemRecipe(finalItemId, client);
   });
 }
 
-async function submitOrder({
-  shopId,
-  orderDate = new Date(),
-  note = '',
-  createdBy = '',
-  updatedBy = '',
-  lines = [],
-}) {
-  const saved = await saveOrderDraft({
-    shopId,
-    orderDate,
-    note,
-    createdBy,
-    updatedBy,
-    lines,
-  });
-
-  if (!saved || !saved.id) {
-    throw new Error('Could not save order before submit');
-  }
+function mapStationRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    startTime: row.startTime || null,
+    sortOrder: toNumber(row.sortOrder, 0),
+    itemCount: toNumber(row.itemCount, 0),
+  };
+}
 
-  await query(
+async function listProductionStations(db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      ps.id,
+      ps.name,
+      TO_CHAR(ps.start_time, 'HH24:MI') AS "startTime",
+      ps.sort_order AS "sortOrder",
+      COUNT(i.id)::int AS "itemCount"
+    FROM bakery_production_stations ps
+    LEFT JOIN bakery_items i ON i.station_id = ps.id
+    GROUP BY ps.id
+    ORDER BY ps.sort_order ASC, ps.start_time ASC NULLS LAST, ps.name ASC;
     `
-    UPDATE bakery_orders
-    SET
-      status = $2,
-      submitted_at = NOW(),
-      updated_by = $3,
-      updated_at = NOW()
-    WHERE id = $1;
-    `,
-    [saved.id, ORDER_STATUS.SUBMITTED, String(updatedBy || createdBy || '').trim()]
   );
 
-  return getOrderWithLines(saved.id);
+  return rows.map(mapStationRow);
 }
 
-async function reopenOrder(orderId, updatedBy = '') {
-  const order = await getOrderById(orderId);
-  if (!order) {
-    throw new Error('Order not found');
+async function createProductionStation({ name, startTime = null, sortOrder = 0 }) {
+  if (!name || !String(name).trim()) {
+    throw createStoreError('Station name is required', 'VALIDATION_ERROR');
   }
 
-  await query(
+  const { rows } = await query(
     `
-    UPDATE bakery_orders
-    SET
-      status = $2,
-      submitted_at = NULL,
-      updated_by = $3,
-      updated_at = NOW()
-    WHERE id = $1;
+    INSERT INTO bakery_production_stations (name, start_time, sort_order)
+    VALUES ($1, $2, $3)
+    RETURNING
+      id,
+      name,
+      TO_CHAR(start_time, 'HH24:MI') AS "startTime",
+      sort_order AS "sortOrder";
     `,
-    [orderId, ORDER_STATUS.DRAFT, String(updatedBy || '').trim()]
+    [String(name).trim(), String(startTime || '').trim() || null, toNumber(sortOrder, 0)]
   );
 
-  return getOrderWithLines(orderId);
+  return mapStationRow(rows[0]);
 }
 
-async function listOrders({
-  shopId = null,
-  status = null,
-  dateFrom = null,
-  dateTo = null,
-  onlySubmitted = false,
-} = {}) {
-  const whereParts = [];
-  const params = [];
-
-  if (shopId) {
-    params.push(shopId);
-    whereParts.push(`o.shop_id = $${params.length}`);
-  }
-
-  if (onlySubmitted) {
-    params.push(ORDER_STATUS.SUBMITTED);
-    whereParts.push(`o.status = $${params.length}`);
-  } else if (status && ORDER_STATUS_VALUES.includes(status)) {
-    params.push(status);
-    whereParts.push(`o.status = $${params.length}`);
+async function updateProductionStation(stationId, { name, startTime = null, sortOrder = 0 } = {}) {
+  if (!name || !String(name).trim()) {
+    throw createStoreError('Station name is required', 'VALIDATION_ERROR');
   }
 
-  if (dateFrom) {
-    params.push(normalizeDateInput(dateFrom));
-    whereParts.push(`o.order_date >= $${params.length}`);
-  }
+  const { rows } = await query(
+    `
+    UPDATE bakery_production_stations
+    SET
+      name = $2,
+      start_time = $3,
+      sort_order = $4,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING
+      id,
+      name,
+      TO_CHAR(start_time, 'HH24:MI') AS "startTime",
+      sort_order AS "sortOrder";
+    `,
+    [stationId, String(name).trim(), String(startTime || '').trim() || null, toNumber(sortOrder, 0)]
+  );
 
-  if (dateTo) {
-    params.push(normalizeDateInput(dateTo));
-    whereParts.push(`o.order_date <= $${params.length}`);
+  if (!rows[0]) {
+    throw createStoreError('Station not found', 'STATION_NOT_FOUND', 404);
   }
 
-  const where = whereParts.length ? `WHERE ${whereParts.join(' AND ')}` : '';
+  return mapStationRow(rows[0]);
+}
 
+async function deleteProductionStation(stationId) {
   const { rows } = await query(
     `
-    SELECT
-      o.id,
-      o.shop_id AS "shopId",
-      o.order_date AS "orderDate",
-      o.status,
-      o.note,
-      o.submitted_at AS "submittedAt",
-      o.created_by AS "createdBy",
-      o.updated_by AS "updatedBy",
-      o.created_at AS "createdAt",
-      o.updated_at AS "updatedAt",
-      s.name AS "shopName",
-      s.code AS "shopCode",
-      COUNT(l.id)::int AS "lineCount",
-      COALESCE(SUM(l.ordered_qty), 0) AS "totalOrderedQty"
-    FROM bakery_orders o
-    INNER JOIN shops s ON s.id = o.shop_id
-    LEFT JOIN bakery_order_lines l ON l.order_id = o.id
-    ${where}
-    GROUP BY o.id, s.id
-    ORDER BY o.order_date DESC, s.sort_order ASC, s.name ASC;
+    DELETE FROM bakery_production_stations
+    WHERE id = $1
+    RETURNING
+      id,
+      name,
+      TO_CHAR(start_time, 'HH24:MI') AS "startTime",
+      sort_order AS "sortOrder";
     `,
-    params
+    [stationId]
   );
 
-  return rows.map((row) => ({
-    ...mapOrderRow(row),
-    lineCount: toNumber(row.lineCount, 0),
-    totalOrderedQty: toNumber(row.totalOrderedQty, 0),
-  }));
+  if (!rows[0]) {
+    throw createStoreError('Station not found', 'STATION_NOT_FOUND', 404);
+  }
+
+  return mapStationRow(rows[0]);
 }
 
 async function getProductionReport({
   orderDate = new Date(),
-  onlySubmitted = true,
+  statuses = PRODUCTION_ORDER_STATUSES,
 } = {}) {
   const finalDate = normalizeDateInput(orderDate);
-  const params = [finalDate];
-  const statusClause = onlySubmitted ? `AND o.status = $2` : '';
-
-  if (onlySubmitted) {
-    params.push(ORDER_STATUS.SUBMITTED);
-  }
+  const finalStatuses = normalizeOrderStatusFilter(statuses, PRODUCTION_ORDER_STATUSES);
+  const params = [finalDate, finalStatuses];
 
   const { rows } = await query(
     `
@@ -1205,14 +4537,18 @@ async function getProductionReport({
       l.item_name_snapshot AS "itemName",
       l.category_snapshot AS "category",
       l.unit_snapshot AS "unit",
+      COALESCE(l.production_unit_snapshot, l.unit_snapshot) AS "productionUnit",
       MIN(l.sort_order) AS "sortOrder",
       SUM(l.ordered_qty) AS "totalOrderedQty",
+      SUM(l.ordered_qty / l.production_factor_snapshot) AS "totalProductionQty",
       JSON_AGG(
         JSON_BUILD_OBJECT(
           'shopId', o.shop_id,
           'shopName', s.name,
           'shopCode', s.code,
+          'shopSortOrder', s.sort_order,
           'orderedQty', l.ordered_qty,
+          'productionQty', l.ordered_qty / l.production_factor_snapshot,
           'istBestand', l.ist_bestand,
           'sollBestand', l.soll_snapshot
         )
@@ -1222,12 +4558,13 @@ async function getProductionReport({
     INNER JOIN bakery_orders o ON o.id = l.order_id
     INNER JOIN shops s ON s.id = o.shop_id
     WHERE o.order_date = $1
-    ${statusClause}
+      AND o.status = ANY($2::text[])
     GROUP BY
       l.item_id,
       l.item_name_snapshot,
       l.category_snapshot,
-      l.unit_snapshot
+      l.unit_snapshot,
+      COALESCE(l.production_unit_snapshot, l.unit_snapshot)
     ORDER BY
       COALESCE(NULLIF(l.category_snapshot, ''), 'ZZZ') ASC,
       MIN(l.sort_order) ASC,
@@ -1237,7 +4574,316 @@ async function getProductionReport({
   );
 
   return {
-    orderDate: finalDate,
+    orderDate: finalDate,
+    statuses: finalStatuses,
+    items: rows.map((row) => ({
+      itemId: row.itemId,
+      itemName: row.itemName,
+      category: row.category,
+      unit: row.unit,
+      productionUnit: row.productionUnit,
+      sortOrder: toNumber(row.sortOrder, 0),
+      totalOrderedQty: toNumber(row.totalOrderedQty, 0),
+      totalProductionQty: convertToProductionQty(row.totalProductionQty),
+      shops: Array.isArray(row.shops)
+        ? row.shops.map((shop) => ({
+            ...shop,
+            orderedQty: toNumber(shop.orderedQty, 0),
+            productionQty: convertToProductionQty(shop.productionQty),
+            istBestand: toNumber(shop.istBestand, 0),
+            sollBestand: toNumber(shop.sollBestand, 0),
+          }))
+        : [],
+    })),
+  };
+}
+
+async function getIngredientRequirementsReport({
+  orderDate = new Date(),
+  statuses = PRODUCTION_ORDER_STATUSES,
+} = {}) {
+  const production = await getProductionReport({ orderDate, statuses });
+  const recipes = await listItemRecipes({ itemIds: production.items.map((item) => item.itemId) });
+  const recipeMap = new Map(recipes.map((recipe) => [recipe.itemId, recipe]));
+  const ingredientMap = new Map();
+  const missingRecipes = [];
+
+  for (const item of production.items) {
+    const recipe = recipeMap.get(item.itemId);
+    if (!recipe || !recipe.lines.length) {
+      missingRecipes.push({
+        itemId: item.itemId,
+        itemName: item.itemName,
+        totalOrderedQty: item.totalOrderedQty,
+      });
+      continue;
+    }
+
+    const batches = item.totalOrderedQty / recipe.yieldQty;
+
+    for (const line of recipe.lines) {
+      if (!ingredientMap.has(line.ingredientId)) {
+        ingredientMap.set(line.ingredientId, {
+          ingredientId: line.ingredientId,
+          ingredientName: line.ingredientName,
+          unit: line.unit,
+          supplierId: line.supplierId || null,
+          supplierName: line.supplierName || '',
+          requiredQty: 0,
+          items: [],
+        });
+      }
+
+      const requiredQty = line.quantity * batches;
+      const entry = ingredientMap.get(line.ingredientId);
+      entry.requiredQty += requiredQty;
+      entry.items.push({
+        itemId: item.itemId,
+        itemName: item.itemName,
+        totalOrderedQty: item.totalOrderedQty,
+        requiredQty: Math.round(requiredQty * 1000) / 1000,
+      });
+    }
+  }
+
+  const supplierMap = new Map();
+  for (const ingredient of ingredientMap.values()) {
+    ingredient.requiredQty = Math.round(ingredient.requiredQty * 1000) / 1000;
+
+    const key = ingredient.supplierId || 0;
+    if (!supplierMap.has(key)) {
+      supplierMap.set(key, {
+        supplierId: ingredient.supplierId,
+        supplierName: ingredient.supplierName,
+        ingredients: [],
+      });
+    }
+    supplierMap.get(key).ingredients.push(ingredient);
+  }
+
+  const suppliers = [...supplierMap.values()]
+    .sort((a, b) => {
+      if (!a.supplierId) return 1;
+      if (!b.supplierId) return -1;
+      return a.supplierName.localeCompare(b.supplierName, 'de');
+    })
+    .map((supplier) => ({
+      ...supplier,
+      ingredients: supplier.ingredients.sort((a, b) => a.ingredientName.localeCompare(b.ingredientName, 'de')),
+    }));
+
+  return {
+    orderDate: production.orderDate,
+    statuses: production.statuses,
+    suppliers,
+    ingredientCount: ingredientMap.size,
+    missingRecipes,
+  };
+}
+
+function buildBatchPlan(totalQty, batchSize) {
+  const size = batchSize > 0 ? batchSize : 1;
+  const batchCount = totalQty > 0 ? Math.ceil(Math.round((totalQty / size) * 1000) / 1000) : 0;
+  const plannedQty = Math.round(batchCount * size * 1000) / 1000;
+
+  return {
+    batchSize: size,
+    batchCount,
+    plannedQty,
+    surplusQty: Math.round((plannedQty - totalQty) * 1000) / 1000,
+  };
+}
+
+async function getProductionPlan({
+  orderDate = new Date(),
+  statuses = PRODUCTION_ORDER_STATUSES,
+  stationId = null,
+} = {}) {
+  const production = await getProductionReport({ orderDate, statuses });
+  const stations = await listProductionStations();
+  const itemIds = production.items.map((item) => item.itemId);
+
+  const { rows: settings } = itemIds.length
+    ? await query(
+        `
+        SELECT
+          id AS "itemId",
+          station_id AS "stationId",
+          TO_CHAR(bake_slot, 'HH24:MI') AS "bakeSlot",
+          batch_size AS "batchSize"
+        FROM bakery_items
+        WHERE id = ANY($1::int[]);
+        `,
+        [itemIds]
+      )
+    : { rows: [] };
+
+  const settingsMap = new Map(settings.map((row) => [row.itemId, row]));
+  const stationMap = new Map(
+    stations.map((station) => [
+      station.id,
+      {
+        stationId: station.id,
+        stationName: station.name,
+        startTime: station.startTime,
+        slots: new Map(),
+      },
+    ])
+  );
+  stationMap.set(0, { stationId: null, stationName: '', startTime: null, slots: new Map() });
+
+  for (const item of production.items) {
+    const setting = settingsMap.get(item.itemId) || {};
+    const station = stationMap.get(setting.stationId || 0);
+    const slotKey = setting.bakeSlot || '';
+
+    if (!station.slots.has(slotKey)) {
+      station.slots.set(slotKey, { bakeSlot: setting.bakeSlot || null, items: [] });
+    }
+
+    station.slots.get(slotKey).items.push({
+      itemId: item.itemId,
+      itemName: item.itemName,
+      category: item.category,
+      unit: item.unit,
+      productionUnit: item.productionUnit,
+      totalOrderedQty: item.totalOrderedQty,
+      totalProductionQty: item.totalProductionQty,
+      ...buildBatchPlan(item.totalProductionQty, toNumber(setting.batchSize, 1)),
+      shops: item.shops,
+    });
+  }
+
+  const finalStationId = stationId != null && stationId !== '' ? toNumber(stationId, 0) : null;
+
+  const planStations = [...stationMap.values()]
+    .filter((station) => station.slots.size)
+    .filter((station) => finalStationId === null || (station.stationId || 0) === finalStationId)
+    .map((station) => ({
+      stationId: station.stationId,
+      stationName: station.stationName,
+      startTime: station.startTime,
+      itemCount: [...station.slots.values()].reduce((sum, slot) => sum + slot.items.length, 0),
+      slots: [...station.slots.values()].sort((a, b) => {
+        if (!a.bakeSlot) return 1;
+        if (!b.bakeSlot) return -1;
+        return a.bakeSlot.localeCompare(b.bakeSlot);
+      }),
+    }));
+
+  return {
+    orderDate: production.orderDate,
+    statuses: production.statuses,
+    stationId: finalStationId,
+    stations: planStations,
+  };
+}
+
+async function getDateRangeReport({
+  dateFrom,
+  dateTo,
+  shopId = null,
+  statuses = PRODUCTION_ORDER_STATUSES,
+} = {}) {
+  if (!dateFrom || !dateTo) {
+    throw createStoreError('dateFrom and dateTo are required', 'VALIDATION_ERROR');
+  }
+
+  const finalStatuses = normalizeOrderStatusFilter(statuses, PRODUCTION_ORDER_STATUSES);
+  const params = [normalizeDateInput(dateFrom), normalizeDateInput(dateTo), finalStatuses];
+  const whereParts = [
+    `o.order_date >= $1`,
+    `o.order_date <= $2`,
+    `o.status = ANY($3::text[])`,
+  ];
+
+  if (shopId) {
+    params.push(shopId);
+    whereParts.push(`o.shop_id = $${params.length}`);
+  }
+
+  const { rows } = await query(
+    `
+    WITH shop_totals AS (
+      SELECT
+        l.item_id,
+        l.item_name_snapshot,
+        l.category_snapshot,
+        l.unit_snapshot,
+        o.shop_id,
+        MIN(l.sort_order) AS sort_order,
+        SUM(l.ordered_qty) AS ordered_qty,
+        SUM(${LINE_VALUE_SQL}) AS order_value,
+        COUNT(*) FILTER (WHERE ${LINE_VALUE_SQL} IS NULL)::int AS unpriced_count,
+        COUNT(DISTINCT o.id)::int AS order_count
+      FROM bakery_order_lines l
+      INNER JOIN bakery_orders o ON o.id = l.order_id
+      ${ITEM_PRICE_LATERAL}
+      WHERE ${whereParts.join(' AND ')}
+      GROUP BY
+        l.item_id,
+        l.item_name_snapshot,
+        l.category_snapshot,
+        l.unit_snapshot,
+        o.shop_id
+    )
+    SELECT
+      st.item_id AS "itemId",
+      st.item_name_snapshot AS "itemName",
+      st.category_snapshot AS "category",
+      st.unit_snapshot AS "unit",
+      MIN(st.sort_order) AS "sortOrder",
+      SUM(st.ordered_qty) AS "totalOrderedQty",
+      SUM(st.order_value) AS "totalValue",
+      SUM(st.unpriced_count)::int AS "unpricedCount",
+      SUM(st.order_count)::int AS "orderCount",
+      JSON_AGG(
+        JSON_BUILD_OBJECT(
+          'shopId', s.id,
+          'shopName', s.name,
+          'shopCode', s.code,
+          'shopSortOrder', s.sort_order,
+          'orderedQty', st.ordered_qty,
+          'orderValue', st.order_value,
+          'orderCount', st.order_count
+        )
+        ORDER BY s.sort_order ASC
+      ) AS shops
+    FROM shop_totals st
+    INNER JOIN shops s ON s.id = st.shop_id
+    GROUP BY
+      st.item_id,
+      st.item_name_snapshot,
+      st.category_snapshot,
+      st.unit_snapshot
+    ORDER BY
+      COALESCE(NULLIF(st.category_snapshot, ''), 'ZZZ') ASC,
+      MIN(st.sort_order) ASC,
+      st.item_name_snapshot ASC;
+    `,
+    params
+  );
+
+  const totals = await query(
+    `
+    SELECT
+      COUNT(DISTINCT o.id)::int AS "totalOrders",
+      COUNT(DISTINCT o.shop_id)::int AS "totalShops",
+      COALESCE(SUM(l.ordered_qty), 0) AS "totalOrderedQty",
+      COALESCE(SUM(${LINE_VALUE_SQL}), 0) AS "totalValue",
+      COUNT(l.id) FILTER (WHERE ${LINE_VALUE_SQL} IS NULL)::int AS "unpricedLineCount"
+    FROM bakery_orders o
+    LEFT JOIN bakery_order_lines l ON l.order_id = o.id
+    ${ITEM_PRICE_LATERAL}
+    WHERE ${whereParts.join(' AND ')};
+    `,
+    params
+  );
+
+  return {
+    dateFrom: normalizeDateInput(dateFrom),
+    dateTo: normalizeDateInput(dateTo),
+    statuses: finalStatuses,
     items: rows.map((row) => ({
       itemId: row.itemId,
       itemName: row.itemName,
@@ -1245,103 +4891,546 @@ async function getProductionReport({
       unit: row.unit,
       sortOrder: toNumber(row.sortOrder, 0),
       totalOrderedQty: toNumber(row.totalOrderedQty, 0),
+      totalValue: toNumber(row.totalValue, 0),
+      unpricedCount: toNumber(row.unpricedCount, 0),
+      orderCount: toNumber(row.orderCount, 0),
       shops: Array.isArray(row.shops)
         ? row.shops.map((shop) => ({
             ...shop,
             orderedQty: toNumber(shop.orderedQty, 0),
-            istBestand: toNumber(shop.istBestand, 0),
-            sollBestand: toNumber(shop.sollBestand, 0),
+            orderValue: toNumber(shop.orderValue, 0),
+            orderCount: toNumber(shop.orderCount, 0),
           }))
         : [],
     })),
+    totals: {
+      totalOrders: toNumber(totals.rows[0]?.totalOrders, 0),
+      totalShops: toNumber(totals.rows[0]?.totalShops, 0),
+      totalOrderedQty: toNumber(totals.rows[0]?.totalOrderedQty, 0),
+      totalValue: toNumber(totals.rows[0]?.totalValue, 0),
+      unpricedLineCount: toNumber(totals.rows[0]?.unpricedLineCount, 0),
+    },
   };
 }
 
-async function getDateRangeReport({
-  dateFrom,
-  dateTo,
-  shopId = null,
-  onlySubmitted = true,
+async function getShopStatement({
+  shopId,
+  month,
+  statuses = PRODUCTION_ORDER_STATUSES,
 } = {}) {
-  if (!dateFrom || !dateTo) {
-    throw new Error('dateFrom and dateTo are required');
+  const finalMonth = String(month || '').trim();
+  if (!/^\d{4}-\d{2}$/.test(finalMonth)) {
+    throw createStoreError('month must use the format YYYY-MM', 'VALIDATION_ERROR');
   }
 
-  const params = [normalizeDateInput(dateFrom), normalizeDateInput(dateTo)];
-  const whereParts = [
-    `o.order_date >= $1`,
-    `o.order_date <= $2`,
-  ];
-
-  if (onlySubmitted) {
-    params.push(ORDER_STATUS.SUBMITTED);
-    whereParts.push(`o.status = $${params.length}`);
+  const shop = await getShopById(toNumber(shopId, 0));
+  if (!shop) {
+    throw createStoreError('Shop not found', 'SHOP_NOT_FOUND', 404);
   }
 
-  if (shopId) {
-    params.push(shopId);
-    whereParts.push(`o.shop_id = $${params.length}`);
-  }
+  const [year, monthIndex] = finalMonth.split('-').map(Number);
+  const dateFrom = `${finalMonth}-01`;
+  const dateTo = new Date(Date.UTC(year, monthIndex, 0)).toISOString().slice(0, 10);
+  const finalStatuses = normalizeOrderStatusFilter(statuses, PRODUCTION_ORDER_STATUSES);
+  const params = [shop.id, dateFrom, dateTo, finalStatuses];
 
   const { rows } = await query(
     `
     SELECT
+      o.id AS "orderId",
+      TO_CHAR(o.order_date, 'YYYY-MM-DD') AS "orderDate",
+      o.status,
       l.item_id AS "itemId",
       l.item_name_snapshot AS "itemName",
       l.category_snapshot AS "category",
       l.unit_snapshot AS "unit",
-      MIN(l.sort_order) AS "sortOrder",
-      SUM(l.ordered_qty) AS "totalOrderedQty",
-      COUNT(DISTINCT o.id)::int AS "orderCount"
-    FROM bakery_order_lines l
-    INNER JOIN bakery_orders o ON o.id = l.order_id
-    WHERE ${whereParts.join(' AND ')}
-    GROUP BY
-      l.item_id,
-      l.item_name_snapshot,
-      l.category_snapshot,
-      l.unit_snapshot
-    ORDER BY
-      COALESCE(NULLIF(l.category_snapshot, ''), 'ZZZ') ASC,
-      MIN(l.sort_order) ASC,
-      l.item_name_snapshot ASC;
+      l.ordered_qty AS "orderedQty",
+      ${LINE_UNIT_PRICE_SQL} AS "unitPrice",
+      ${LINE_VALUE_SQL} AS "lineValue"
+    FROM bakery_orders o
+    INNER JOIN bakery_order_lines l ON l.order_id = o.id
+    ${ITEM_PRICE_LATERAL}
+    WHERE o.shop_id = $1
+      AND o.order_date >= $2
+      AND o.order_date <= $3
+      AND o.status = ANY($4::text[])
+      AND l.ordered_qty > 0
+    ORDER BY o.order_date ASC, l.sort_order ASC, l.item_name_snapshot ASC;
     `,
     params
   );
 
-  const totals = await query(
+  const orderMap = new Map();
+  const itemMap = new Map();
+  let unpricedLineCount = 0;
+
+  for (const row of rows) {
+    const orderedQty = toNumber(row.orderedQty, 0);
+    const unitPrice = row.unitPrice == null ? null : toNumber(row.unitPrice, 0);
+    const lineValue = row.lineValue == null ? 0 : toNumber(row.lineValue, 0);
+    if (unitPrice == null) unpricedLineCount += 1;
+
+    if (!orderMap.has(row.orderId)) {
+      orderMap.set(row.orderId, {
+        orderId: row.orderId,
+        orderDate: row.orderDate,
+        status: row.status,
+        totalQty: 0,
+        totalValue: 0,
+      });
+    }
+    const order = orderMap.get(row.orderId);
+    order.totalQty += orderedQty;
+    order.totalValue += lineValue;
+
+    const itemKey = `${row.itemId}:${row.itemName}:${row.unit}:${unitPrice ?? ''}`;
+    if (!itemMap.has(itemKey)) {
+      itemMap.set(itemKey, {
+        itemId: row.itemId,
+        itemName: row.itemName,
+        category: row.category,
+        unit: row.unit,
+        unitPrice,
+        totalQty: 0,
+        totalValue: 0,
+      });
+    }
+    const item = itemMap.get(itemKey);
+    item.totalQty += orderedQty;
+    item.totalValue += lineValue;
+  }
+
+  const roundMoney = (value) => Math.round(value * 100) / 100;
+  const orders = [...orderMap.values()].map((order) => ({ ...order, totalValue: roundMoney(order.totalValue) }));
+  const items = [...itemMap.values()]
+    .map((item) => ({ ...item, totalValue: roundMoney(item.totalValue) }))
+    .sort((a, b) => a.itemName.localeCompare(b.itemName, 'de') || (a.unitPrice ?? 0) - (b.unitPrice ?? 0));
+
+  return {
+    shop: { id: shop.id, code: shop.code, name: shop.name },
+    month: finalMonth,
+    dateFrom,
+    dateTo,
+    statuses: finalStatuses,
+    orders,
+    items,
+    totals: {
+      orderCount: orders.length,
+      totalQty: orders.reduce((sum, order) => sum + order.totalQty, 0),
+      totalValue: roundMoney(orders.reduce((sum, order) => sum + order.totalValue, 0)),
+      unpricedLineCount,
+    },
+  };
+}
+
+async function getWasteEntryData({ shopId, wasteDate = new Date() }) {
+  const shop = await getShopById(toNumber(shopId, 0));
+  if (!shop) {
+    throw createStoreError('Shop not found', 'SHOP_NOT_FOUND', 404);
+  }
+
+  const finalDate = normalizeDateInput(wasteDate);
+
+  const { rows } = await query(
     `
     SELECT
-      COUNT(DISTINCT o.id)::int AS "totalOrders",
-      COUNT(DISTINCT o.shop_id)::int AS "totalShops",
-      COALESCE(SUM(l.ordered_qty), 0) AS "totalOrderedQty"
-    FROM bakery_orders o
-    LEFT JOIN bakery_order_lines l ON l.order_id = o.id
-    WHERE ${whereParts.join(' AND ')};
+      i.id AS "itemId",
+      i.name AS "itemName",
+      i.category,
+      i.unit,
+      i.sort_order AS "sortOrder",
+      COALESCE(l.received_qty, l.ordered_qty) AS "deliveredQty",
+      w.quantity,
+      w.reason,
+      w.recorded_by AS "recordedBy",
+      w.updated_at AS "updatedAt"
+    FROM bakery_items i
+    LEFT JOIN bakery_item_shop_settings iss
+      ON iss.item_id = i.id AND iss.shop_id = $1
+    LEFT JOIN bakery_waste_entries w
+      ON w.item_id = i.id AND w.shop_id = $1 AND w.waste_date = $2
+    LEFT JOIN bakery_orders o
+      ON o.shop_id = $1 AND o.order_date = $2 AND o.status = ANY($3::text[])
+    LEFT JOIN bakery_order_lines l
+      ON l.order_id = o.id AND l.item_id = i.id
+    WHERE
+      (i.active = TRUE AND iss.active_for_shop = TRUE)
+      OR w.id IS NOT NULL
+      OR l.ordered_qty > 0
+    ORDER BY
+      COALESCE(NULLIF(i.category, ''), 'ZZZ') ASC,
+      i.sort_order ASC,
+      i.name ASC;
+    `,
+    [shop.id, finalDate, PRODUCTION_ORDER_STATUSES]
+  );
+
+  const items = rows.map((row) => ({
+    itemId: row.itemId,
+    itemName: row.itemName,
+    category: row.category,
+    unit: row.unit,
+    sortOrder: toNumber(row.sortOrder, 0),
+    deliveredQty: row.deliveredQty == null ? null : toNumber(row.deliveredQty, 0),
+    quantity: row.quantity == null ? null : toNumber(row.quantity, 0),
+    reason: row.reason || '',
+    recordedBy: row.recordedBy || '',
+    updatedAt: row.updatedAt || null,
+  }));
+
+  return {
+    shop,
+    wasteDate: finalDate,
+    items,
+    totalQty: items.reduce((sum, item) => sum + (item.quantity || 0), 0),
+    entryCount: items.filter((item) => item.quantity != null).length,
+  };
+}
+
+async function saveWasteEntries({
+  shopId,
+  wasteDate = new Date(),
+  entries = [],
+  recordedBy = '',
+}) {
+  const finalShopId = toNumber(shopId, 0);
+  const finalDate = normalizeDateInput(wasteDate);
+
+  if (finalDate > localDateInput()) {
+    throw createStoreError('Waste cannot be recorded for future dates', 'WASTE_DATE_IN_FUTURE', 400, {
+      wasteDate: finalDate,
+    });
+  }
+
+  return withTransaction(async (client) => {
+    const shop = await client.query('SELECT id FROM shops WHERE id = $1;', [finalShopId]);
+    if (!shop.rows[0]) {
+      throw createStoreError('Shop not found', 'SHOP_NOT_FOUND', 404);
+    }
+
+    let savedCount = 0;
+    let removedCount = 0;
+
+    for (const entry of entries) {
+      const itemId = toNumber(entry?.itemId, 0);
+      if (!itemId) continue;
+
+      const rawQuantity = String(entry?.quantity ?? '').trim();
+      if (!rawQuantity || toNumber(rawQuantity.replace(',', '.'), 0) <= 0) {
+        const removed = await client.query(
+          `
+          DELETE FROM bakery_waste_entries
+          WHERE shop_id = $1 AND item_id = $2 AND waste_date = $3;
+          `,
+          [finalShopId, itemId, finalDate]
+        );
+        removedCount += removed.rowCount;
+        continue;
+      }
+
+      await client.query(
+        `
+        INSERT INTO bakery_waste_entries (shop_id, item_id, waste_date, quantity, reason, recorded_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (shop_id, item_id, waste_date)
+        DO UPDATE SET
+          quantity = EXCLUDED.quantity,
+          reason = EXCLUDED.reason,
+          recorded_by = EXCLUDED.recorded_by,
+          updated_at = NOW();
+        `,
+        [
+          finalShopId,
+          itemId,
+          finalDate,
+          clampNonNegative(rawQuantity.replace(',', '.')),
+          String(entry?.reason || '').trim(),
+          String(recordedBy || '').trim(),
+        ]
+      );
+      savedCount += 1;
+    }
+
+    return { shopId: finalShopId, wasteDate: finalDate, savedCount, removedCount };
+  });
+}
+
+async function getWasteReport({
+  dateFrom,
+  dateTo,
+  shopId = null,
+} = {}) {
+  if (!dateFrom || !dateTo) {
+    throw createStoreError('dateFrom and dateTo are required', 'VALIDATION_ERROR');
+  }
+
+  const params = [normalizeDateInput(dateFrom), normalizeDateInput(dateTo), PRODUCTION_ORDER_STATUSES];
+  let shopFilter = '';
+  if (shopId) {
+    params.push(toNumber(shopId, 0));
+    shopFilter = `WHERE s.id = $${params.length}`;
+  }
+
+  const { rows } = await query(
+    `
+    WITH delivered AS (
+      SELECT
+        o.shop_id,
+        l.item_id,
+        MAX(l.item_name_snapshot) AS item_name,
+        MAX(l.unit_snapshot) AS unit,
+        SUM(COALESCE(l.received_qty, l.ordered_qty)) AS delivered_qty
+      FROM bakery_order_lines l
+      INNER JOIN bakery_orders o ON o.id = l.order_id
+      WHERE o.order_date >= $1
+        AND o.order_date <= $2
+        AND o.status = ANY($3::text[])
+      GROUP BY o.shop_id, l.item_id
+    ),
+    waste AS (
+      SELECT shop_id, item_id, SUM(quantity) AS waste_qty
+      FROM bakery_waste_entries
+      WHERE waste_date >= $1 AND waste_date <= $2
+      GROUP BY shop_id, item_id
+    )
+    SELECT
+      COALESCE(d.shop_id, w.shop_id) AS "shopId",
+      s.name AS "shopName",
+      s.sort_order AS "shopSortOrder",
+      COALESCE(d.item_id, w.item_id) AS "itemId",
+      COALESCE(d.item_name, i.name) AS "itemName",
+      COALESCE(d.unit, i.unit) AS "unit",
+      COALESCE(d.delivered_qty, 0) AS "deliveredQty",
+      COALESCE(w.waste_qty, 0) AS "wasteQty"
+    FROM delivered d
+    FULL OUTER JOIN waste w ON w.shop_id = d.shop_id AND w.item_id = d.item_id
+    INNER JOIN shops s ON s.id = COALESCE(d.shop_id, w.shop_id)
+    INNER JOIN bakery_items i ON i.id = COALESCE(d.item_id, w.item_id)
+    ${shopFilter}
+    ORDER BY s.sort_order ASC, COALESCE(d.item_name, i.name) ASC;
     `,
     params
   );
 
+  const wasteRate = (wasteQty, deliveredQty) =>
+    deliveredQty > 0 ? Math.round((wasteQty / deliveredQty) * 1000) / 10 : null;
+
+  const groupRows = (keyFn, buildGroup) => {
+    const map = new Map();
+    for (const row of rows) {
+      const key = keyFn(row);
+      if (!map.has(key)) {
+        map.set(key, { ...buildGroup(row), deliveredQty: 0, wasteQty: 0 });
+      }
+      const group = map.get(key);
+      group.deliveredQty += toNumber(row.deliveredQty, 0);
+      group.wasteQty += toNumber(row.wasteQty, 0);
+    }
+
+    return [...map.values()].map((group) => ({
+      ...group,
+      wasteRate: wasteRate(group.wasteQty, group.deliveredQty),
+    }));
+  };
+
+  const items = groupRows(
+    (row) => row.itemId,
+    (row) => ({ itemId: row.itemId, itemName: row.itemName, unit: row.unit })
+  ).sort((a, b) => b.wasteQty - a.wasteQty || a.itemName.localeCompare(b.itemName, 'de'));
+
+  const shops = groupRows(
+    (row) => row.shopId,
+    (row) => ({ shopId: row.shopId, shopName: row.shopName, shopSortOrder: toNumber(row.shopSortOrder, 0) })
+  );
+
+  const deliveredQty = items.reduce((sum, item) => sum + item.deliveredQty, 0);
+  const wasteQty = items.reduce((sum, item) => sum + item.wasteQty, 0);
+
   return {
     dateFrom: normalizeDateInput(dateFrom),
     dateTo: normalizeDateInput(dateTo),
-    items: rows.map((row) => ({
-      itemId: row.itemId,
-      itemName: row.itemName,
-      category: row.category,
-      unit: row.unit,
-      sortOrder: toNumber(row.sortOrder, 0),
-      totalOrderedQty: toNumber(row.totalOrderedQty, 0),
-      orderCount: toNumber(row.orderCount, 0),
-    })),
+    shopId: shopId ? toNumber(shopId, 0) : null,
+    items,
+    shops,
     totals: {
-      totalOrders: toNumber(totals.rows[0]?.totalOrders, 0),
-      totalShops: toNumber(totals.rows[0]?.totalShops, 0),
-      totalOrderedQty: toNumber(totals.rows[0]?.totalOrderedQty, 0),
+      deliveredQty,
+      wasteQty,
+      wasteRate: wasteRate(wasteQty, deliveredQty),
     },
   };
 }
 
+const USER_SELECT = `
+  SELECT
+    u.id,
+    u.email,
+    u.name,
+    u.role,
+    u.active,
+    u.last_login_at AS "lastLoginAt",
+    u.created_at AS "createdAt",
+    u.updated_at AS "updatedAt",
+    COALESCE(
+      ARRAY_AGG(us.shop_id ORDER BY us.shop_id) FILTER (WHERE us.shop_id IS NOT NULL),
+      '{}'
+    ) AS "shopIds"
+  FROM users u
+  LEFT JOIN user_shops us ON us.user_id = u.id
+`;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function normalizeRole(role) {
+  return USER_ROLE_VALUES.includes(role) ? role : USER_ROLES.SHOP;
+}
+
+async function listUsers() {
+  const { rows } = await query(
+    `
+    ${USER_SELECT}
+    GROUP BY u.id
+    ORDER BY u.active DESC, u.name ASC, u.email ASC;
+    `
+  );
+
+  return rows.map(mapUserRow);
+}
+
+async function getUserById(userId) {
+  const { rows } = await query(
+    `
+    ${USER_SELECT}
+    WHERE u.id = $1
+    GROUP BY u.id
+    LIMIT 1;
+    `,
+    [userId]
+  );
+
+  return rows[0] ? mapUserRow(rows[0]) : null;
+}
+
+async function replaceUserShops(client, userId, shopIds = []) {
+  const ids = [...new Set(shopIds.map((id) => toNumber(id, 0)).filter(Boolean))];
+
+  await client.query(`DELETE FROM user_shops WHERE user_id = $1;`, [userId]);
+
+  if (ids.length) {
+    await client.query(
+      `
+      INSERT INTO user_shops (user_id, shop_id)
+      SELECT $1, UNNEST($2::int[])
+      ON CONFLICT DO NOTHING;
+      `,
+      [userId, ids]
+    );
+  }
+}
+
+async function createUser({
+  email,
+  name = '',
+  password,
+  role = USER_ROLES.SHOP,
+  active = true,
+  shopIds = [],
+}) {
+  const finalEmail = normalizeEmail(email);
+  if (!finalEmail) {
+    throw createStoreError('User email is required', 'VALIDATION_ERROR');
+  }
+  if (!password || String(password).length < 8) {
+    throw createStoreError('Password is too short', 'PASSWORD_TOO_SHORT');
+  }
+
+  const userId = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `
+      INSERT INTO users (email, name, password_hash, role, active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id;
+      `,
+      [
+        finalEmail,
+        String(name || '').trim(),
+        hashPassword(password),
+        normalizeRole(role),
+        !!active,
+      ]
+    );
+
+    await replaceUserShops(client, rows[0].id, shopIds);
+    return rows[0].id;
+  });
+
+  return getUserById(userId);
+}
+
+async function updateUser(userId, data = {}) {
+  const current = await getUserById(userId);
+  if (!current) {
+    throw createStoreError('User not found', 'USER_NOT_FOUND', 404);
+  }
+
+  if (data.password && String(data.password).length < 8) {
+    throw createStoreError('Password is too short', 'PASSWORD_TOO_SHORT');
+  }
+
+  await withTransaction(async (client) => {
+    await client.query(
+      `
+      UPDATE users
+      SET
+        name = $2,
+        role = $3,
+        active = $4,
+        password_hash = COALESCE($5, password_hash),
+        updated_at = NOW()
+      WHERE id = $1;
+      `,
+      [
+        userId,
+        data.name != null ? String(data.name).trim() : current.name,
+        data.role != null ? normalizeRole(data.role) : current.role,
+        data.active != null ? !!data.active : current.active,
+        data.password ? hashPassword(data.password) : null,
+      ]
+    );
+
+    if (Array.isArray(data.shopIds)) {
+      await replaceUserShops(client, userId, data.shopIds);
+    }
+  });
+
+  return getUserById(userId);
+}
+
+async function authenticateUser(email, password) {
+  const { rows } = await query(
+    `
+    SELECT id, password_hash AS "passwordHash", active
+    FROM users
+    WHERE email = $1
+    LIMIT 1;
+    `,
+    [normalizeEmail(email)]
+  );
+
+  const row = rows[0];
+  if (!row || !row.active || !verifyPassword(password, row.passwordHash)) {
+    return null;
+  }
+
+  await query(
+    `UPDATE users SET last_login_at = NOW() WHERE id = $1;`,
+    [row.id]
+  );
+
+  return getUserById(row.id);
+}
+
 function mapOrderRow(row) {
   return {
     id: row.id,
@@ -1358,10 +5447,16 @@ function mapOrderRow(row) {
     updatedBy: row.updatedBy || '',
     createdAt: row.createdAt || null,
     updatedAt: row.updatedAt || null,
+    version: toNumber(row.version, 1),
+    receivedAt: row.receivedAt || null,
+    receivedBy: row.receivedBy || '',
+    receiptNote: row.receiptNote || '',
   };
 }
 
 function mapOrderLineRow(row) {
+  const receivedQty = row.receivedQty == null ? null : toNumber(row.receivedQty, 0);
+
   return {
     id: row.id,
     orderId: row.orderId,
@@ -1373,14 +5468,70 @@ function mapOrderLineRow(row) {
     sollBestand: toNumber(row.sollBestand, 0),
     suggestedQty: toNumber(row.suggestedQty, 0),
     orderedQty: toNumber(row.orderedQty, 0),
+    productionUnit: row.productionUnit || row.unit,
+    productionQty: convertToProductionQty(row.orderedQty, row.productionFactor),
     manualOverride: !!row.manualOverride,
     sortOrder: toNumber(row.sortOrder, 0),
+    suggestionBasis: row.suggestionBasis || SUGGESTION_MODES.SOLL,
+    forecastQty: row.forecastQty == null ? null : toNumber(row.forecastQty, 0),
+    receivedQty,
+    discrepancyQty: receivedQty == null ? null : receivedQty - toNumber(row.orderedQty, 0),
+    unitPrice: row.unitPrice == null ? null : toNumber(row.unitPrice, 0),
+    lineValue: row.lineValue == null ? null : toNumber(row.lineValue, 0),
+  };
+}
+
+function mapShopRow(row) {
+  return {
+    ...row,
+    forecastWeeks: toNumber(row.forecastWeeks, 4),
+    forecastSafetyFactor: toNumber(row.forecastSafetyFactor, 1),
+  };
+}
+
+function mapItemShopSettingRow(row) {
+  const { sollWeekdays, ...setting } = row;
+
+  return {
+    ...setting,
+    sollBestand: toNumber(row.sollBestand, 0),
+    sollByWeekday: mapWeekdaySoll(sollWeekdays),
+    availableFrom: row.availableFrom || null,
+    availableTo: row.availableTo || null,
+    availableWeekdays: Array.isArray(row.availableWeekdays)
+      ? row.availableWeekdays.map((weekday) => toNumber(weekday, 0))
+      : null,
+  };
+}
+
+function mapUserRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name || '',
+    role: row.role,
+    active: !!row.active,
+    shopIds: (row.shopIds || []).map((id) => toNumber(id, 0)),
+    lastLoginAt: row.lastLoginAt || null,
+    createdAt: row.createdAt || null,
+    updatedAt: row.updatedAt || null,
   };
 }
 
 module.exports = {
   pool,
   ORDER_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+  PRODUCTION_ORDER_STATUSES,
+  RECEIVABLE_ORDER_STATUSES,
+  USER_ROLES,
+  WEEKDAYS,
+  SUGGESTION_MODES,
+  ROUNDING_MODES,
+  ORDER_AUDIT_ACTIONS,
+  ITEM_IMPORT_ACTIONS,
+  CUTOFF_ACTIONS,
+  BAKERY_TIMEZONE,
   init,
 
   listShops,
@@ -1388,34 +5539,97 @@ module.exports = {
   getShopByCode,
   createShop,
   updateShop,
+  reorderShops,
+  countOpenDraftOrdersForShop,
 
   listItems,
   getItemById,
   createItem,
   updateItem,
   setItemActive,
+  archiveItem,
+  restoreItem,
+  deleteItem,
+  mergeItems,
   parseBulkItems,
   bulkCreateItems,
 
+  listUnits,
+  createUnit,
+  deleteUnit,
+
   listItemShopSettings,
   getItemShopSetting,
   upsertItemShopSetting,
   bulkUpsertItemShopSettings,
   ensureAllShopSettingsForItem,
+  previewItemImport,
+  applyItemImport,
 
   getOrCreateOrder,
   getOrderById,
   getOrderByShopAndDate,
   getOrderWithLines,
   getOrderEditorData,
+  getSellThroughForecasts,
   saveOrderDraft,
   submitOrder,
+  getBulkOrderEditorData,
+  saveBulkOrders,
   reopenOrder,
+  changeOrderStatus,
+  confirmOrderReceipt,
+  copyOrder,
+  listOrderTemplates,
+  getOrderTemplate,
+  saveOrderAsTemplate,
+  deleteOrderTemplate,
+  getReceiptDiscrepancyReport,
+  getOrderStatusTransitions,
+  normalizeOrderStatusFilter,
+  listOrderAudit,
   listOrders,
-
+  getOrderCutoffStatus,
+  processOrderCutoffs,
+
+  listSuppliers,
+  createSupplier,
+  deleteSupplier,
+  listIngredients,
+  createIngredient,
+  updateIngredient,
+  deleteIngredient,
+  listItemRecipes,
+  getItemRecipe,
+  saveItemRecipe,
   getProductionReport,
+  getIngredientRequirementsReport,
+  listProductionStations,
+  createProductionStation,
+  updateProductionStation,
+  deleteProductionStation,
+  getProductionPlan,
+  listItemPrices,
+  findEffectivePrice,
+  createItemPrice,
+  deleteItemPrice,
+  getShopStatement,
+  getWasteEntryData,
+  saveWasteEntries,
+  getWasteReport,
   getDateRangeReport,
 
+  listUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  authenticateUser,
+
   calcSuggestedQty,
+  applyOrderRules,
+  getOrderRuleViolation,
+  convertToProductionQty,
+  getIsoWeekday,
   normalizeDateInput,
+  localDateInput,
 };
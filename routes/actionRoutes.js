@@ -2,8 +2,10 @@
 
 const express = require('express');
 const store = require('../data/store');
+const auth = require('../utils/auth');
 
 const router = express.Router();
+const { ADMIN, SHOP } = store.USER_ROLES;
 
 function parseBoolean(value) {
   if (typeof value === 'boolean') return value;
@@ -19,8 +21,16 @@ function toNumber(value, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
+function parseDecimal(value, fallback = 0) {
+  return toNumber(String(value ?? '').trim().replace(',', '.'), fallback);
+}
+
+function formatQty(value) {
+  return Number(value || 0).toLocaleString('de-DE', { maximumFractionDigits: 2 });
+}
+
 function today() {
-  return new Date().toISOString().slice(0, 10);
+  return store.localDateInput();
 }
 
 function getUserIdentity(req) {
@@ -46,6 +56,72 @@ function redirectWithMessage(res, basePath, params = {}) {
   return res.redirect(query ? `${basePath}?${query}` : basePath);
 }
 
+function formatCutoff(value) {
+  if (!value) return '';
+
+  return new Intl.DateTimeFormat('de-DE', {
+    timeZone: store.BAKERY_TIMEZONE,
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(value));
+}
+
+function getOrderErrorMessage(error) {
+  if (error.code === 'ORDER_CUTOFF_PASSED') {
+    if (error.details?.reason === 'PAST_DATE') {
+      return 'Bestellungen für vergangene Tage können nicht mehr geändert werden.';
+    }
+    return `Annahmeschluss ist vorbei (${formatCutoff(error.details?.cutoffAt)} Uhr). Änderungen nur noch durch Admins.`;
+  }
+
+  if (error.code === 'ORDER_LOCKED') {
+    return 'Diese Bestellung ist bereits abgegeben und gesperrt.';
+  }
+
+  if (error.code === 'ORDER_CONFLICT') {
+    const changedBy = error.details?.updatedBy ? ` von ${error.details.updatedBy}` : '';
+    return `Die Bestellung wurde zwischenzeitlich${changedBy} geändert. Bitte die Werte abgleichen und erneut speichern.`;
+  }
+
+  if (error.code === 'INVALID_STATUS_TRANSITION') {
+    return 'Dieser Statuswechsel ist für die Bestellung nicht erlaubt.';
+  }
+
+  if (error.code === 'INVALID_STATUS') {
+    return 'Unbekannter Bestellstatus.';
+  }
+
+  if (error.code === 'COPY_SAME_ORDER') {
+    return 'Quelle und Ziel der Kopie sind dieselbe Bestellung.';
+  }
+
+  if (error.code === 'ORDER_NOT_RECEIVABLE') {
+    return 'Der Wareneingang ist erst möglich, wenn die Bestellung in Produktion oder geliefert ist.';
+  }
+
+  if (error.code === 'ITEM_NOT_AVAILABLE') {
+    const names = (error.details?.items || []).map((item) => item.itemName).join(', ');
+    return `Am gewählten Liefertag nicht bestellbar: ${names}. Bitte die Menge auf 0 setzen.`;
+  }
+
+  if (error.code === 'ORDER_QTY_RULES_VIOLATED') {
+    const names = (error.details?.items || [])
+      .map((item) => {
+        const rules = [
+          item.packSize ? `Gebinde ${item.packSize}` : '',
+          item.minOrderQty ? `mind. ${item.minOrderQty}` : '',
+        ].filter(Boolean).join(', ');
+        return rules ? `${item.itemName} (${rules})` : item.itemName;
+      })
+      .join('; ');
+    return `Bestellmengen passen nicht zu Gebinde oder Mindestmenge: ${names}.`;
+  }
+
+  return '';
+}
+
 function normalizeLinesPayload(body) {
   const itemIds = Array.isArray(body.itemId) ? body.itemId : [body.itemId];
   const istValues = Array.isArray(body.istBestand) ? body.istBestand : [body.istBestand];
@@ -67,6 +143,198 @@ function normalizeLinesPayload(body) {
   return lines;
 }
 
+function parseExpectedVersion(value) {
+  const version = toNumber(value, 0);
+  return version > 0 ? version : 0;
+}
+
+function buildOrderConflict(body, error) {
+  return {
+    shopId: toNumber(body.shopId, 0),
+    orderDate: String(body.orderDate || ''),
+    note: String(body.note || '').trim(),
+    lines: normalizeLinesPayload(body),
+    updatedBy: error.details?.updatedBy || '',
+  };
+}
+
+function normalizeBulkOrdersPayload(body) {
+  const shopIds = [...new Set(
+    (Array.isArray(body.shopId) ? body.shopId : [body.shopId])
+      .map((value) => toNumber(value, 0))
+      .filter(Boolean)
+  )];
+
+  return shopIds.map((shopId) => {
+    const itemIds = new Set();
+    const prefixPattern = new RegExp(`^(?:ist|qty)_${shopId}_(\\d+)$`);
+
+    for (const key of Object.keys(body)) {
+      const match = key.match(prefixPattern);
+      if (match) itemIds.add(Number(match[1]));
+    }
+
+    return {
+      shopId,
+      expectedVersion: parseExpectedVersion(body[`version_${shopId}`]),
+      lines: [...itemIds].map((itemId) => ({
+        itemId,
+        istBestand: body[`ist_${shopId}_${itemId}`] ?? '',
+        orderedQty: body[`qty_${shopId}_${itemId}`] ?? '',
+      })),
+    };
+  });
+}
+
+async function handleBulkOrders(req, res, submit) {
+  const currentUser = auth.getSessionUser(req);
+  const orderDate = String(req.body.orderDate || today());
+  const orders = normalizeBulkOrdersPayload(req.body);
+
+  if (!orders.length) {
+    return redirectWithMessage(res, '/bakery/order/bulk', {
+      error: 'Keine bearbeitbare Shop-Bestellung übermittelt.',
+      date: orderDate,
+    });
+  }
+
+  if (orders.some((order) => !auth.canAccessShop(currentUser, order.shopId))) {
+    return redirectWithMessage(res, '/bakery/order/bulk', {
+      error: 'Keine Berechtigung für einen der Shops.',
+      date: orderDate,
+    });
+  }
+
+  try {
+    const savedOrders = await store.saveBulkOrders({
+      orderDate,
+      orders,
+      createdBy: getUserIdentity(req),
+      updatedBy: getUserIdentity(req),
+      allowAfterCutoff: auth.isAdmin(currentUser),
+      submit,
+    });
+
+    return redirectWithMessage(res, '/bakery/order/bulk', {
+      success: submit
+        ? `${savedOrders.length} Bestellung(en) wurden abgegeben.`
+        : `${savedOrders.length} Bestellung(en) wurden als Entwurf gespeichert.`,
+      date: orderDate,
+    });
+  } catch (error) {
+    const message = getOrderErrorMessage(error);
+    if (message) {
+      const shopName = error.details?.shopName;
+      return redirectWithMessage(res, '/bakery/order/bulk', {
+        error: shopName
+          ? `${shopName}: ${message} Es wurde keine Bestellung gespeichert.`
+          : message,
+        date: orderDate,
+      });
+    }
+    throw error;
+  }
+}
+
+const COPY_DROP_REASONS = {
+  ITEM_INACTIVE: 'Artikel inaktiv',
+  NOT_ACTIVE_FOR_SHOP: 'im Shop deaktiviert',
+  NOT_AVAILABLE_ON_DATE: 'am Liefertag nicht verfügbar',
+};
+
+function buildCopyMessage(result) {
+  const parts = [`${result.copiedCount} Position(en) wurden in den Entwurf übernommen.`];
+
+  if (result.clearedCount) {
+    parts.push(`${result.clearedCount} bisherige Position(en) auf 0 gesetzt.`);
+  }
+
+  if (result.adjustedLines.length) {
+    const adjusted = result.adjustedLines
+      .map((line) => `${line.itemName} (${formatQty(line.orderedQty)} → ${formatQty(line.adjustedQty)})`)
+      .join(', ');
+    parts.push(`An Packungsgröße bzw. Mindestmenge angepasst: ${adjusted}.`);
+  }
+
+  if (result.droppedLines.length) {
+    const dropped = result.droppedLines
+      .map((line) => `${line.itemName} (${COPY_DROP_REASONS[line.reason] || line.reason})`)
+      .join(', ');
+    parts.push(`Nicht übernommen: ${dropped}.`);
+  }
+
+  return parts.join(' ');
+}
+
+async function copyOrderAndRedirect(req, res, { source, targetShopId, targetDate, errorPath, errorQuery = {} }) {
+  const currentUser = auth.getSessionUser(req);
+
+  if (!source || !auth.canAccessShop(currentUser, source.shopId)) {
+    return redirectWithMessage(res, errorPath, {
+      ...errorQuery,
+      error: 'Die Quellbestellung wurde nicht gefunden.',
+    });
+  }
+
+  if (!targetShopId || !auth.canAccessShop(currentUser, targetShopId)) {
+    return redirectWithMessage(res, errorPath, {
+      ...errorQuery,
+      error: 'Keine Berechtigung für den Ziel-Shop.',
+    });
+  }
+
+  try {
+    const result = await store.copyOrder({
+      sourceOrderId: source.id,
+      shopId: targetShopId,
+      orderDate: targetDate,
+      createdBy: getUserIdentity(req),
+      allowAfterCutoff: auth.isAdmin(currentUser),
+    });
+
+    return redirectWithMessage(res, '/bakery/order', {
+      success: buildCopyMessage(result),
+      shopId: result.order.shopId,
+      date: result.order.orderDate,
+    });
+  } catch (error) {
+    const message = getOrderErrorMessage(error);
+    if (message) {
+      return redirectWithMessage(res, errorPath, {
+        ...errorQuery,
+        error: message,
+      });
+    }
+    throw error;
+  }
+}
+
+function normalizeReceiptPayload(body) {
+  const itemIds = Array.isArray(body.itemId) ? body.itemId : [body.itemId];
+  const receivedValues = Array.isArray(body.receivedQty) ? body.receivedQty : [body.receivedQty];
+
+  return itemIds
+    .map((itemId, index) => ({
+      itemId: toNumber(itemId, 0),
+      receivedQty: receivedValues[index] ?? '',
+    }))
+    .filter((line) => line.itemId);
+}
+
+function normalizeWastePayload(body) {
+  const itemIds = Array.isArray(body.itemId) ? body.itemId : [body.itemId];
+  const quantities = Array.isArray(body.quantity) ? body.quantity : [body.quantity];
+  const reasons = Array.isArray(body.reason) ? body.reason : [body.reason];
+
+  return itemIds
+    .map((itemId, index) => ({
+      itemId: toNumber(itemId, 0),
+      quantity: quantities[index] ?? '',
+      reason: reasons[index] ?? '',
+    }))
+    .filter((entry) => entry.itemId);
+}
+
 function parseShopSollUpdates(body) {
   const updates = [];
   const payloadKeys = Object.keys(body);
@@ -82,19 +350,110 @@ function parseShopSollUpdates(body) {
 
     const sollBestand = toNumber(body[key], 0);
     const activeForShop = parseBoolean(body[`active_${itemId}_${shopId}`]);
+    const sollByWeekday = store.WEEKDAYS.map((weekday) => {
+      const value = String(body[`soll_${itemId}_${shopId}_${weekday}`] ?? '').trim();
+      return value === '' ? null : Math.max(0, toNumber(value, 0));
+    });
+    const availableWeekdays = body[`availWeekday_${itemId}_${shopId}`];
 
     updates.push({
       itemId,
       shopId,
       sollBestand: Math.max(0, sollBestand),
+      sollByWeekday,
       activeForShop,
+      availability: {
+        availableFrom: String(body[`availFrom_${itemId}_${shopId}`] || '').trim() || null,
+        availableTo: String(body[`availTo_${itemId}_${shopId}`] || '').trim() || null,
+        availableWeekdays: availableWeekdays == null
+          ? []
+          : (Array.isArray(availableWeekdays) ? availableWeekdays : [availableWeekdays]),
+      },
     });
   }
 
   return updates;
 }
 
-router.post('/bakery/items/create', async (req, res, next) => {
+function isSafeNextPath(value) {
+  return typeof value === 'string' && value.startsWith('/bakery/') && !value.startsWith('//');
+}
+
+router.post('/bakery/login', async (req, res, next) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    const password = String(req.body.password || '');
+    const nextPath = isSafeNextPath(req.body.next) ? req.body.next : '';
+
+    if (!email || !password) {
+      return redirectWithMessage(res, '/bakery/login', {
+        error: 'Bitte E-Mail und Passwort eingeben.',
+        email,
+        next: nextPath,
+      });
+    }
+
+    const user = await store.authenticateUser(email, password);
+
+    if (!user) {
+      return redirectWithMessage(res, '/bakery/login', {
+        error: 'E-Mail oder Passwort ist falsch.',
+        email,
+        next: nextPath,
+      });
+    }
+
+    req.session.regenerate((sessionError) => {
+      if (sessionError) return next(sessionError);
+
+      req.session.user = auth.toSessionUser(user);
+      req.session.save((saveError) => {
+        if (saveError) return next(saveError);
+        return res.redirect(nextPath || auth.getHomePath(user));
+      });
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bakery/logout', async (req, res, next) => {
+  if (!req.session) {
+    return res.redirect('/bakery/login');
+  }
+
+  req.session.destroy((error) => {
+    if (error) return next(error);
+    res.clearCookie('bunca.sid');
+    return redirectWithMessage(res, '/bakery/login', {
+      success: 'Du wurdest abgemeldet.',
+    });
+  });
+});
+
+const ITEM_ERROR_MESSAGES = {
+  VALIDATION_ERROR: 'Artikelname fehlt.',
+  ITEM_NOT_FOUND: 'Artikel nicht gefunden.',
+  ITEM_ARCHIVED: 'Archivierte Artikel müssen erst wiederhergestellt werden, bevor sie aktiviert werden können.',
+  ITEM_HAS_ORDERS: 'Der Artikel wurde bereits bestellt und kann nicht gelöscht werden. Bitte archivieren oder zusammenführen.',
+  UNKNOWN_UNIT: 'Unbekannte Einheit. Bitte die Einheit zuerst unter Einheiten anlegen.',
+  INVALID_UNIT_FACTOR: 'Die Umrechnung in die Produktionseinheit muss größer als 0 sein.',
+};
+
+const ITEM_MERGE_ERROR_MESSAGES = {
+  ...ITEM_ERROR_MESSAGES,
+  VALIDATION_ERROR: 'Bitte zwei unterschiedliche Artikel zum Zusammenführen wählen.',
+  ITEM_UNIT_MISMATCH: 'Die Artikel haben unterschiedliche Einheiten oder Produktionsfaktoren und können nicht zusammengeführt werden. Bitte zuerst die Einheiten angleichen.',
+};
+
+const UNIT_ERROR_MESSAGES = {
+  VALIDATION_ERROR: 'Kürzel der Einheit fehlt.',
+  UNIT_EXISTS: 'Diese Einheit ist bereits angelegt.',
+  UNIT_NOT_FOUND: 'Einheit nicht gefunden.',
+  UNIT_IN_USE: 'Die Einheit wird noch von Artikeln verwendet und kann nicht gelöscht werden.',
+};
+
+router.post('/bakery/items/create', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
     const name = String(req.body.name || '').trim();
     const category = String(req.body.category || '').trim();
@@ -122,11 +481,17 @@ router.post('/bakery/items/create', async (req, res, next) => {
       success: `Artikel "${name}" wurde angelegt.`,
     });
   } catch (error) {
+    const message = ITEM_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
+      });
+    }
     next(error);
   }
 });
 
-router.post('/bakery/items/bulk-create', async (req, res, next) => {
+router.post('/bakery/items/bulk-create', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
     const bulkText = String(req.body.bulkText || '').trim();
 
@@ -146,11 +511,110 @@ router.post('/bakery/items/bulk-create', async (req, res, next) => {
       success: `${created.length} Artikel wurden angelegt.`,
     });
   } catch (error) {
+    if (error.code === 'UNKNOWN_UNIT') {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: `Einheit "${error.details?.unit}" ist nicht angelegt. Es wurden keine Artikel angelegt.`,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/items/units/create', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const unit = await store.createUnit({
+      code: req.body.code,
+      name: req.body.name,
+      sortOrder: toNumber(req.body.sortOrder, 0),
+    });
+
+    return redirectWithMessage(res, '/bakery/items', {
+      success: `Einheit "${unit.code}" wurde angelegt.`,
+    });
+  } catch (error) {
+    const message = UNIT_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/items/units/delete', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const unit = await store.deleteUnit(String(req.body.code || ''));
+
+    return redirectWithMessage(res, '/bakery/items', {
+      success: `Einheit "${unit.code}" wurde gelöscht.`,
+    });
+  } catch (error) {
+    const message = UNIT_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/items/import/preview', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const csvText = String(req.body.csvText || '').trim();
+
+    if (!csvText) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: 'CSV Inhalt fehlt.',
+      });
+    }
+
+    req.session.itemImport = { csvText };
+
+    return redirectWithMessage(res, '/bakery/items', {
+      success: 'Import-Vorschau erstellt. Bitte Änderungen prüfen und übernehmen.',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bakery/items/import/apply', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const csvText = req.session.itemImport?.csvText;
+
+    if (!csvText) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: 'Keine Import-Vorschau vorhanden.',
+      });
+    }
+
+    const summary = await store.applyItemImport(csvText);
+    delete req.session.itemImport;
+
+    return redirectWithMessage(res, '/bakery/items', {
+      success: `Import übernommen: ${summary.create} angelegt, ${summary.update} aktualisiert, ${summary.unchanged} unverändert.`,
+    });
+  } catch (error) {
+    if (error.code === 'IMPORT_INVALID') {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: 'Der Import enthält Fehler und wurde nicht übernommen.',
+      });
+    }
     next(error);
   }
 });
 
-router.post('/bakery/items/:id/update', async (req, res, next) => {
+router.post('/bakery/items/import/cancel', auth.requireRole(ADMIN), async (req, res) => {
+  delete req.session.itemImport;
+
+  return redirectWithMessage(res, '/bakery/items', {
+    success: 'Import-Vorschau verworfen.',
+  });
+});
+
+router.post('/bakery/items/:id/update', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
     const itemId = Number(req.params.id);
     const name = String(req.body.name || '').trim();
@@ -158,6 +622,14 @@ router.post('/bakery/items/:id/update', async (req, res, next) => {
     const unit = String(req.body.unit || 'Stk').trim() || 'Stk';
     const sortOrder = toNumber(req.body.sortOrder, 0);
     const active = parseBoolean(req.body.active);
+    const stationId = toNumber(req.body.stationId, 0) || null;
+    const bakeSlot = String(req.body.bakeSlot || '').trim() || null;
+    const batchSize = parseDecimal(req.body.batchSize, 1);
+    const packSize = parseDecimal(req.body.packSize, 0) || null;
+    const minOrderQty = parseDecimal(req.body.minOrderQty, 0) || null;
+    const roundingMode = String(req.body.roundingMode || store.ROUNDING_MODES.UP).trim().toUpperCase();
+    const productionUnit = String(req.body.productionUnit || '').trim() || null;
+    const productionUnitFactor = parseDecimal(req.body.productionUnitFactor, 1);
 
     if (!itemId) {
       return redirectWithMessage(res, '/bakery/items', {
@@ -177,17 +649,31 @@ router.post('/bakery/items/:id/update', async (req, res, next) => {
       unit,
       sortOrder,
       active,
+      stationId,
+      bakeSlot,
+      batchSize,
+      packSize,
+      minOrderQty,
+      roundingMode,
+      productionUnit,
+      productionUnitFactor,
     });
 
     return redirectWithMessage(res, '/bakery/items', {
       success: `Artikel "${name}" wurde aktualisiert.`,
     });
   } catch (error) {
+    const message = ITEM_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
+      });
+    }
     next(error);
   }
 });
 
-router.post('/bakery/items/:id/toggle', async (req, res, next) => {
+router.post('/bakery/items/:id/toggle', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
     const itemId = Number(req.params.id);
     if (!itemId) {
@@ -209,76 +695,602 @@ router.post('/bakery/items/:id/toggle', async (req, res, next) => {
       success: `Artikel "${current.name}" wurde ${current.active ? 'deaktiviert' : 'aktiviert'}.`,
     });
   } catch (error) {
+    const message = ITEM_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
+      });
+    }
     next(error);
   }
 });
 
-router.post('/bakery/items/shop-settings/save', async (req, res, next) => {
+router.post('/bakery/items/:id/archive', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
-    const updates = parseShopSollUpdates(req.body);
+    const item = await store.archiveItem(toNumber(req.params.id, 0), {
+      archivedBy: getUserIdentity(req),
+    });
 
-    if (!updates.length) {
+    return redirectWithMessage(res, '/bakery/items', {
+      success: `Artikel "${item.name}" wurde archiviert. Er bleibt in Berichten und Bestellhistorie erhalten.`,
+    });
+  } catch (error) {
+    const message = ITEM_ERROR_MESSAGES[error.code];
+    if (message) {
       return redirectWithMessage(res, '/bakery/items', {
-        error: 'Keine Shop-Einstellungen gefunden.',
+        error: message,
       });
     }
+    next(error);
+  }
+});
 
-    await store.bulkUpsertItemShopSettings(updates);
+router.post('/bakery/items/:id/restore', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const item = await store.restoreItem(toNumber(req.params.id, 0));
 
     return redirectWithMessage(res, '/bakery/items', {
-      success: 'SOLL Bestand und Shop-Aktivierung wurden gespeichert.',
+      success: `Artikel "${item.name}" wurde wiederhergestellt und kann jetzt aktiviert werden.`,
     });
   } catch (error) {
+    const message = ITEM_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
+        archived: 1,
+      });
+    }
     next(error);
   }
 });
 
-router.post('/bakery/order/save', async (req, res, next) => {
+router.post('/bakery/items/:id/delete', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
-    const shopId = toNumber(req.body.shopId, 0);
-    const orderDate = String(req.body.orderDate || today());
-    const note = String(req.body.note || '').trim();
-    const lines = normalizeLinesPayload(req.body);
+    const deleted = await store.deleteItem(toNumber(req.params.id, 0));
 
-    if (!shopId) {
-      return redirectWithMessage(res, '/bakery/order', {
-        error: 'Bitte Shop auswählen.',
-        date: orderDate,
+    return redirectWithMessage(res, '/bakery/items', {
+      success: `Artikel "${deleted.name}" wurde gelöscht.`,
+    });
+  } catch (error) {
+    const message = ITEM_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
       });
     }
+    next(error);
+  }
+});
 
-    await store.saveOrderDraft({
-      shopId,
-      orderDate,
-      note,
-      createdBy: getUserIdentity(req),
-      updatedBy: getUserIdentity(req),
-      lines,
+router.post('/bakery/items/merge', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const result = await store.mergeItems({
+      sourceItemId: toNumber(req.body.sourceItemId, 0),
+      targetItemId: toNumber(req.body.targetItemId, 0),
+      mergedBy: getUserIdentity(req),
     });
 
-    return redirectWithMessage(res, '/bakery/order', {
-      success: 'Bestellung wurde als Entwurf gespeichert.',
-      shopId,
-      date: orderDate,
+    return redirectWithMessage(res, '/bakery/items', {
+      success: `Artikel "${result.sourceItem.name}" wurde in "${result.targetItem.name}" zusammengeführt. `
+        + `${result.movedLineCount + result.combinedLineCount} Bestellposition(en) in ${result.orderCount} Bestellung(en) übernommen.`
+        + (result.recipeMoved ? ' Rezeptur übernommen.' : '')
+        + (result.recipeDropped ? ' Die Rezeptur des Quellartikels wurde verworfen, da der Zielartikel bereits eine hat.' : '')
+        + (result.movedPriceCount ? ` ${result.movedPriceCount} Preis(e) übernommen.` : '')
+        + (result.droppedPriceCount ? ` ${result.droppedPriceCount} Preis(e) des Quellartikels verworfen, da der Zielartikel bereits Preise hat.` : ''),
     });
   } catch (error) {
+    const message = ITEM_MERGE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: message,
+      });
+    }
     next(error);
   }
 });
 
-router.post('/bakery/order/submit', async (req, res, next) => {
+router.post('/bakery/items/shop-settings/save', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
-    const shopId = toNumber(req.body.shopId, 0);
-    const orderDate = String(req.body.orderDate || today());
-    const note = String(req.body.note || '').trim();
-    const lines = normalizeLinesPayload(req.body);
+    const updates = parseShopSollUpdates(req.body);
 
-    if (!shopId) {
-      return redirectWithMessage(res, '/bakery/order', {
-        error: 'Bitte Shop auswählen.',
-        date: orderDate,
-      });
-    }
+    if (!updates.length) {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: 'Keine Shop-Einstellungen gefunden.',
+      });
+    }
+
+    await store.bulkUpsertItemShopSettings(updates);
+
+    return redirectWithMessage(res, '/bakery/items', {
+      success: 'SOLL Bestand, Shop-Aktivierung und Verfügbarkeit wurden gespeichert.',
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_AVAILABILITY' || error.code === 'INVALID_DATE') {
+      return redirectWithMessage(res, '/bakery/items', {
+        error: 'Ungültiger Verfügbarkeitszeitraum. „Verfügbar bis“ darf nicht vor „Verfügbar ab“ liegen.',
+      });
+    }
+    next(error);
+  }
+});
+
+const RECIPE_ERROR_MESSAGES = {
+  VALIDATION_ERROR: 'Bitte alle Pflichtfelder ausfüllen. Die Ausbeute muss größer als 0 sein.',
+  INGREDIENT_IN_USE: 'Die Zutat wird noch in Rezepten verwendet und kann nicht gelöscht werden.',
+  INGREDIENT_NOT_FOUND: 'Zutat nicht gefunden.',
+  SUPPLIER_NOT_FOUND: 'Lieferant nicht gefunden.',
+  ITEM_NOT_FOUND: 'Artikel nicht gefunden.',
+  23505: 'Dieser Name ist bereits vergeben.',
+  23503: 'Ein gewählter Lieferant oder eine gewählte Zutat existiert nicht mehr.',
+};
+
+router.post('/bakery/recipes/suppliers/create', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const supplier = await store.createSupplier({
+      name: req.body.name,
+      contact: req.body.contact,
+    });
+
+    return redirectWithMessage(res, '/bakery/recipes', {
+      success: `Lieferant "${supplier.name}" wurde angelegt.`,
+    });
+  } catch (error) {
+    const message = RECIPE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/recipes', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/recipes/suppliers/:id/delete', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const supplier = await store.deleteSupplier(toNumber(req.params.id, 0));
+
+    return redirectWithMessage(res, '/bakery/recipes', {
+      success: `Lieferant "${supplier.name}" wurde gelöscht. Zugeordnete Zutaten sind jetzt ohne Lieferant.`,
+    });
+  } catch (error) {
+    const message = RECIPE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/recipes', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/recipes/ingredients/create', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const ingredient = await store.createIngredient({
+      name: req.body.name,
+      unit: req.body.unit,
+      supplierId: req.body.supplierId,
+    });
+
+    return redirectWithMessage(res, '/bakery/recipes', {
+      success: `Zutat "${ingredient.name}" wurde angelegt.`,
+    });
+  } catch (error) {
+    const message = RECIPE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/recipes', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/recipes/ingredients/:id/update', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const ingredient = await store.updateIngredient(toNumber(req.params.id, 0), {
+      name: req.body.name,
+      unit: req.body.unit,
+      supplierId: req.body.supplierId,
+    });
+
+    return redirectWithMessage(res, '/bakery/recipes', {
+      success: `Zutat "${ingredient.name}" wurde gespeichert.`,
+    });
+  } catch (error) {
+    const message = RECIPE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/recipes', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/recipes/ingredients/:id/delete', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const ingredient = await store.deleteIngredient(toNumber(req.params.id, 0));
+
+    return redirectWithMessage(res, '/bakery/recipes', {
+      success: `Zutat "${ingredient.name}" wurde gelöscht.`,
+    });
+  } catch (error) {
+    const message = RECIPE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/recipes', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/recipes/items/:itemId/save', auth.requireRole(ADMIN), async (req, res, next) => {
+  const itemId = toNumber(req.params.itemId, 0);
+
+  try {
+    const ingredientIds = Array.isArray(req.body.ingredientId) ? req.body.ingredientId : [req.body.ingredientId];
+    const quantities = Array.isArray(req.body.quantity) ? req.body.quantity : [req.body.quantity];
+
+    const recipe = await store.saveItemRecipe({
+      itemId,
+      yieldQty: parseDecimal(req.body.yieldQty, 0),
+      note: req.body.note,
+      lines: ingredientIds.map((ingredientId, index) => ({
+        ingredientId,
+        quantity: quantities[index],
+      })),
+      updatedBy: getUserIdentity(req),
+    });
+
+    return redirectWithMessage(res, '/bakery/recipes', {
+      success: recipe
+        ? `Rezept für "${recipe.itemName}" wurde gespeichert.`
+        : 'Rezept wurde entfernt, da keine Zutaten angegeben sind.',
+      itemId,
+    });
+  } catch (error) {
+    const message = RECIPE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/recipes', { itemId, error: message });
+    }
+    next(error);
+  }
+});
+
+const PRICE_ERROR_MESSAGES = {
+  VALIDATION_ERROR: 'Bitte einen Preis ab 0 und ein gültiges Datum angeben. „Gültig bis“ darf nicht vor „Gültig ab“ liegen.',
+  INVALID_DATE: 'Ungültiges Datum.',
+  ITEM_NOT_FOUND: 'Artikel nicht gefunden.',
+  PRICE_NOT_FOUND: 'Preiseintrag nicht gefunden.',
+  23503: 'Der gewählte Shop existiert nicht mehr.',
+};
+
+router.post('/bakery/prices/create', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const price = await store.createItemPrice({
+      itemId: req.body.itemId,
+      shopId: req.body.shopId,
+      price: req.body.price,
+      validFrom: req.body.validFrom,
+      validTo: req.body.validTo,
+      createdBy: getUserIdentity(req),
+    });
+
+    return redirectWithMessage(res, '/bakery/prices', {
+      success: `Preis für "${price.itemName}" wurde ab ${price.validFrom} hinterlegt.`,
+    });
+  } catch (error) {
+    const message = PRICE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/prices', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/prices/:id/delete', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    await store.deleteItemPrice(toNumber(req.params.id, 0));
+
+    return redirectWithMessage(res, '/bakery/prices', {
+      success: 'Preiseintrag wurde gelöscht. Bereits abgegebene Bestellungen behalten ihren Wert.',
+    });
+  } catch (error) {
+    const message = PRICE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/prices', { error: message });
+    }
+    next(error);
+  }
+});
+
+const STATION_ERROR_MESSAGES = {
+  VALIDATION_ERROR: 'Stationsname fehlt.',
+  STATION_NOT_FOUND: 'Station nicht gefunden.',
+  23505: 'Diese Station existiert bereits.',
+  22007: 'Ungültige Startzeit.',
+};
+
+router.post('/bakery/production-plan/stations/create', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const station = await store.createProductionStation({
+      name: req.body.name,
+      startTime: req.body.startTime,
+      sortOrder: toNumber(req.body.sortOrder, 0),
+    });
+
+    return redirectWithMessage(res, '/bakery/production-plan', {
+      success: `Station "${station.name}" wurde angelegt.`,
+    });
+  } catch (error) {
+    const message = STATION_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/production-plan', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/production-plan/stations/:id/update', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const station = await store.updateProductionStation(toNumber(req.params.id, 0), {
+      name: req.body.name,
+      startTime: req.body.startTime,
+      sortOrder: toNumber(req.body.sortOrder, 0),
+    });
+
+    return redirectWithMessage(res, '/bakery/production-plan', {
+      success: `Station "${station.name}" wurde gespeichert.`,
+    });
+  } catch (error) {
+    const message = STATION_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/production-plan', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/production-plan/stations/:id/delete', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const station = await store.deleteProductionStation(toNumber(req.params.id, 0));
+
+    return redirectWithMessage(res, '/bakery/production-plan', {
+      success: `Station "${station.name}" wurde gelöscht. Zugeordnete Artikel sind jetzt ohne Station.`,
+    });
+  } catch (error) {
+    const message = STATION_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, '/bakery/production-plan', { error: message });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/shops/create', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const code = String(req.body.code || '').trim();
+    const sortOrder = toNumber(req.body.sortOrder, 0);
+    const active = parseBoolean(req.body.active);
+    const orderCutoffTime = String(req.body.orderCutoffTime || '').trim() || null;
+    const orderCutoffDaysBefore = toNumber(req.body.orderCutoffDaysBefore, 1);
+    const cutoffAction = String(req.body.cutoffAction || store.CUTOFF_ACTIONS.SUBMIT);
+    const suggestionMode = String(req.body.suggestionMode || store.SUGGESTION_MODES.SOLL);
+    const forecastWeeks = toNumber(req.body.forecastWeeks, 4);
+    const forecastSafetyFactor = parseDecimal(req.body.forecastSafetyFactor, 1.1);
+
+    if (!name) {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Shopname fehlt.',
+      });
+    }
+
+    const shop = await store.createShop({
+      code,
+      name,
+      sortOrder,
+      active,
+      orderCutoffTime,
+      orderCutoffDaysBefore,
+      cutoffAction,
+      suggestionMode,
+      forecastWeeks,
+      forecastSafetyFactor,
+    });
+
+    return redirectWithMessage(res, '/bakery/shops', {
+      success: `Shop "${shop.name}" wurde angelegt.`,
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Dieser Shop Code ist bereits vergeben.',
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/shops/:id/update', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.params.id, 0);
+    const name = String(req.body.name || '').trim();
+    const sortOrder = toNumber(req.body.sortOrder, 0);
+    const orderCutoffTime = String(req.body.orderCutoffTime || '').trim() || null;
+    const orderCutoffDaysBefore = toNumber(req.body.orderCutoffDaysBefore, 1);
+    const cutoffAction = String(req.body.cutoffAction || store.CUTOFF_ACTIONS.SUBMIT);
+    const suggestionMode = String(req.body.suggestionMode || store.SUGGESTION_MODES.SOLL);
+    const forecastWeeks = toNumber(req.body.forecastWeeks, 4);
+    const forecastSafetyFactor = parseDecimal(req.body.forecastSafetyFactor, 1.1);
+
+    if (!shopId) {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Ungültige Shop-ID.',
+      });
+    }
+
+    if (!name) {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Shopname fehlt.',
+      });
+    }
+
+    await store.updateShop(shopId, {
+      name,
+      sortOrder,
+      orderCutoffTime,
+      orderCutoffDaysBefore,
+      cutoffAction,
+      suggestionMode,
+      forecastWeeks,
+      forecastSafetyFactor,
+    });
+
+    return redirectWithMessage(res, '/bakery/shops', {
+      success: `Shop "${name}" wurde aktualisiert.`,
+    });
+  } catch (error) {
+    if (error.code === 'SHOP_NOT_FOUND') {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Shop nicht gefunden.',
+      });
+    }
+    if (error.code === '23505') {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Dieser Shop Code ist bereits vergeben.',
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/shops/:id/toggle', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.params.id, 0);
+    if (!shopId) {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Ungültige Shop-ID.',
+      });
+    }
+
+    const current = await store.getShopById(shopId);
+    if (!current) {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Shop nicht gefunden.',
+      });
+    }
+
+    await store.updateShop(shopId, { active: !current.active });
+
+    return redirectWithMessage(res, '/bakery/shops', {
+      success: `Shop "${current.name}" wurde ${current.active ? 'deaktiviert' : 'aktiviert'}.`,
+    });
+  } catch (error) {
+    if (error.code === 'SHOP_HAS_OPEN_DRAFTS') {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: `Shop kann nicht deaktiviert werden: ${error.details.openDraftCount} offene Entwürfe für heute oder später.`,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/shops/:id/move', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.params.id, 0);
+    const direction = req.body.direction === 'up' ? -1 : 1;
+
+    const shops = await store.listShops();
+    const ids = shops.map((shop) => shop.id);
+    const index = ids.indexOf(shopId);
+
+    if (index === -1) {
+      return redirectWithMessage(res, '/bakery/shops', {
+        error: 'Shop nicht gefunden.',
+      });
+    }
+
+    const target = index + direction;
+    if (target >= 0 && target < ids.length) {
+      [ids[index], ids[target]] = [ids[target], ids[index]];
+      await store.reorderShops(ids);
+    }
+
+    return redirectWithMessage(res, '/bakery/shops', {
+      success: 'Reihenfolge wurde gespeichert.',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bakery/order/save', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.body.shopId, 0);
+    const orderDate = String(req.body.orderDate || today());
+    const note = String(req.body.note || '').trim();
+    const lines = normalizeLinesPayload(req.body);
+
+    if (!shopId) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: 'Bitte Shop auswählen.',
+        date: orderDate,
+      });
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: 'Keine Berechtigung für diesen Shop.',
+        date: orderDate,
+      });
+    }
+
+    await store.saveOrderDraft({
+      shopId,
+      orderDate,
+      note,
+      createdBy: getUserIdentity(req),
+      updatedBy: getUserIdentity(req),
+      lines,
+      allowAfterCutoff: auth.isAdmin(auth.getSessionUser(req)),
+      expectedVersion: parseExpectedVersion(req.body.version),
+    });
+    delete req.session.orderConflict;
+
+    return redirectWithMessage(res, '/bakery/order', {
+      success: 'Bestellung wurde als Entwurf gespeichert.',
+      shopId,
+      date: orderDate,
+    });
+  } catch (error) {
+    if (error.code === 'ORDER_CONFLICT') {
+      req.session.orderConflict = buildOrderConflict(req.body, error);
+    }
+
+    const message = getOrderErrorMessage(error);
+    if (message) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: message,
+        shopId: req.body.shopId,
+        date: req.body.orderDate,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/order/submit', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.body.shopId, 0);
+    const orderDate = String(req.body.orderDate || today());
+    const note = String(req.body.note || '').trim();
+    const lines = normalizeLinesPayload(req.body);
+
+    if (!shopId) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: 'Bitte Shop auswählen.',
+        date: orderDate,
+      });
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: 'Keine Berechtigung für diesen Shop.',
+        date: orderDate,
+      });
+    }
 
     await store.submitOrder({
       shopId,
@@ -287,19 +1299,172 @@ router.post('/bakery/order/submit', async (req, res, next) => {
       createdBy: getUserIdentity(req),
       updatedBy: getUserIdentity(req),
       lines,
+      allowAfterCutoff: auth.isAdmin(auth.getSessionUser(req)),
+      expectedVersion: parseExpectedVersion(req.body.version),
     });
+    delete req.session.orderConflict;
 
     return redirectWithMessage(res, '/bakery/order', {
       success: 'Bestellung wurde abgegeben.',
       shopId,
       date: orderDate,
     });
+  } catch (error) {
+    if (error.code === 'ORDER_CONFLICT') {
+      req.session.orderConflict = buildOrderConflict(req.body, error);
+    }
+
+    const message = getOrderErrorMessage(error);
+    if (message) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: message,
+        shopId: req.body.shopId,
+        date: req.body.orderDate,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/order/conflict/discard', auth.requireRole(ADMIN, SHOP), async (req, res) => {
+  const conflict = req.session.orderConflict;
+  delete req.session.orderConflict;
+
+  return redirectWithMessage(res, '/bakery/order', {
+    success: 'Eigene Eingaben verworfen. Es gelten die gespeicherten Werte.',
+    shopId: conflict?.shopId || req.body.shopId,
+    date: conflict?.orderDate || req.body.orderDate,
+  });
+});
+
+router.post('/bakery/order/bulk/save', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    return await handleBulkOrders(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bakery/order/bulk/submit', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    return await handleBulkOrders(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bakery/order/copy', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.body.shopId, 0);
+    const orderDate = String(req.body.orderDate || today());
+    const sourceShopId = toNumber(req.body.sourceShopId, 0) || shopId;
+    const sourceDate = String(req.body.quickSourceDate || req.body.sourceDate || '').trim();
+
+    if (!sourceDate) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: 'Bitte ein Datum für die Quellbestellung wählen.',
+        shopId,
+        date: orderDate,
+      });
+    }
+
+    return await copyOrderAndRedirect(req, res, {
+      source: await store.getOrderByShopAndDate(sourceShopId, sourceDate),
+      targetShopId: shopId,
+      targetDate: orderDate,
+      errorPath: '/bakery/order',
+      errorQuery: { shopId, date: orderDate },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bakery/orders/:id/copy', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const orderId = toNumber(req.params.id, 0);
+
+    return await copyOrderAndRedirect(req, res, {
+      source: orderId ? await store.getOrderById(orderId) : null,
+      targetShopId: toNumber(req.body.targetShopId, 0),
+      targetDate: String(req.body.targetDate || today()),
+      errorPath: '/bakery/orders',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bakery/order/template/save', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  const shopId = toNumber(req.body.shopId, 0);
+  const orderDate = String(req.body.orderDate || today());
+
+  try {
+    if (!shopId || !auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: 'Keine Berechtigung für diesen Shop.',
+        date: orderDate,
+      });
+    }
+
+    const template = await store.saveOrderAsTemplate({
+      shopId,
+      orderDate,
+      name: req.body.templateName,
+      weekday: req.body.templateWeekday,
+      createdBy: getUserIdentity(req),
+    });
+
+    return redirectWithMessage(res, '/bakery/order', {
+      success: template.weekday
+        ? `Vorlage "${template.name}" wurde als Dauerauftrag gespeichert.`
+        : `Vorlage "${template.name}" wurde gespeichert.`,
+      shopId,
+      date: orderDate,
+    });
+  } catch (error) {
+    const messages = {
+      TEMPLATE_NAME_REQUIRED: 'Bitte einen Namen für die Vorlage angeben.',
+      ORDER_EMPTY: 'Die Bestellung hat noch keine gespeicherten Positionen. Bitte zuerst speichern.',
+    };
+
+    if (messages[error.code]) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: messages[error.code],
+        shopId,
+        date: orderDate,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/order/template/:id/delete', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  const orderDate = String(req.body.orderDate || today());
+
+  try {
+    const template = await store.getOrderTemplate(toNumber(req.params.id, 0));
+
+    if (!template || !auth.canAccessShop(auth.getSessionUser(req), template.shopId)) {
+      return redirectWithMessage(res, '/bakery/order', {
+        error: 'Vorlage nicht gefunden.',
+        date: orderDate,
+      });
+    }
+
+    await store.deleteOrderTemplate(template.id);
+
+    return redirectWithMessage(res, '/bakery/order', {
+      success: `Vorlage "${template.name}" wurde gelöscht.`,
+      shopId: template.shopId,
+      date: orderDate,
+    });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/bakery/orders/:id/reopen', async (req, res, next) => {
+router.post('/bakery/orders/:id/reopen', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
     const orderId = toNumber(req.params.id, 0);
 
@@ -317,6 +1482,212 @@ router.post('/bakery/orders/:id/reopen', async (req, res, next) => {
       date: order.orderDate,
     });
   } catch (error) {
+    const message = getOrderErrorMessage(error);
+    if (message) {
+      return redirectWithMessage(res, '/bakery/orders', {
+        error: message,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/orders/:id/status', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const orderId = toNumber(req.params.id, 0);
+
+    if (!orderId) {
+      return redirectWithMessage(res, '/bakery/orders', {
+        error: 'Ungültige Bestell-ID.',
+      });
+    }
+
+    const order = await store.changeOrderStatus(
+      orderId,
+      String(req.body.status || '').trim(),
+      getUserIdentity(req)
+    );
+
+    return redirectWithMessage(res, '/bakery/orders', {
+      success: `Status von Bestellung ${order.shopName || order.shopId} (${order.orderDate}) wurde geändert.`,
+    });
+  } catch (error) {
+    const message = getOrderErrorMessage(error);
+    if (message) {
+      return redirectWithMessage(res, '/bakery/orders', {
+        error: message,
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/orders/:id/receipt', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  const receiptPath = `/bakery/orders/${toNumber(req.params.id, 0)}/receipt`;
+
+  try {
+    const orderId = toNumber(req.params.id, 0);
+    const order = orderId ? await store.getOrderById(orderId) : null;
+
+    if (!order || !auth.canAccessShop(auth.getSessionUser(req), order.shopId)) {
+      return redirectWithMessage(res, '/bakery/orders', {
+        error: 'Bestellung nicht gefunden.',
+      });
+    }
+
+    const updated = await store.confirmOrderReceipt({
+      orderId,
+      lines: normalizeReceiptPayload(req.body),
+      note: String(req.body.note || '').trim(),
+      receivedBy: getUserIdentity(req),
+    });
+
+    const discrepancyCount = updated.lines.filter((line) => line.discrepancyQty).length;
+
+    return redirectWithMessage(res, receiptPath, {
+      success: discrepancyCount
+        ? `Wareneingang wurde bestätigt. ${discrepancyCount} Position(en) mit Abweichung gespeichert.`
+        : 'Wareneingang wurde bestätigt. Alle Mengen wurden vollständig geliefert.',
+    });
+  } catch (error) {
+    const message = getOrderErrorMessage(error);
+    if (message) {
+      return redirectWithMessage(res, receiptPath, {
+        error: message,
+      });
+    }
+    next(error);
+  }
+});
+
+const WASTE_ERROR_MESSAGES = {
+  WASTE_DATE_IN_FUTURE: 'Abschrift kann nicht für zukünftige Tage erfasst werden.',
+  SHOP_NOT_FOUND: 'Shop nicht gefunden.',
+  INVALID_DATE: 'Ungültiges Datum.',
+  23503: 'Ein Artikel existiert nicht mehr.',
+};
+
+router.post('/bakery/waste/save', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  const shopId = toNumber(req.body.shopId, 0);
+  const wasteDate = String(req.body.wasteDate || '').trim();
+  const wastePath = '/bakery/waste';
+
+  try {
+    if (!shopId || !auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return redirectWithMessage(res, wastePath, {
+        error: 'Shop nicht gefunden.',
+      });
+    }
+
+    const result = await store.saveWasteEntries({
+      shopId,
+      wasteDate,
+      entries: normalizeWastePayload(req.body),
+      recordedBy: getUserIdentity(req),
+    });
+
+    return redirectWithMessage(res, wastePath, {
+      success: `Abschrift gespeichert. ${result.savedCount} Position(en) erfasst.`,
+      shopId,
+      date: result.wasteDate,
+    });
+  } catch (error) {
+    const message = WASTE_ERROR_MESSAGES[error.code];
+    if (message) {
+      return redirectWithMessage(res, wastePath, {
+        error: message,
+        shopId,
+        date: wasteDate,
+      });
+    }
+    next(error);
+  }
+});
+
+function parseShopIds(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.map((id) => toNumber(id, 0)).filter(Boolean);
+}
+
+router.post('/bakery/users/create', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    const name = String(req.body.name || '').trim();
+    const password = String(req.body.password || '');
+    const role = String(req.body.role || SHOP);
+    const shopIds = parseShopIds(req.body.shopIds);
+
+    if (!email) {
+      return redirectWithMessage(res, '/bakery/users', {
+        error: 'E-Mail fehlt.',
+      });
+    }
+
+    await store.createUser({
+      email,
+      name,
+      password,
+      role,
+      shopIds,
+      active: true,
+    });
+
+    return redirectWithMessage(res, '/bakery/users', {
+      success: `Benutzer "${email}" wurde angelegt.`,
+    });
+  } catch (error) {
+    if (error.code === 'PASSWORD_TOO_SHORT') {
+      return redirectWithMessage(res, '/bakery/users', {
+        error: 'Das Passwort muss mindestens 8 Zeichen haben.',
+      });
+    }
+    if (error.code === '23505') {
+      return redirectWithMessage(res, '/bakery/users', {
+        error: 'Diese E-Mail ist bereits vergeben.',
+      });
+    }
+    next(error);
+  }
+});
+
+router.post('/bakery/users/:id/update', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const userId = toNumber(req.params.id, 0);
+    const name = String(req.body.name || '').trim();
+    const role = String(req.body.role || SHOP);
+    const active = parseBoolean(req.body.active);
+    const shopIds = parseShopIds(req.body.shopIds);
+    const password = String(req.body.password || '');
+
+    if (!userId) {
+      return redirectWithMessage(res, '/bakery/users', {
+        error: 'Ungültige Benutzer-ID.',
+      });
+    }
+
+    if (userId === auth.getSessionUser(req).id && (!active || role !== ADMIN)) {
+      return redirectWithMessage(res, '/bakery/users', {
+        error: 'Du kannst dir selbst nicht die Admin-Rechte entziehen.',
+      });
+    }
+
+    const user = await store.updateUser(userId, {
+      name,
+      role,
+      active,
+      shopIds,
+      password,
+    });
+
+    return redirectWithMessage(res, '/bakery/users', {
+      success: `Benutzer "${user.email}" wurde aktualisiert.`,
+    });
+  } catch (error) {
+    if (error.code === 'PASSWORD_TOO_SHORT') {
+      return redirectWithMessage(res, '/bakery/users', {
+        error: 'Das Passwort muss mindestens 8 Zeichen haben.',
+      });
+    }
     next(error);
   }
 });
@@ -0,0 +1,827 @@
+'use strict';
+
+const express = require('express');
+const store = require('../data/store');
+const auth = require('../utils/auth');
+
+const router = express.Router();
+const { ADMIN, PRODUCTION, SHOP } = store.USER_ROLES;
+
+router.use('/api/v1', express.json());
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return false;
+
+  return ['1', 'true', 'yes', 'ja'].includes(value.trim().toLowerCase());
+}
+
+function today() {
+  return store.localDateInput();
+}
+
+function getUserIdentity(req) {
+  return (
+    req.session?.user?.email ||
+    req.session?.user?.name ||
+    'API'
+  );
+}
+
+function sendError(res, status, code, message, details = {}) {
+  const hasDetails = details && Object.keys(details).length > 0;
+
+  return res.status(status).json({
+    error: { code, message, ...(hasDetails ? { details } : {}) },
+  });
+}
+
+function parseExpectedVersion(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const version = toNumber(value, -1);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+}
+
+function normalizeApiLines(lines) {
+  if (!Array.isArray(lines)) return [];
+
+  return lines
+    .map((line) => ({
+      itemId: toNumber(line?.itemId, 0),
+      istBestand: line?.istBestand ?? '',
+      orderedQty: line?.orderedQty ?? '',
+    }))
+    .filter((line) => line.itemId);
+}
+
+async function loadAccessibleOrder(req, res) {
+  const orderId = toNumber(req.params.id, 0);
+  const order = orderId ? await store.getOrderWithLines(orderId) : null;
+
+  if (!order || !auth.canAccessShop(auth.getSessionUser(req), order.shopId)) {
+    sendError(res, 404, 'ORDER_NOT_FOUND', 'Order not found');
+    return null;
+  }
+
+  return order;
+}
+
+router.get('/api/v1/session', auth.requireApiRole(), async (req, res) => {
+  return res.json({ data: auth.getSessionUser(req) });
+});
+
+router.post('/api/v1/session', async (req, res, next) => {
+  try {
+    const email = String(req.body?.email || '').trim();
+    const password = String(req.body?.password || '');
+
+    if (!email || !password) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'email and password are required');
+    }
+
+    const user = await store.authenticateUser(email, password);
+    if (!user) {
+      return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+
+    req.session.regenerate((sessionError) => {
+      if (sessionError) return next(sessionError);
+
+      req.session.user = auth.toSessionUser(user);
+      req.session.save((saveError) => {
+        if (saveError) return next(saveError);
+        return res.status(201).json({ data: req.session.user });
+      });
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api/v1/session', async (req, res, next) => {
+  if (!req.session) {
+    return res.status(204).end();
+  }
+
+  req.session.destroy((error) => {
+    if (error) return next(error);
+    res.clearCookie('bunca.sid');
+    return res.status(204).end();
+  });
+});
+
+router.get('/api/v1/shops', auth.requireApiRole(), async (req, res, next) => {
+  try {
+    const currentUser = auth.getSessionUser(req);
+    const shops = await store.listShops({ activeOnly: !auth.isAdmin(currentUser) });
+
+    return res.json({
+      data: currentUser.role === SHOP
+        ? shops.filter((shop) => auth.canAccessShop(currentUser, shop.id))
+        : shops,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/items', auth.requireApiRole(), async (req, res, next) => {
+  try {
+    const items = await store.listItems({
+      activeOnly: parseBoolean(req.query.activeOnly),
+      includeShopSettings: parseBoolean(req.query.includeShopSettings),
+      includeArchived: parseBoolean(req.query.includeArchived),
+    });
+
+    return res.json({ data: items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/units', auth.requireApiRole(), async (req, res, next) => {
+  try {
+    const units = await store.listUnits();
+    return res.json({ data: units });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/items/:id/archive', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const item = await store.archiveItem(toNumber(req.params.id, 0), {
+      archivedBy: getUserIdentity(req),
+    });
+    return res.json({ data: item });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/items/:id/restore', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const item = await store.restoreItem(toNumber(req.params.id, 0));
+    return res.json({ data: item });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/items/:id/merge', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const result = await store.mergeItems({
+      sourceItemId: toNumber(req.params.id, 0),
+      targetItemId: toNumber(req.body?.targetItemId, 0),
+      mergedBy: getUserIdentity(req),
+    });
+    return res.json({ data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api/v1/items/:id', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    await store.deleteItem(toNumber(req.params.id, 0));
+    return res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/production-stations', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const stations = await store.listProductionStations();
+
+    return res.json({ data: stations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/ingredients', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const ingredients = await store.listIngredients();
+
+    return res.json({ data: ingredients });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/items/:id/recipe', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const recipe = await store.getItemRecipe(toNumber(req.params.id, 0));
+    if (!recipe) {
+      return sendError(res, 404, 'RECIPE_NOT_FOUND', 'Recipe not found');
+    }
+
+    return res.json({ data: recipe });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/api/v1/items/:id/recipe', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const recipe = await store.saveItemRecipe({
+      itemId: toNumber(req.params.id, 0),
+      yieldQty: req.body.yieldQty,
+      note: req.body.note,
+      lines: Array.isArray(req.body.lines) ? req.body.lines : [],
+      updatedBy: getUserIdentity(req),
+    });
+
+    return res.json({ data: recipe });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/prices', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const prices = await store.listItemPrices({
+      itemId: req.query.itemId || null,
+      shopId: req.query.shopId || null,
+    });
+
+    return res.json({ data: prices });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/prices', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const price = await store.createItemPrice({
+      itemId: req.body?.itemId,
+      shopId: req.body?.shopId,
+      price: req.body?.price,
+      validFrom: req.body?.validFrom,
+      validTo: req.body?.validTo,
+      createdBy: getUserIdentity(req),
+    });
+
+    return res.status(201).json({ data: price });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api/v1/prices/:id', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    await store.deleteItemPrice(toNumber(req.params.id, 0));
+    return res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/orders', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const orders = await store.listOrders({
+      shopId: req.query.shopId ? toNumber(req.query.shopId, 0) : null,
+      shopIds: auth.getAccessibleShopIds(auth.getSessionUser(req)),
+      status: req.query.status || null,
+      dateFrom: req.query.dateFrom || null,
+      dateTo: req.query.dateTo || null,
+    });
+
+    return res.json({ data: orders });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/orders/editor', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.query.shopId, 0);
+    const orderDate = String(req.query.orderDate || today());
+
+    if (!shopId) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'shopId is required');
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const shop = await store.getShopById(shopId);
+    if (!shop) {
+      return sendError(res, 404, 'SHOP_NOT_FOUND', 'Shop not found');
+    }
+
+    const editorData = await store.getOrderEditorData({
+      shopId,
+      orderDate,
+      createdBy: getUserIdentity(req),
+      templateId: req.query.templateId ? toNumber(req.query.templateId, 0) : null,
+    });
+
+    return res.json({ data: editorData });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/orders/bulk', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const bulkData = await store.getBulkOrderEditorData({
+      orderDate: String(req.query.orderDate || today()),
+      shopIds: auth.getAccessibleShopIds(auth.getSessionUser(req)),
+    });
+
+    return res.json({ data: bulkData });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/api/v1/orders/bulk', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const orders = (Array.isArray(req.body?.orders) ? req.body.orders : [])
+      .map((order) => ({
+        shopId: toNumber(order?.shopId, 0),
+        note: order?.note == null ? null : String(order.note).trim(),
+        lines: normalizeApiLines(order?.lines),
+        expectedVersion: parseExpectedVersion(order?.version),
+      }))
+      .filter((order) => order.shopId);
+
+    if (!orders.length) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'orders must contain at least one shop');
+    }
+
+    if (orders.some((order) => order.expectedVersion === null)) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'version is required for every order, use 0 for a new order');
+    }
+
+    if (orders.some((order) => !auth.canAccessShop(auth.getSessionUser(req), order.shopId))) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const savedOrders = await store.saveBulkOrders({
+      orderDate: String(req.body?.orderDate || today()),
+      orders,
+      createdBy: getUserIdentity(req),
+      updatedBy: getUserIdentity(req),
+      allowAfterCutoff: auth.isAdmin(auth.getSessionUser(req)),
+      submit: parseBoolean(req.body?.submit),
+    });
+
+    return res.json({ data: savedOrders });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/order-templates', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.query.shopId, 0);
+
+    if (!shopId) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'shopId is required');
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    return res.json({ data: await store.listOrderTemplates(shopId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/order-templates', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.body?.shopId, 0);
+
+    if (!shopId) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'shopId is required');
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const template = await store.saveOrderAsTemplate({
+      shopId,
+      orderDate: String(req.body?.orderDate || today()),
+      name: req.body?.name,
+      weekday: req.body?.weekday,
+      createdBy: getUserIdentity(req),
+    });
+
+    return res.status(201).json({ data: template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/api/v1/order-templates/:id', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const template = await store.getOrderTemplate(toNumber(req.params.id, 0));
+
+    if (!template || !auth.canAccessShop(auth.getSessionUser(req), template.shopId)) {
+      return sendError(res, 404, 'TEMPLATE_NOT_FOUND', 'Template not found');
+    }
+
+    await store.deleteOrderTemplate(template.id);
+    return res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/orders/:id', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const order = await loadAccessibleOrder(req, res);
+    if (!order) return undefined;
+
+    return res.json({ data: order });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/api/v1/orders', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.body?.shopId, 0);
+    const orderDate = String(req.body?.orderDate || today());
+
+    if (!shopId) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'shopId is required');
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const expectedVersion = parseExpectedVersion(req.body?.version);
+    if (expectedVersion === null) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'version is required, use 0 for a new order');
+    }
+
+    const order = await store.saveOrderDraft({
+      shopId,
+      orderDate,
+      note: String(req.body?.note || '').trim(),
+      createdBy: getUserIdentity(req),
+      updatedBy: getUserIdentity(req),
+      lines: normalizeApiLines(req.body?.lines),
+      allowAfterCutoff: auth.isAdmin(auth.getSessionUser(req)),
+      expectedVersion,
+    });
+
+    return res.json({ data: order });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/api/v1/orders/autosave', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.body?.shopId, 0);
+    const orderDate = String(req.body?.orderDate || today());
+
+    if (!shopId) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'shopId is required');
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const expectedVersion = parseExpectedVersion(req.body?.version);
+    if (expectedVersion === null) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'version is required, use 0 for a new order');
+    }
+
+    const order = await store.saveOrderDraft({
+      shopId,
+      orderDate,
+      note: String(req.body?.note || '').trim(),
+      createdBy: getUserIdentity(req),
+      updatedBy: getUserIdentity(req),
+      lines: normalizeApiLines(req.body?.lines),
+      allowAfterCutoff: auth.isAdmin(auth.getSessionUser(req)),
+      autosave: true,
+      expectedVersion,
+    });
+
+    return res.json({
+      data: {
+        orderId: order.id,
+        status: order.status,
+        version: order.version,
+        lineCount: order.lines.length,
+        savedAt: order.updatedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/orders/:id/submit', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const order = await loadAccessibleOrder(req, res);
+    if (!order) return undefined;
+
+    if (order.status !== store.ORDER_STATUS.DRAFT) {
+      return sendError(res, 409, 'ORDER_LOCKED', 'Order is already submitted');
+    }
+
+    const expectedVersion = parseExpectedVersion(req.body?.version);
+    if (expectedVersion === null) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'version is required');
+    }
+
+    const submitted = await store.submitOrder({
+      shopId: order.shopId,
+      orderDate: order.orderDate,
+      note: req.body?.note != null ? String(req.body.note).trim() : order.note,
+      createdBy: getUserIdentity(req),
+      updatedBy: getUserIdentity(req),
+      lines: normalizeApiLines(req.body?.lines),
+      allowAfterCutoff: auth.isAdmin(auth.getSessionUser(req)),
+      expectedVersion,
+    });
+
+    return res.json({ data: submitted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/orders/:id/reopen', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const order = await loadAccessibleOrder(req, res);
+    if (!order) return undefined;
+
+    const reopened = await store.reopenOrder(order.id, getUserIdentity(req));
+    return res.json({ data: reopened });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/orders/:id/status', auth.requireApiRole(ADMIN), async (req, res, next) => {
+  try {
+    const order = await loadAccessibleOrder(req, res);
+    if (!order) return undefined;
+
+    const status = String(req.body?.status || '').trim();
+    if (!status) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'status is required');
+    }
+
+    const updated = await store.changeOrderStatus(order.id, status, getUserIdentity(req));
+    return res.json({ data: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/orders/:id/copy', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const order = await loadAccessibleOrder(req, res);
+    if (!order) return undefined;
+
+    const shopId = toNumber(req.body?.shopId, 0) || order.shopId;
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const result = await store.copyOrder({
+      sourceOrderId: order.id,
+      shopId,
+      orderDate: String(req.body?.orderDate || today()),
+      createdBy: getUserIdentity(req),
+      allowAfterCutoff: auth.isAdmin(auth.getSessionUser(req)),
+    });
+
+    return res.status(201).json({ data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/api/v1/orders/:id/receipt', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const order = await loadAccessibleOrder(req, res);
+    if (!order) return undefined;
+
+    const lines = Array.isArray(req.body?.lines)
+      ? req.body.lines
+          .map((line) => ({
+            itemId: toNumber(line?.itemId, 0),
+            receivedQty: line?.receivedQty ?? '',
+          }))
+          .filter((line) => line.itemId)
+      : [];
+
+    const received = await store.confirmOrderReceipt({
+      orderId: order.id,
+      lines,
+      note: String(req.body?.note || '').trim(),
+      receivedBy: getUserIdentity(req),
+    });
+
+    return res.json({ data: received });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/waste', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.query.shopId, 0);
+
+    if (!shopId) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'shopId is required');
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const wasteData = await store.getWasteEntryData({
+      shopId,
+      wasteDate: String(req.query.date || today()),
+    });
+
+    return res.json({ data: wasteData });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/api/v1/waste', auth.requireApiRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const shopId = toNumber(req.body?.shopId, 0);
+
+    if (!shopId) {
+      return sendError(res, 400, 'VALIDATION_ERROR', 'shopId is required');
+    }
+
+    if (!auth.canAccessShop(auth.getSessionUser(req), shopId)) {
+      return sendError(res, 403, 'FORBIDDEN', 'No access to this shop');
+    }
+
+    const result = await store.saveWasteEntries({
+      shopId,
+      wasteDate: String(req.body?.wasteDate || today()),
+      entries: Array.isArray(req.body?.entries) ? req.body.entries : [],
+      recordedBy: getUserIdentity(req),
+    });
+    const wasteData = await store.getWasteEntryData({
+      shopId,
+      wasteDate: result.wasteDate,
+    });
+
+    return res.json({ data: { ...wasteData, savedCount: result.savedCount, removedCount: result.removedCount } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/reports/production', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const report = await store.getProductionReport({
+      orderDate: req.query.date || today(),
+      statuses: store.normalizeOrderStatusFilter(req.query.status, store.PRODUCTION_ORDER_STATUSES),
+    });
+
+    return res.json({ data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/reports/ingredients', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const report = await store.getIngredientRequirementsReport({
+      orderDate: req.query.date || today(),
+      statuses: store.normalizeOrderStatusFilter(req.query.status, store.PRODUCTION_ORDER_STATUSES),
+    });
+
+    return res.json({ data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/reports/production-plan', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const report = await store.getProductionPlan({
+      orderDate: req.query.date || today(),
+      statuses: store.normalizeOrderStatusFilter(req.query.status, store.PRODUCTION_ORDER_STATUSES),
+      stationId: req.query.stationId ?? null,
+    });
+
+    return res.json({ data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/reports/statement', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const statement = await store.getShopStatement({
+      shopId: req.query.shopId,
+      month: req.query.month || today().slice(0, 7),
+      statuses: store.normalizeOrderStatusFilter(req.query.status, store.PRODUCTION_ORDER_STATUSES),
+    });
+
+    return res.json({ data: statement });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/reports/range', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const report = await store.getDateRangeReport({
+      dateFrom: req.query.dateFrom || today(),
+      dateTo: req.query.dateTo || req.query.dateFrom || today(),
+      shopId: req.query.shopId ? toNumber(req.query.shopId, 0) : null,
+      statuses: store.normalizeOrderStatusFilter(req.query.status, store.PRODUCTION_ORDER_STATUSES),
+    });
+
+    return res.json({ data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/reports/discrepancies', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const report = await store.getReceiptDiscrepancyReport({
+      dateFrom: req.query.dateFrom || today(),
+      dateTo: req.query.dateTo || req.query.dateFrom || today(),
+      shopId: req.query.shopId ? toNumber(req.query.shopId, 0) : null,
+    });
+
+    return res.json({ data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/api/v1/reports/waste', auth.requireApiRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const report = await store.getWasteReport({
+      dateFrom: req.query.dateFrom || today(),
+      dateTo: req.query.dateTo || req.query.dateFrom || today(),
+      shopId: req.query.shopId ? toNumber(req.query.shopId, 0) : null,
+    });
+
+    return res.json({ data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use('/api/v1', (req, res) => {
+  return sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.originalUrl}`);
+});
+
+router.use('/api/v1', (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  if (error.status && error.code) {
+    return sendError(res, error.status, error.code, error.message, error.details);
+  }
+
+  if (error.code === '23505') {
+    return sendError(res, 409, 'CONFLICT', 'Resource already exists');
+  }
+
+  if (error.code === '23503') {
+    return sendError(res, 409, 'CONFLICT', 'Referenced resource is missing or still in use');
+  }
+
+  if (error.code === '22P02' || error.code === '22007' || error.code === '22008') {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'Invalid input value');
+  }
+
+  console.error('[api]', error);
+  return sendError(res, 500, 'INTERNAL_ERROR', 'Unexpected server error');
+});
+
+module.exports = router;
@@ -2,17 +2,99 @@
 
 const express = require('express');
 const store = require('../data/store');
-const { buildOrderPdf, buildProductionPdf } = require('../utils/bakeryPdf');
+const {
+  buildOrderPdf,
+  buildProductionPdf,
+  buildIngredientRequirementsPdf,
+  buildProductionPlanPdf,
+  buildShopStatementPdf,
+  buildDeliveryNotePdf,
+} = require('../utils/bakeryPdf');
+const bakeryExport = require('../utils/bakeryExport');
+const auth = require('../utils/auth');
 
 const router = express.Router();
+const { ADMIN, PRODUCTION, SHOP } = store.USER_ROLES;
+
+const BAKERY_NAV = [
+  { href: '/bakery/order', label: 'Bestellung', roles: [ADMIN, SHOP] },
+  { href: '/bakery/order/bulk', label: 'Sammelerfassung', roles: [ADMIN, SHOP] },
+  { href: '/bakery/items', label: 'Artikel', roles: [ADMIN] },
+  { href: '/bakery/recipes', label: 'Rezepte', roles: [ADMIN] },
+  { href: '/bakery/prices', label: 'Preise', roles: [ADMIN] },
+  { href: '/bakery/orders', label: 'Bestellungen', roles: [ADMIN, SHOP] },
+  { href: '/bakery/waste', label: 'Abschrift', roles: [ADMIN, SHOP] },
+  { href: '/bakery/reports', label: 'Berichte', roles: [ADMIN, PRODUCTION] },
+  { href: '/bakery/production-plan', label: 'Produktionsplan', roles: [ADMIN, PRODUCTION] },
+  { href: '/bakery/shops', label: 'Shops', roles: [ADMIN] },
+  { href: '/bakery/users', label: 'Benutzer', roles: [ADMIN] },
+];
+
+const WEEKDAY_LABELS = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
 
 function today() {
-  return new Date().toISOString().slice(0, 10);
+  return store.localDateInput();
 }
 
+function shiftDate(dateInput, days) {
+  const d = new Date(`${dateInput}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+const ORDER_STATUS_LABELS = {
+  [store.ORDER_STATUS.DRAFT]: 'Entwurf',
+  [store.ORDER_STATUS.SUBMITTED]: 'Abgegeben',
+  [store.ORDER_STATUS.CONFIRMED]: 'Bestätigt',
+  [store.ORDER_STATUS.IN_PRODUCTION]: 'In Produktion',
+  [store.ORDER_STATUS.DELIVERED]: 'Geliefert',
+  [store.ORDER_STATUS.CANCELLED]: 'Storniert',
+};
+
+const ORDER_STATUS_CLASSES = {
+  [store.ORDER_STATUS.DRAFT]: 'draft',
+  [store.ORDER_STATUS.SUBMITTED]: 'submitted',
+  [store.ORDER_STATUS.CONFIRMED]: 'confirmed',
+  [store.ORDER_STATUS.IN_PRODUCTION]: 'production',
+  [store.ORDER_STATUS.DELIVERED]: 'delivered',
+  [store.ORDER_STATUS.CANCELLED]: 'cancelled',
+};
+
+const ORDER_STATUS_ACTION_LABELS = {
+  [store.ORDER_STATUS.DRAFT]: 'Wieder öffnen',
+  [store.ORDER_STATUS.CONFIRMED]: 'Bestätigen',
+  [store.ORDER_STATUS.IN_PRODUCTION]: 'In Produktion',
+  [store.ORDER_STATUS.DELIVERED]: 'Geliefert',
+  [store.ORDER_STATUS.CANCELLED]: 'Stornieren',
+};
+
 function mapOrderStatusLabel(status) {
-  if (status === store.ORDER_STATUS.SUBMITTED) return 'Abgegeben';
-  return 'Entwurf';
+  return ORDER_STATUS_LABELS[status] || ORDER_STATUS_LABELS[store.ORDER_STATUS.DRAFT];
+}
+
+function buildStatusActions(status) {
+  return store.getOrderStatusTransitions(status)
+    .filter((nextStatus) => ORDER_STATUS_ACTION_LABELS[nextStatus])
+    .map((nextStatus) => ({
+      value: nextStatus,
+      label: ORDER_STATUS_ACTION_LABELS[nextStatus],
+    }));
+}
+
+function isOrderLocked(order) {
+  return !!order && order.status !== store.ORDER_STATUS.DRAFT;
+}
+
+function canReceiveOrder(order) {
+  return !!order && store.RECEIVABLE_ORDER_STATUSES.includes(order.status);
+}
+
+function canReopenOrder(order) {
+  return !!order && store.getOrderStatusTransitions(order.status).includes(store.ORDER_STATUS.DRAFT);
+}
+
+function parseReportStatuses(req) {
+  return store.normalizeOrderStatusFilter(req.query.status, store.PRODUCTION_ORDER_STATUSES);
 }
 
 function getUserIdentity(req) {
@@ -25,29 +107,138 @@ function getUserIdentity(req) {
   );
 }
 
+function formatCutoff(value) {
+  if (!value) return '';
+
+  return new Intl.DateTimeFormat('de-DE', {
+    timeZone: store.BAKERY_TIMEZONE,
+    weekday: 'short',
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(value));
+}
+
+const ORDER_AUDIT_LABELS = {
+  [store.ORDER_AUDIT_ACTIONS.SAVE]: 'Gespeichert',
+  [store.ORDER_AUDIT_ACTIONS.AUTOSAVE]: 'Automatisch gespeichert',
+  [store.ORDER_AUDIT_ACTIONS.SUBMIT]: 'Abgegeben',
+  [store.ORDER_AUDIT_ACTIONS.AUTO_SUBMIT]: 'Automatisch abgegeben (Annahmeschluss)',
+  [store.ORDER_AUDIT_ACTIONS.REOPEN]: 'Wieder geöffnet',
+  [store.ORDER_AUDIT_ACTIONS.STATUS_CHANGE]: 'Status geändert',
+  [store.ORDER_AUDIT_ACTIONS.RECEIPT]: 'Wareneingang bestätigt',
+  [store.ORDER_AUDIT_ACTIONS.ITEM_MERGE]: 'Artikel zusammengeführt',
+};
+
+function formatDateTime(value) {
+  if (!value) return '';
+
+  return new Intl.DateTimeFormat('de-DE', {
+    timeZone: store.BAKERY_TIMEZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).format(new Date(value));
+}
+
+function formatQty(value) {
+  return Number(value || 0).toLocaleString('de-DE', { maximumFractionDigits: 2 });
+}
+
+function formatShortDate(dateInput) {
+  const [, month, day] = String(dateInput).split('-');
+  return `${day}.${month}.`;
+}
+
+function describeSuggestion(item, suggestionMode) {
+  if (item.suggestionBasis === store.SUGGESTION_MODES.FORECAST) {
+    const forecast = item.forecast;
+    if (!forecast) {
+      return { reason: `Prognose ${formatQty(item.targetQty)} minus IST`, detail: '' };
+    }
+
+    const weekdayLabel = WEEKDAY_LABELS[store.getIsoWeekday(item.orderDate) - 1];
+    return {
+      reason: `Ø ${formatQty(forecast.averageSellThrough)} Abverkauf (${forecast.sampleCount}× ${weekdayLabel}) `
+        + `× ${formatQty(forecast.safetyFactor)} = ${formatQty(forecast.forecastQty)} minus IST`,
+      detail: forecast.samples
+        .map((sample) => `${formatShortDate(sample.date)}: ${formatQty(sample.sellThrough)}`)
+        .join(' · '),
+    };
+  }
+
+  if (suggestionMode === store.SUGGESTION_MODES.FORECAST) {
+    return { reason: 'Keine Verkaufshistorie, SOLL minus IST', detail: '' };
+  }
+
+  return { reason: '', detail: '' };
+}
+
+function buildOrderConflictView(conflict, orderData) {
+  const itemMap = new Map(orderData.items.map((item) => [item.itemId, item]));
+  const toQty = (value) => Math.max(0, Number(String(value ?? '').replace(',', '.')) || 0);
+
+  const lines = (conflict.lines || [])
+    .map((line) => {
+      const item = itemMap.get(Number(line.itemId));
+      if (!item) return null;
+
+      return {
+        itemId: item.itemId,
+        name: item.name,
+        savedIst: item.istBestand,
+        savedOrdered: item.orderedQty,
+        mineIst: toQty(line.istBestand),
+        mineOrdered: line.orderedQty === '' || line.orderedQty == null ? null : toQty(line.orderedQty),
+      };
+    })
+    .filter((line) => line && (
+      line.mineIst !== line.savedIst
+      || (line.mineOrdered !== null && line.mineOrdered !== line.savedOrdered)
+    ));
+
+  const savedNote = orderData.order.note || '';
+
+  return {
+    updatedBy: conflict.updatedBy || '',
+    lines,
+    mineNote: conflict.note || '',
+    savedNote,
+    noteDiffers: (conflict.note || '') !== savedNote,
+  };
+}
+
 function buildBaseViewModel(req, extra = {}) {
+  const currentUser = auth.getSessionUser(req);
+
   return {
     title: 'Bakery',
     currentPath: req.path,
-    bakeryNav: [
-      { href: '/bakery/order', label: 'Bestellung' },
-      { href: '/bakery/items', label: 'Artikel' },
-      { href: '/bakery/orders', label: 'Bestellungen' },
-      { href: '/bakery/reports', label: 'Berichte' },
-    ],
+    bakeryNav: BAKERY_NAV
+      .filter((item) => currentUser && item.roles.includes(currentUser.role))
+      .map(({ href, label }) => ({ href, label })),
     success: req.query.success || '',
     error: req.query.error || '',
     userName: getUserIdentity(req),
+    currentUser,
+    isAdmin: auth.isAdmin(currentUser),
+    roleLabel: auth.getRoleLabel(currentUser?.role),
     ...extra,
   };
 }
 
-async function loadShopOptions(selectedShopId) {
+async function loadShopOptions(selectedShopId, allowedShopIds = null) {
   const shops = await store.listShops({ activeOnly: true });
-  return shops.map((shop) => ({
-    ...shop,
-    selected: String(shop.id) === String(selectedShopId || ''),
-  }));
+  return shops
+    .filter((shop) => !allowedShopIds || allowedShopIds.map(String).includes(String(shop.id)))
+    .map((shop) => ({
+      ...shop,
+      selected: String(shop.id) === String(selectedShopId || ''),
+    }));
 }
 
 function buildItemsGrouped(items = []) {
@@ -71,34 +262,80 @@ function buildItemsGrouped(items = []) {
   return grouped;
 }
 
-router.get('/bakery', async (req, res) => {
-  return res.redirect('/bakery/order');
+router.get('/bakery', auth.requireLogin, async (req, res) => {
+  return res.redirect(auth.getHomePath(auth.getSessionUser(req)));
 });
 
-router.get('/bakery/order', async (req, res, next) => {
+router.get('/bakery/login', async (req, res) => {
+  const currentUser = auth.getSessionUser(req);
+  if (currentUser) {
+    return res.redirect(auth.getHomePath(currentUser));
+  }
+
+  return res.render(
+    'login',
+    buildBaseViewModel(req, {
+      title: 'Bakery | Anmelden',
+      pageTitle: 'Anmelden',
+      pageSubtitle: 'Mit E-Mail und Passwort anmelden, um Bestellungen und Berichte zu öffnen.',
+      email: req.query.email || '',
+      nextPath: req.query.next || '',
+    })
+  );
+});
+
+router.get('/bakery/order', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
   try {
-    const shopOptions = await loadShopOptions(req.query.shopId);
-    const selectedShopId =
-      req.query.shopId ||
-      (shopOptions[0] ? String(shopOptions[0].id) : '');
+    const currentUser = auth.getSessionUser(req);
+    const shopOptions = await loadShopOptions(
+      req.query.shopId,
+      auth.getAccessibleShopIds(currentUser)
+    );
+    const requestedShop = shopOptions.find((shop) => shop.selected);
+    const selectedShopId = requestedShop
+      ? String(requestedShop.id)
+      : (shopOptions[0] ? String(shopOptions[0].id) : '');
 
     const orderDate = req.query.date || today();
 
     let orderData = null;
     let groupedItems = [];
     let selectedShop = null;
+    let orderTemplates = [];
+    let orderConflict = null;
 
     if (selectedShopId) {
       selectedShop = await store.getShopById(Number(selectedShopId));
 
       if (selectedShop) {
+        orderTemplates = await store.listOrderTemplates(selectedShop.id);
+        const requestedTemplate = orderTemplates.find(
+          (template) => String(template.id) === String(req.query.templateId || '')
+        );
+
         orderData = await store.getOrderEditorData({
           shopId: selectedShop.id,
           orderDate,
           createdBy: getUserIdentity(req),
+          templateId: requestedTemplate ? requestedTemplate.id : null,
         });
 
-        groupedItems = buildItemsGrouped(orderData.items);
+        const conflict = req.session?.orderConflict;
+        if (
+          conflict
+          && conflict.shopId === selectedShop.id
+          && conflict.orderDate === orderData.order.orderDate
+          && orderData.order.status === store.ORDER_STATUS.DRAFT
+        ) {
+          orderConflict = buildOrderConflictView(conflict, orderData);
+        }
+
+        groupedItems = buildItemsGrouped(
+          orderData.items.map((item) => {
+            const { reason, detail } = describeSuggestion(item, orderData.suggestionMode);
+            return { ...item, suggestionReason: reason, suggestionDetail: detail };
+          })
+        );
       }
     }
 
@@ -115,8 +352,26 @@ router.get('/bakery/order', async (req, res, next) => {
         groupedItems,
         order: orderData?.order || null,
         orderStatusLabel: mapOrderStatusLabel(orderData?.order?.status),
-        isSubmitted: orderData?.order?.status === store.ORDER_STATUS.SUBMITTED,
+        isSubmitted: isOrderLocked(orderData?.order),
+        canReopen: canReopenOrder(orderData?.order),
+        canReceive: canReceiveOrder(orderData?.order),
+        suggestionMode: orderData?.suggestionMode || store.SUGGESTION_MODES.SOLL,
+        orderTemplates: orderTemplates.map((template) => ({
+          ...template,
+          weekdayLabel: template.weekday ? WEEKDAY_LABELS[template.weekday - 1] : '',
+        })),
+        loadedTemplate: orderData?.template || null,
+        weekdayLabels: WEEKDAY_LABELS,
+        copySourceOptions: [
+          { date: shiftDate(orderDate, -1), label: 'Vortag' },
+          { date: shiftDate(orderDate, -7), label: 'Vorwoche' },
+        ],
+        cutoff: orderData?.cutoff || null,
+        cutoffLabel: formatCutoff(orderData?.cutoff?.cutoffAt),
+        isCutoffLocked: !!orderData?.cutoff?.locked && !auth.isAdmin(currentUser),
         note: orderData?.order?.note || '',
+        lastSavedLabel: formatDateTime(orderData?.order?.updatedAt),
+        orderConflict,
         totals: {
           totalItems: orderData?.items?.length || 0,
           totalSuggestedQty: (orderData?.items || []).reduce((sum, item) => sum + Number(item.suggestedQty || 0), 0),
@@ -129,10 +384,17 @@ router.get('/bakery/order', async (req, res, next) => {
   }
 });
 
-router.get('/bakery/items', async (req, res, next) => {
+router.get('/bakery/items', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
-    const items = await store.listItems({ includeShopSettings: true });
+    const showArchived = req.query.archived === '1';
+    const allItems = await store.listItems({ includeShopSettings: true, includeArchived: true });
+    const items = showArchived ? allItems : allItems.filter((item) => !item.archivedAt);
     const shops = await store.listShops();
+    const stations = await store.listProductionStations();
+    const units = await store.listUnits();
+    const stationNames = new Map(stations.map((station) => [station.id, station.name]));
+    const importCsvText = req.session?.itemImport?.csvText || '';
+    const importPreview = importCsvText ? await store.previewItemImport(importCsvText) : null;
 
     const preparedItems = items.map((item) => {
       const settingMap = new Map(
@@ -146,12 +408,17 @@ router.get('/bakery/items', async (req, res, next) => {
           shopName: shop.name,
           shopCode: shop.code,
           sollBestand: setting ? Number(setting.sollBestand || 0) : 0,
+          sollByWeekday: setting ? setting.sollByWeekday : store.WEEKDAYS.map(() => null),
           activeForShop: setting ? !!setting.activeForShop : false,
+          availableFrom: setting ? setting.availableFrom : null,
+          availableTo: setting ? setting.availableTo : null,
+          availableWeekdays: setting ? setting.availableWeekdays : null,
         };
       });
 
       return {
         ...item,
+        stationName: stationNames.get(item.stationId) || '',
         shopSettings,
       };
     });
@@ -163,9 +430,17 @@ router.get('/bakery/items', async (req, res, next) => {
         pageTitle: 'Artikel',
         pageSubtitle: 'Artikel, Kategorien und SOLL Bestand je Shop zentral verwalten.',
         items: preparedItems,
+        allItems,
+        archivedCount: allItems.filter((item) => item.archivedAt).length,
+        showArchived,
         shops,
+        stations,
+        units,
+        weekdayLabels: WEEKDAY_LABELS,
         bulkTemplate:
           'Croissant; Viennoiserie; Stk; 1\nPain au Chocolat; Viennoiserie; Stk; 2\nCheesecake; Kuchen; Stk; 3',
+        importCsvText,
+        importPreview,
       })
     );
   } catch (error) {
@@ -173,21 +448,181 @@ router.get('/bakery/items', async (req, res, next) => {
   }
 });
 
-router.get('/bakery/orders', async (req, res, next) => {
+router.get('/bakery/items/export', auth.requireRole(ADMIN), async (req, res, next) => {
   try {
-    const shopOptions = await loadShopOptions(req.query.shopId);
-    const filters = {
-      shopId: req.query.shopId ? Number(req.query.shopId) : null,
-      status: req.query.status || null,
-      dateFrom: req.query.dateFrom || null,
-      dateTo: req.query.dateTo || null,
-    };
+    const format = bakeryExport.normalizeExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).send('Unbekanntes Exportformat.');
+    }
+
+    const [items, shops] = await Promise.all([
+      store.listItems({ includeShopSettings: true }),
+      store.listShops(),
+    ]);
+
+    return await bakeryExport.sendItemsExport(res, items, shops, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/shops', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const shops = await store.listShops({ includeStats: true });
+
+    return res.render(
+      'shops',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Shops',
+        pageTitle: 'Shops',
+        pageSubtitle: 'Filialen anlegen, umbenennen, sortieren und deaktivieren.',
+        shops,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/recipes', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const [suppliers, ingredients, recipes, items] = await Promise.all([
+      store.listSuppliers(),
+      store.listIngredients(),
+      store.listItemRecipes(),
+      store.listItems(),
+    ]);
+
+    const recipeMap = new Map(recipes.map((recipe) => [recipe.itemId, recipe]));
+    const selectedItem = items.find((item) => String(item.id) === String(req.query.itemId || ''))
+      || items[0]
+      || null;
+
+    return res.render(
+      'recipes',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Rezepte',
+        pageTitle: 'Rezepte & Zutaten',
+        pageSubtitle: 'Lieferanten, Zutaten und Rezepturen pflegen, um den Rohstoffbedarf der Produktion zu berechnen.',
+        suppliers,
+        ingredients,
+        items: items.map((item) => ({
+          ...item,
+          hasRecipe: recipeMap.has(item.id),
+          selected: selectedItem ? item.id === selectedItem.id : false,
+        })),
+        selectedItem,
+        selectedRecipe: selectedItem ? recipeMap.get(selectedItem.id) || null : null,
+        recipeCount: recipes.length,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/prices', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const priceDate = req.query.priceDate || today();
+    const [items, shops, prices] = await Promise.all([
+      store.listItems(),
+      store.listShops(),
+      store.listItemPrices(),
+    ]);
+
+    return res.render(
+      'prices',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Preise',
+        pageTitle: 'Preise',
+        pageSubtitle: 'Verrechnungspreise je Artikel mit Gültigkeit und optionalen Abweichungen je Shop.',
+        priceDate,
+        shops,
+        priceCount: prices.length,
+        items: items.map((item) => {
+          const itemPrices = prices.filter((price) => price.itemId === item.id);
+          return {
+            ...item,
+            prices: itemPrices,
+            currentPrice: store.findEffectivePrice(itemPrices, { itemId: item.id, date: priceDate }),
+            shopOverrides: shops
+              .map((shop) => ({
+                shop,
+                price: store.findEffectivePrice(itemPrices, { itemId: item.id, shopId: shop.id, date: priceDate }),
+              }))
+              .filter((entry) => entry.price && entry.price.shopId),
+          };
+        }),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+function buildOrderFilters(req) {
+  return {
+    shopId: req.query.shopId ? Number(req.query.shopId) : null,
+    shopIds: auth.getAccessibleShopIds(auth.getSessionUser(req)),
+    status: req.query.status || null,
+    dateFrom: req.query.dateFrom || null,
+    dateTo: req.query.dateTo || null,
+  };
+}
+
+router.get('/bakery/order/bulk', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const currentUser = auth.getSessionUser(req);
+    const orderDate = req.query.date || today();
+    const bulk = await store.getBulkOrderEditorData({
+      orderDate,
+      shopIds: auth.getAccessibleShopIds(currentUser),
+    });
+
+    const shops = bulk.shops.map((column) => {
+      const totalOrderedQty = bulk.items.reduce(
+        (sum, item) => sum + Number(item.cells[column.shop.id]?.orderedQty || 0),
+        0
+      );
+
+      return {
+        ...column,
+        statusLabel: mapOrderStatusLabel(column.order?.status),
+        cutoffLabel: formatCutoff(column.cutoff?.cutoffAt),
+        cutoffLocked: !!column.cutoff?.locked && !auth.isAdmin(currentUser),
+        totalOrderedQty,
+      };
+    });
+
+    return res.render(
+      'order-bulk',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Sammelerfassung',
+        pageTitle: 'Sammelerfassung',
+        pageSubtitle: 'Bestellungen aller Shops für einen Liefertag in einer Matrix erfassen und gemeinsam speichern.',
+        orderDate: bulk.orderDate,
+        bulk: { ...bulk, shops },
+        totalOrderedQty: shops.reduce((sum, column) => sum + column.totalOrderedQty, 0),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/orders', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const filters = buildOrderFilters(req);
+    const shopOptions = await loadShopOptions(req.query.shopId, filters.shopIds);
 
     const orders = await store.listOrders(filters);
 
     const ordersWithLabels = orders.map((order) => ({
       ...order,
       statusLabel: mapOrderStatusLabel(order.status),
+      statusClass: ORDER_STATUS_CLASSES[order.status] || 'draft',
+      statusActions: buildStatusActions(order.status),
+      canReceive: canReceiveOrder(order),
     }));
 
     return res.render(
@@ -201,6 +636,8 @@ router.get('/bakery/orders', async (req, res, next) => {
           { id: '', name: 'Alle Shops', selected: !filters.shopId },
           ...shopOptions,
         ],
+        copyShopOptions: shopOptions.map((shop) => ({ id: shop.id, name: shop.name })),
+        copyDefaultDate: shiftDate(today(), 1),
         filters: {
           shopId: filters.shopId ? String(filters.shopId) : '',
           status: filters.status || '',
@@ -209,16 +646,11 @@ router.get('/bakery/orders', async (req, res, next) => {
         },
         statusOptions: [
           { value: '', label: 'Alle Status', selected: !filters.status },
-          {
-            value: store.ORDER_STATUS.DRAFT,
-            label: 'Entwurf',
-            selected: filters.status === store.ORDER_STATUS.DRAFT,
-          },
-          {
-            value: store.ORDER_STATUS.SUBMITTED,
-            label: 'Abgegeben',
-            selected: filters.status === store.ORDER_STATUS.SUBMITTED,
-          },
+          ...Object.values(store.ORDER_STATUS).map((status) => ({
+            value: status,
+            label: mapOrderStatusLabel(status),
+            selected: filters.status === status,
+          })),
         ],
       })
     );
@@ -227,11 +659,33 @@ router.get('/bakery/orders', async (req, res, next) => {
   }
 });
 
-router.get('/bakery/orders/:id', async (req, res, next) => {
+router.get('/bakery/orders/export', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const format = bakeryExport.normalizeExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).send('Unbekanntes Exportformat.');
+    }
+
+    const orders = await store.listOrders(buildOrderFilters(req));
+
+    return await bakeryExport.sendOrdersExport(
+      res,
+      orders.map((order) => ({
+        ...order,
+        statusLabel: mapOrderStatusLabel(order.status),
+      })),
+      format
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/orders/:id', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
   try {
     const order = await store.getOrderWithLines(Number(req.params.id));
 
-    if (!order) {
+    if (!order || !auth.canAccessShop(auth.getSessionUser(req), order.shopId)) {
       return res.status(404).render(
         'orders',
         buildBaseViewModel(req, {
@@ -287,8 +741,17 @@ router.get('/bakery/orders/:id', async (req, res, next) => {
         ),
         order,
         orderStatusLabel: mapOrderStatusLabel(order.status),
-        isSubmitted: order.status === store.ORDER_STATUS.SUBMITTED,
+        isSubmitted: isOrderLocked(order),
+        canReopen: canReopenOrder(order),
+        canReceive: canReceiveOrder(order),
         isReadonlyView: true,
+        auditEntries: (await store.listOrderAudit(order.id)).map((entry) => ({
+          ...entry,
+          actionLabel: ORDER_AUDIT_LABELS[entry.action] || entry.action,
+          createdAtLabel: formatDateTime(entry.createdAt),
+          statusBeforeLabel: mapOrderStatusLabel(entry.statusBefore),
+          statusAfterLabel: mapOrderStatusLabel(entry.statusAfter),
+        })),
         note: order.note || '',
         totals: {
           totalItems: order.lines?.length || 0,
@@ -302,11 +765,11 @@ router.get('/bakery/orders/:id', async (req, res, next) => {
   }
 });
 
-router.get('/bakery/orders/:id/pdf', async (req, res, next) => {
+router.get('/bakery/orders/:id/pdf', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
   try {
     const order = await store.getOrderWithLines(Number(req.params.id));
 
-    if (!order) {
+    if (!order || !auth.canAccessShop(auth.getSessionUser(req), order.shopId)) {
       return res.status(404).send('Bestellung nicht gefunden.');
     }
 
@@ -316,20 +779,110 @@ router.get('/bakery/orders/:id/pdf', async (req, res, next) => {
   }
 });
 
-router.get('/bakery/reports', async (req, res, next) => {
+router.get('/bakery/orders/:id/delivery-note', auth.requireRole(ADMIN, PRODUCTION, SHOP), async (req, res, next) => {
+  try {
+    const currentUser = auth.getSessionUser(req);
+    const order = await store.getOrderWithLines(Number(req.params.id));
+
+    if (!order || (currentUser.role !== PRODUCTION && !auth.canAccessShop(currentUser, order.shopId))) {
+      return res.status(404).send('Bestellung nicht gefunden.');
+    }
+
+    buildDeliveryNotePdf(res, [order]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/orders/:id/receipt', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const order = await store.getOrderWithLines(Number(req.params.id));
+
+    if (!order || !auth.canAccessShop(auth.getSessionUser(req), order.shopId)) {
+      return res.status(404).send('Bestellung nicht gefunden.');
+    }
+
+    return res.render(
+      'receipt',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Wareneingang',
+        pageTitle: 'Wareneingang',
+        pageSubtitle: 'Gelieferte Mengen prüfen und Abweichungen zur Bestellung festhalten.',
+        order,
+        orderStatusLabel: mapOrderStatusLabel(order.status),
+        canReceive: canReceiveOrder(order),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/waste', auth.requireRole(ADMIN, SHOP), async (req, res, next) => {
+  try {
+    const currentUser = auth.getSessionUser(req);
+    const shopOptions = await loadShopOptions(
+      req.query.shopId,
+      auth.getAccessibleShopIds(currentUser)
+    );
+    const requestedShop = shopOptions.find((shop) => shop.selected);
+    const selectedShopId = requestedShop
+      ? String(requestedShop.id)
+      : (shopOptions[0] ? String(shopOptions[0].id) : '');
+    const wasteDate = req.query.date || today();
+
+    const wasteData = selectedShopId
+      ? await store.getWasteEntryData({ shopId: Number(selectedShopId), wasteDate })
+      : null;
+
+    return res.render(
+      'waste',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Abschrift',
+        pageTitle: 'Abschrift',
+        pageSubtitle: 'Unverkaufte Ware am Tagesende erfassen.',
+        shopOptions,
+        selectedShopId,
+        wasteDate: wasteData ? wasteData.wasteDate : wasteDate,
+        maxWasteDate: today(),
+        wasteData,
+      })
+    );
+  } catch (error) {
+    if (error.code === 'INVALID_DATE') {
+      return res.redirect('/bakery/waste');
+    }
+
+    next(error);
+  }
+});
+
+router.get('/bakery/reports', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
   try {
     const reportDate = req.query.reportDate || today();
     const dateFrom = req.query.dateFrom || reportDate;
     const dateTo = req.query.dateTo || reportDate;
     const selectedShopId = req.query.shopId || '';
+    const statuses = parseReportStatuses(req);
 
-    const [productionReport, dateRangeReport, shopOptions] = await Promise.all([
-      store.getProductionReport({ orderDate: reportDate, onlySubmitted: true }),
+    const [productionReport, ingredientReport, dateRangeReport, receiptReport, wasteReport, shopOptions] = await Promise.all([
+      store.getProductionReport({ orderDate: reportDate, statuses }),
+      store.getIngredientRequirementsReport({ orderDate: reportDate, statuses }),
       store.getDateRangeReport({
         dateFrom,
         dateTo,
         shopId: selectedShopId ? Number(selectedShopId) : null,
-        onlySubmitted: true,
+        statuses,
+      }),
+      store.getReceiptDiscrepancyReport({
+        dateFrom,
+        dateTo,
+        shopId: selectedShopId ? Number(selectedShopId) : null,
+      }),
+      store.getWasteReport({
+        dateFrom,
+        dateTo,
+        shopId: selectedShopId ? Number(selectedShopId) : null,
       }),
       loadShopOptions(selectedShopId),
     ]);
@@ -348,8 +901,18 @@ router.get('/bakery/reports', async (req, res, next) => {
           { id: '', name: 'Alle Shops', selected: !selectedShopId },
           ...shopOptions,
         ],
+        statusOptions: Object.values(store.ORDER_STATUS).map((status) => ({
+          value: status,
+          label: mapOrderStatusLabel(status),
+          checked: statuses.includes(status),
+        })),
+        statusQuery: statuses.map((status) => `status=${encodeURIComponent(status)}`).join('&'),
+        statementMonth: String(reportDate).slice(0, 7),
         productionReport,
+        ingredientReport,
         dateRangeReport,
+        receiptReport,
+        wasteReport,
       })
     );
   } catch (error) {
@@ -357,12 +920,12 @@ router.get('/bakery/reports', async (req, res, next) => {
   }
 });
 
-router.get('/bakery/reports/production/pdf', async (req, res, next) => {
+router.get('/bakery/reports/production/pdf', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
   try {
     const reportDate = req.query.reportDate || today();
     const productionReport = await store.getProductionReport({
       orderDate: reportDate,
-      onlySubmitted: true,
+      statuses: parseReportStatuses(req),
     });
 
     buildProductionPdf(res, productionReport, {
@@ -373,4 +936,182 @@ router.get('/bakery/reports/production/pdf', async (req, res, next) => {
   }
 });
 
+router.get('/bakery/reports/ingredients/pdf', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const reportDate = req.query.reportDate || today();
+    const ingredientReport = await store.getIngredientRequirementsReport({
+      orderDate: reportDate,
+      statuses: parseReportStatuses(req),
+    });
+
+    buildIngredientRequirementsPdf(res, ingredientReport, {
+      orderDate: reportDate,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/production-plan', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const reportDate = req.query.reportDate || today();
+    const stationFilter = req.query.stationId ?? '';
+    const statuses = parseReportStatuses(req);
+
+    const [plan, stations] = await Promise.all([
+      store.getProductionPlan({ orderDate: reportDate, statuses, stationId: stationFilter }),
+      store.listProductionStations(),
+    ]);
+
+    return res.render(
+      'production-plan',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Produktionsplan',
+        pageTitle: 'Produktionsplan',
+        pageSubtitle: 'Tagesproduktion je Station und Backzeit, auf volle Bleche bzw. Chargen aufgerundet.',
+        reportDate,
+        stationFilter: String(stationFilter),
+        stations,
+        statusOptions: Object.values(store.ORDER_STATUS).map((status) => ({
+          value: status,
+          label: mapOrderStatusLabel(status),
+          checked: statuses.includes(status),
+        })),
+        statusQuery: statuses.map((status) => `status=${encodeURIComponent(status)}`).join('&'),
+        plan,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/production-plan/pdf', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const reportDate = req.query.reportDate || today();
+    const plan = await store.getProductionPlan({
+      orderDate: reportDate,
+      statuses: parseReportStatuses(req),
+      stationId: req.query.stationId ?? '',
+    });
+
+    buildProductionPlanPdf(res, plan, {
+      orderDate: reportDate,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/reports/statement/pdf', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const statement = await store.getShopStatement({
+      shopId: req.query.shopId,
+      month: req.query.month || today().slice(0, 7),
+      statuses: parseReportStatuses(req),
+    });
+
+    buildShopStatementPdf(res, statement);
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR' || error.code === 'SHOP_NOT_FOUND') {
+      return res.status(error.status || 400).send('Bitte Shop und Monat für die Abrechnung wählen.');
+    }
+    next(error);
+  }
+});
+
+router.get('/bakery/reports/delivery-notes/pdf', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const reportDate = req.query.reportDate || today();
+    const orders = await store.listOrders({
+      dateFrom: reportDate,
+      dateTo: reportDate,
+      status: parseReportStatuses(req),
+    });
+
+    const deliveryOrders = [];
+    for (const order of orders) {
+      if (!order.lineCount) continue;
+      deliveryOrders.push(await store.getOrderWithLines(order.id));
+    }
+
+    buildDeliveryNotePdf(res, deliveryOrders, { orderDate: reportDate });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/reports/production/export', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const format = bakeryExport.normalizeExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).send('Unbekanntes Exportformat.');
+    }
+
+    const productionReport = await store.getProductionReport({
+      orderDate: req.query.reportDate || today(),
+      statuses: parseReportStatuses(req),
+    });
+
+    return await bakeryExport.sendProductionReportExport(res, productionReport, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/reports/range/export', auth.requireRole(ADMIN, PRODUCTION), async (req, res, next) => {
+  try {
+    const format = bakeryExport.normalizeExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).send('Unbekanntes Exportformat.');
+    }
+
+    const dateFrom = req.query.dateFrom || today();
+    const dateRangeReport = await store.getDateRangeReport({
+      dateFrom,
+      dateTo: req.query.dateTo || dateFrom,
+      shopId: req.query.shopId ? Number(req.query.shopId) : null,
+      statuses: parseReportStatuses(req),
+    });
+
+    return await bakeryExport.sendDateRangeReportExport(res, dateRangeReport, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/bakery/users', auth.requireRole(ADMIN), async (req, res, next) => {
+  try {
+    const [users, shops] = await Promise.all([
+      store.listUsers(),
+      store.listShops(),
+    ]);
+
+    const shopNameMap = new Map(shops.map((shop) => [String(shop.id), shop.name]));
+
+    return res.render(
+      'users',
+      buildBaseViewModel(req, {
+        title: 'Bakery | Benutzer',
+        pageTitle: 'Benutzer',
+        pageSubtitle: 'Zugänge für Shops, Produktion und Admins verwalten.',
+        users: users.map((user) => ({
+          ...user,
+          roleLabel: auth.getRoleLabel(user.role),
+          shopNames: user.shopIds
+            .map((shopId) => shopNameMap.get(String(shopId)))
+            .filter(Boolean),
+        })),
+        shops,
+        roleOptions: Object.values(store.USER_ROLES).map((role) => ({
+          value: role,
+          label: auth.getRoleLabel(role),
+        })),
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,55 @@
+'use strict';
+
+const store = require('../data/store');
+const migrator = require('../data/migrator');
+
+function formatAppliedAt(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : 'ausstehend';
+}
+
+async function listMigrations() {
+  const status = await migrator.getMigrationStatus(store.pool);
+  const pendingCount = status.filter((migration) => !migration.appliedAt).length;
+
+  for (const migration of status) {
+    console.log(`[migrate] ${migration.name.padEnd(48)} ${formatAppliedAt(migration.appliedAt)}`);
+  }
+
+  console.log(`[migrate] ${status.length} Migrationen, davon ${pendingCount} ausstehend.`);
+}
+
+async function applyMigrations() {
+  const applied = await migrator.runPendingMigrations(store.pool, {
+    onApplied: (migration) => console.log(`[migrate] ${migration.name} angewendet.`),
+  });
+
+  console.log(
+    applied.length
+      ? `[migrate] ${applied.length} Migration(en) angewendet.`
+      : '[migrate] Datenbank ist auf dem aktuellen Stand.'
+  );
+}
+
+async function main() {
+  const command = process.argv[2] || 'up';
+
+  if (command === 'up') {
+    await applyMigrations();
+    return;
+  }
+
+  if (command === 'status' || command === 'list') {
+    await listMigrations();
+    return;
+  }
+
+  console.error(`[migrate] Unbekannter Befehl "${command}". Erlaubt: up, status`);
+  process.exitCode = 1;
+}
+
+main()
+  .catch((error) => {
+    console.error('[migrate] failed', error);
+    process.exitCode = 1;
+  })
+  .finally(() => store.pool.end());
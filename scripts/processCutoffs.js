@@ -0,0 +1,20 @@
+'use strict';
+
+const store = require('../data/store');
+
+async function main() {
+  await store.init();
+
+  const result = await store.processOrderCutoffs();
+
+  console.log(
+    `[cutoffs] ${result.submittedOrderIds.length} Entwürfe automatisch abgegeben, ${result.lockedCount} gesperrt.`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error('[cutoffs] failed', error);
+    process.exitCode = 1;
+  })
+  .finally(() => store.pool.end());
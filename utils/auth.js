@@ -0,0 +1,150 @@
+'use strict';
+
+const session = require('express-session');
+const PgSession = require('connect-pg-simple')(session);
+const store = require('../data/store');
+
+const sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  throw new Error('SESSION_SECRET is missing');
+}
+
+const ROLE_LABELS = {
+  [store.USER_ROLES.ADMIN]: 'Admin',
+  [store.USER_ROLES.PRODUCTION]: 'Produktion',
+  [store.USER_ROLES.SHOP]: 'Shop',
+};
+
+const sessionMiddleware = session({
+  store: new PgSession({
+    pool: store.pool,
+    tableName: 'user_sessions',
+    createTableIfMissing: false,
+  }),
+  name: 'bunca.sid',
+  secret: sessionSecret,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production' ? 'auto' : false,
+    maxAge: 1000 * 60 * 60 * 12,
+  },
+});
+
+function toSessionUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    shopIds: user.shopIds || [],
+  };
+}
+
+function getSessionUser(req) {
+  return req.session?.user || null;
+}
+
+function isAdmin(user) {
+  return user?.role === store.USER_ROLES.ADMIN;
+}
+
+function canAccessShop(user, shopId) {
+  if (!user) return false;
+  if (isAdmin(user)) return true;
+  if (user.role !== store.USER_ROLES.SHOP) return false;
+
+  return (user.shopIds || []).map(String).includes(String(shopId));
+}
+
+function getAccessibleShopIds(user) {
+  if (isAdmin(user)) return null;
+  if (user?.role === store.USER_ROLES.SHOP) return user.shopIds || [];
+  return [];
+}
+
+function getHomePath(user) {
+  if (user?.role === store.USER_ROLES.PRODUCTION) return '/bakery/reports';
+  return '/bakery/order';
+}
+
+function getRoleLabel(role) {
+  return ROLE_LABELS[role] || role || '';
+}
+
+async function refreshSessionUser(req, res, next) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) return next();
+
+    const user = await store.getUserById(sessionUser.id);
+    if (!user || !user.active) {
+      delete req.session.user;
+      return next();
+    }
+
+    req.session.user = toSessionUser(user);
+    return next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const user = getSessionUser(req);
+
+    if (!user) {
+      const nextPath = req.method === 'GET' ? req.originalUrl : '';
+      const search = nextPath ? `?next=${encodeURIComponent(nextPath)}` : '';
+      return res.redirect(`/bakery/login${search}`);
+    }
+
+    if (roles.length && !roles.includes(user.role)) {
+      const search = new URLSearchParams({ error: 'Keine Berechtigung für diesen Bereich.' });
+      return res.redirect(`${getHomePath(user)}?${search.toString()}`);
+    }
+
+    return next();
+  };
+}
+
+const requireLogin = requireRole();
+
+function requireApiRole(...roles) {
+  return (req, res, next) => {
+    const user = getSessionUser(req);
+
+    if (!user) {
+      return res.status(401).json({
+        error: { code: 'UNAUTHENTICATED', message: 'Login required' },
+      });
+    }
+
+    if (roles.length && !roles.includes(user.role)) {
+      return res.status(403).json({
+        error: { code: 'FORBIDDEN', message: 'Insufficient role' },
+      });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  ROLE_LABELS,
+  sessionMiddleware,
+  refreshSessionUser,
+  toSessionUser,
+  getSessionUser,
+  isAdmin,
+  canAccessShop,
+  getAccessibleShopIds,
+  getHomePath,
+  getRoleLabel,
+  requireRole,
+  requireLogin,
+  requireApiRole,
+};
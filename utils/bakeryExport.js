@@ -0,0 +1,388 @@
+'use strict';
+
+const ExcelJS = require('exceljs');
+const { BAKERY_TIMEZONE } = require('../data/store');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeExportFormat(format) {
+  const value = String(format || '').trim().toLowerCase();
+  return EXPORT_FORMATS.includes(value) ? value : null;
+}
+
+function formatCsvDate(value) {
+  if (!value) return '';
+  const [year, month, day] = String(value).slice(0, 10).split('-');
+  return year && month && day ? `${day}.${month}.${year}` : String(value);
+}
+
+function formatCsvTimestamp(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+
+  return new Intl.DateTimeFormat('de-DE', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: BAKERY_TIMEZONE,
+  }).format(d);
+}
+
+function formatCsvNumber(value) {
+  if (value == null || value === '') return '';
+  return String(toNumber(value, 0)).replace('.', ',');
+}
+
+function neutralizeCsvFormula(value) {
+  const text = String(value ?? '');
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvCell(column, value) {
+  if (column.type === 'number') return formatCsvNumber(value);
+  if (column.type === 'date') return formatCsvDate(value);
+  if (column.type === 'timestamp') return formatCsvTimestamp(value);
+  return neutralizeCsvFormula(value);
+}
+
+function buildCsv(sheet) {
+  const lines = [
+    sheet.columns.map((column) => escapeCsvValue(column.header)).join(';'),
+    ...sheet.rows.map((row) =>
+      sheet.columns
+        .map((column) => escapeCsvValue(toCsvCell(column, row[column.key])))
+        .join(';')
+    ),
+  ];
+
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+function toXlsxCell(column, value) {
+  if (value == null || value === '') return null;
+  if (column.type === 'number') return toNumber(value, 0);
+  if (column.type === 'date') {
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  if (column.type === 'timestamp') {
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? String(value) : d;
+  }
+  return String(value);
+}
+
+function buildSheetName(name, usedNames) {
+  const base = String(name || 'Tabelle').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Tabelle';
+  let candidate = base;
+  let counter = 2;
+
+  while (usedNames.has(candidate.toLowerCase())) {
+    const suffix = ` (${counter})`;
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+    counter += 1;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function buildWorkbook(sheets = []) {
+  const workbook = new ExcelJS.Workbook();
+  const usedNames = new Set();
+  workbook.creator = 'BUNCA Bakery';
+  workbook.created = new Date();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(buildSheetName(sheet.name, usedNames), {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+
+    worksheet.columns = sheet.columns.map((column) => ({
+      header: column.header,
+      key: column.key,
+      width: column.width || (column.type === 'number' ? 12 : 20),
+      style: column.type === 'date'
+        ? { numFmt: 'dd.mm.yyyy' }
+        : column.type === 'timestamp'
+          ? { numFmt: 'dd.mm.yyyy hh:mm' }
+          : {},
+    }));
+
+    worksheet.getRow(1).font = { bold: true };
+
+    for (const row of sheet.rows) {
+      worksheet.addRow(
+        Object.fromEntries(
+          sheet.columns.map((column) => [column.key, toXlsxCell(column, row[column.key])])
+        )
+      );
+    }
+  }
+
+  return workbook;
+}
+
+async function sendExport(res, { format, filename, sheets }) {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(buildCsv(sheets[0]));
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  await buildWorkbook(sheets).xlsx.write(res);
+  return res.end();
+}
+
+function collectShops(items = []) {
+  const map = new Map();
+
+  for (const item of items) {
+    for (const shop of item.shops || []) {
+      if (!map.has(shop.shopId)) {
+        map.set(shop.shopId, shop);
+      }
+    }
+  }
+
+  return [...map.values()].sort(
+    (a, b) => toNumber(a.shopSortOrder, 0) - toNumber(b.shopSortOrder, 0)
+      || String(a.shopName || '').localeCompare(String(b.shopName || ''), 'de')
+  );
+}
+
+const ITEM_COLUMNS = [
+  { header: 'Artikel', key: 'itemName', width: 32 },
+  { header: 'Kategorie', key: 'category', width: 18 },
+  { header: 'Einheit', key: 'unit', width: 10 },
+];
+
+function buildProductionSheets(report) {
+  const items = report?.items || [];
+  const shops = collectShops(items);
+
+  const summary = {
+    name: 'Gesamt',
+    columns: [
+      { header: 'Datum', key: 'orderDate', type: 'date', width: 12 },
+      ...ITEM_COLUMNS,
+      { header: 'Gesamtmenge', key: 'totalOrderedQty', type: 'number', width: 14 },
+      { header: 'Produktionseinheit', key: 'productionUnit', width: 18 },
+      { header: 'Produktionsmenge', key: 'totalProductionQty', type: 'number', width: 16 },
+      ...shops.flatMap((shop) => [
+        { header: `${shop.shopName} IST`, key: `ist_${shop.shopId}`, type: 'number' },
+        { header: `${shop.shopName} SOLL`, key: `soll_${shop.shopId}`, type: 'number' },
+        { header: `${shop.shopName} Bestellt`, key: `ordered_${shop.shopId}`, type: 'number' },
+      ]),
+    ],
+    rows: items.map((item) => {
+      const row = {
+        orderDate: report.orderDate,
+        itemName: item.itemName,
+        category: item.category,
+        unit: item.unit,
+        totalOrderedQty: item.totalOrderedQty,
+        productionUnit: item.productionUnit || item.unit,
+        totalProductionQty: item.totalProductionQty,
+      };
+
+      for (const shop of item.shops || []) {
+        row[`ist_${shop.shopId}`] = shop.istBestand;
+        row[`soll_${shop.shopId}`] = shop.sollBestand;
+        row[`ordered_${shop.shopId}`] = shop.orderedQty;
+      }
+
+      return row;
+    }),
+  };
+
+  const shopSheets = shops.map((shop) => ({
+    name: shop.shopName,
+    columns: [
+      ...ITEM_COLUMNS,
+      { header: 'IST', key: 'istBestand', type: 'number' },
+      { header: 'SOLL', key: 'sollBestand', type: 'number' },
+      { header: 'Bestellt', key: 'orderedQty', type: 'number' },
+      { header: 'Produktionseinheit', key: 'productionUnit', width: 18 },
+      { header: 'Produktionsmenge', key: 'productionQty', type: 'number', width: 16 },
+    ],
+    rows: items
+      .map((item) => {
+        const entry = (item.shops || []).find((candidate) => candidate.shopId === shop.shopId);
+        return entry
+          ? {
+              itemName: item.itemName,
+              category: item.category,
+              unit: item.unit,
+              istBestand: entry.istBestand,
+              sollBestand: entry.sollBestand,
+              orderedQty: entry.orderedQty,
+              productionUnit: item.productionUnit || item.unit,
+              productionQty: entry.productionQty,
+            }
+          : null;
+      })
+      .filter(Boolean),
+  }));
+
+  return [summary, ...shopSheets];
+}
+
+function buildDateRangeSheet(report) {
+  const items = report?.items || [];
+  const shops = collectShops(items);
+
+  return {
+    name: 'Zeitraum',
+    columns: [
+      { header: 'Von', key: 'dateFrom', type: 'date', width: 12 },
+      { header: 'Bis', key: 'dateTo', type: 'date', width: 12 },
+      ...ITEM_COLUMNS,
+      { header: 'Bestellungen', key: 'orderCount', type: 'number', width: 14 },
+      { header: 'Gesamtmenge', key: 'totalOrderedQty', type: 'number', width: 14 },
+      { header: 'Warenwert EUR', key: 'totalValue', type: 'number', width: 14 },
+      ...shops.flatMap((shop) => [
+        {
+          header: `${shop.shopName} Bestellt`,
+          key: `ordered_${shop.shopId}`,
+          type: 'number',
+        },
+        {
+          header: `${shop.shopName} Wert EUR`,
+          key: `value_${shop.shopId}`,
+          type: 'number',
+        },
+      ]),
+    ],
+    rows: items.map((item) => {
+      const row = {
+        dateFrom: report.dateFrom,
+        dateTo: report.dateTo,
+        itemName: item.itemName,
+        category: item.category,
+        unit: item.unit,
+        orderCount: item.orderCount,
+        totalOrderedQty: item.totalOrderedQty,
+        totalValue: item.totalValue,
+      };
+
+      for (const shop of item.shops || []) {
+        row[`ordered_${shop.shopId}`] = shop.orderedQty;
+        row[`value_${shop.shopId}`] = shop.orderValue;
+      }
+
+      return row;
+    }),
+  };
+}
+
+function buildOrdersSheet(orders = []) {
+  return {
+    name: 'Bestellungen',
+    columns: [
+      { header: 'Bestell-ID', key: 'id', type: 'number', width: 12 },
+      { header: 'Datum', key: 'orderDate', type: 'date', width: 12 },
+      { header: 'Shop', key: 'shopName', width: 22 },
+      { header: 'Status', key: 'statusLabel', width: 14 },
+      { header: 'Positionen', key: 'lineCount', type: 'number' },
+      { header: 'Bestellmenge', key: 'totalOrderedQty', type: 'number', width: 14 },
+      { header: 'Abgegeben am', key: 'submittedAt', type: 'timestamp', width: 18 },
+      { header: 'Geändert von', key: 'updatedBy', width: 24 },
+      { header: 'Notiz', key: 'note', width: 40 },
+    ],
+    rows: orders,
+  };
+}
+
+function buildItemsSheet(items = [], shops = []) {
+  return {
+    name: 'Artikel',
+    columns: [
+      { header: 'Code', key: 'code', width: 24 },
+      { header: 'Name', key: 'name', width: 32 },
+      { header: 'Kategorie', key: 'category', width: 18 },
+      { header: 'Einheit', key: 'unit', width: 10 },
+      { header: 'Sortierung', key: 'sortOrder', type: 'number' },
+      { header: 'Aktiv', key: 'active', width: 8 },
+      ...shops.flatMap((shop) => [
+        { header: `${shop.code} SOLL`, key: `soll_${shop.id}`, type: 'number' },
+        { header: `${shop.code} Aktiv`, key: `active_${shop.id}`, width: 12 },
+      ]),
+    ],
+    rows: items.map((item) => {
+      const row = {
+        code: item.code,
+        name: item.name,
+        category: item.category,
+        unit: item.unit,
+        sortOrder: item.sortOrder,
+        active: item.active ? 'ja' : 'nein',
+      };
+
+      for (const setting of item.shopSettings || []) {
+        row[`soll_${setting.shopId}`] = setting.sollBestand;
+        row[`active_${setting.shopId}`] = setting.activeForShop ? 'ja' : 'nein';
+      }
+
+      return row;
+    }),
+  };
+}
+
+function sendItemsExport(res, items, shops, format) {
+  return sendExport(res, {
+    format,
+    filename: `bakery-artikel-${new Date().toISOString().slice(0, 10)}`,
+    sheets: [buildItemsSheet(items, shops)],
+  });
+}
+
+function sendProductionReportExport(res, report, format) {
+  return sendExport(res, {
+    format,
+    filename: `bakery-produktion-${report?.orderDate || 'datum'}`,
+    sheets: buildProductionSheets(report),
+  });
+}
+
+function sendDateRangeReportExport(res, report, format) {
+  return sendExport(res, {
+    format,
+    filename: `bakery-zeitraum-${report?.dateFrom || 'von'}-${report?.dateTo || 'bis'}`,
+    sheets: [buildDateRangeSheet(report)],
+  });
+}
+
+function sendOrdersExport(res, orders, format) {
+  return sendExport(res, {
+    format,
+    filename: `bakery-bestellungen-${new Date().toISOString().slice(0, 10)}`,
+    sheets: [buildOrdersSheet(orders)],
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  normalizeExportFormat,
+  buildCsv,
+  buildWorkbook,
+  sendItemsExport,
+  sendProductionReportExport,
+  sendDateRangeReportExport,
+  sendOrdersExport,
+};
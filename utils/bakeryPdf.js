@@ -33,6 +33,18 @@ function formatTimestamp(value) {
   }).format(d);
 }
 
+function formatQty(value) {
+  return new Intl.NumberFormat('de-DE', { maximumFractionDigits: 3 }).format(toNumber(value, 0));
+}
+
+function hasProductionUnit(item) {
+  return !!item?.productionUnit && item.productionUnit !== item.unit;
+}
+
+function formatMoney(value) {
+  return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(toNumber(value, 0));
+}
+
 function groupLinesByCategory(lines = []) {
   const groups = [];
   const map = new Map();
@@ -311,8 +323,8 @@ function drawProductionTable(doc, items = [], orderDate = '') {
   const tableX = 42;
   const tableWidth = doc.page.width - 84;
   const colWidths = {
-    item: 190,
-    total: 70,
+    item: 180,
+    total: 80,
     breakdown: tableWidth - 260,
   };
 
@@ -378,11 +390,21 @@ function drawProductionTable(doc, items = [], orderDate = '') {
     doc.fillColor('#2f241c')
       .font('Helvetica-Bold')
       .fontSize(10)
-      .text(String(toNumber(item.totalOrderedQty, 0)), x, y + 5, {
+      .text(`${formatQty(item.totalOrderedQty)} ${item.unit || 'Stk'}`, x, y + 5, {
         width: colWidths.total,
         align: 'center',
       });
 
+    if (hasProductionUnit(item)) {
+      doc.fillColor('#7a6858')
+        .font('Helvetica')
+        .fontSize(8.2)
+        .text(`= ${formatQty(item.totalProductionQty)} ${item.productionUnit}`, x, y + 18, {
+          width: colWidths.total,
+          align: 'center',
+        });
+    }
+
     x += colWidths.total;
 
     let breakdownY = y;
@@ -396,7 +418,9 @@ function drawProductionTable(doc, items = [], orderDate = '') {
         .font('Helvetica')
         .fontSize(8.4)
         .text(
-          `IST ${toNumber(shop.istBestand, 0)} · SOLL ${toNumber(shop.sollBestand, 0)} · Bestellt ${toNumber(shop.orderedQty, 0)}`,
+          `IST ${toNumber(shop.istBestand, 0)} · SOLL ${toNumber(shop.sollBestand, 0)} · Bestellt ${toNumber(shop.orderedQty, 0)}${
+            hasProductionUnit(item) ? ` = ${formatQty(shop.productionQty)} ${item.productionUnit}` : ''
+          }`,
           x + 126,
           breakdownY,
           { width: colWidths.breakdown - 130 }
@@ -409,6 +433,433 @@ function drawProductionTable(doc, items = [], orderDate = '') {
   });
 }
 
+function drawIngredientTable(doc, suppliers = []) {
+  const tableX = 42;
+  const tableWidth = doc.page.width - 84;
+  const colWidths = {
+    ingredient: 180,
+    required: 100,
+    usage: tableWidth - 280,
+  };
+
+  const drawTableHeader = () => {
+    ensureSpace(doc, 50);
+
+    const y = doc.y;
+
+    doc.save();
+    doc.roundedRect(tableX, y, tableWidth, 28, 10).fill('#efe4d6');
+    doc.restore();
+
+    doc.fillColor('#6c523e')
+      .font('Helvetica-Bold')
+      .fontSize(9);
+
+    let x = tableX + 10;
+    doc.text('Zutat', x, y + 9, { width: colWidths.ingredient });
+    x += colWidths.ingredient;
+    doc.text('Bedarf', x, y + 9, { width: colWidths.required, align: 'center' });
+    x += colWidths.required;
+    doc.text('Verwendet für', x, y + 9, { width: colWidths.usage });
+
+    doc.y = y + 36;
+  };
+
+  drawTableHeader();
+
+  suppliers.forEach((supplier) => {
+    ensureSpace(doc, 34);
+
+    doc.save();
+    doc.roundedRect(tableX, doc.y, tableWidth, 24, 8).fill('#f7efe5');
+    doc.restore();
+
+    doc.fillColor('#8b5e3c')
+      .font('Helvetica-Bold')
+      .fontSize(9.5)
+      .text(supplier.supplierName || 'Ohne Lieferant', tableX + 10, doc.y + 7, {
+        width: tableWidth - 20,
+      });
+
+    doc.y += 30;
+
+    (supplier.ingredients || []).forEach((ingredient) => {
+      const usageHeight = Math.max(24, (ingredient.items || []).length * 13 + 8);
+      ensureSpace(doc, usageHeight + 10);
+
+      const y = doc.y;
+      let x = tableX + 10;
+
+      doc.strokeColor('#eadccf')
+        .lineWidth(1)
+        .moveTo(tableX, y + usageHeight)
+        .lineTo(tableX + tableWidth, y + usageHeight)
+        .stroke();
+
+      doc.fillColor('#2f241c')
+        .font('Helvetica-Bold')
+        .fontSize(9.5)
+        .text(ingredient.ingredientName || '', x, y, {
+          width: colWidths.ingredient - 8,
+        });
+
+      x += colWidths.ingredient;
+
+      doc.text(`${formatQty(ingredient.requiredQty)} ${ingredient.unit || ''}`.trim(), x, y, {
+        width: colWidths.required,
+        align: 'center',
+      });
+
+      x += colWidths.required;
+
+      let usageY = y;
+      (ingredient.items || []).forEach((item) => {
+        doc.fillColor('#7a6858')
+          .font('Helvetica')
+          .fontSize(8.4)
+          .text(
+            `${item.itemName} (${toNumber(item.totalOrderedQty, 0)} Stk) · ${formatQty(item.requiredQty)} ${ingredient.unit || ''}`.trim(),
+            x,
+            usageY,
+            { width: colWidths.usage - 10 }
+          );
+
+        usageY += 13;
+      });
+
+      doc.y = y + usageHeight + 6;
+    });
+
+    doc.y += 6;
+  });
+}
+
+function drawProductionPlanTable(doc, slots = []) {
+  const tableX = 42;
+  const tableWidth = doc.page.width - 84;
+  const colWidths = {
+    item: tableWidth - 400,
+    ordered: 80,
+    batchSize: 80,
+    batchCount: 80,
+    planned: 80,
+    surplus: 80,
+  };
+
+  const drawTableHeader = () => {
+    ensureSpace(doc, 50);
+
+    const y = doc.y;
+
+    doc.save();
+    doc.roundedRect(tableX, y, tableWidth, 28, 10).fill('#efe4d6');
+    doc.restore();
+
+    doc.fillColor('#6c523e')
+      .font('Helvetica-Bold')
+      .fontSize(9);
+
+    let x = tableX + 10;
+    doc.text('Artikel', x, y + 9, { width: colWidths.item });
+    x += colWidths.item;
+    doc.text('Bestellt', x, y + 9, { width: colWidths.ordered, align: 'center' });
+    x += colWidths.ordered;
+    doc.text('Blech / Charge', x, y + 9, { width: colWidths.batchSize, align: 'center' });
+    x += colWidths.batchSize;
+    doc.text('Chargen', x, y + 9, { width: colWidths.batchCount, align: 'center' });
+    x += colWidths.batchCount;
+    doc.text('Backen', x, y + 9, { width: colWidths.planned, align: 'center' });
+    x += colWidths.planned;
+    doc.text('Überhang', x, y + 9, { width: colWidths.surplus, align: 'center' });
+
+    doc.y = y + 36;
+  };
+
+  drawTableHeader();
+
+  slots.forEach((slot) => {
+    ensureSpace(doc, 34);
+
+    doc.save();
+    doc.roundedRect(tableX, doc.y, tableWidth, 24, 8).fill('#f7efe5');
+    doc.restore();
+
+    doc.fillColor('#8b5e3c')
+      .font('Helvetica-Bold')
+      .fontSize(9.5)
+      .text(slot.bakeSlot ? `Backzeit ${slot.bakeSlot} Uhr` : 'Ohne Backzeit', tableX + 10, doc.y + 7, {
+        width: tableWidth - 20,
+      });
+
+    doc.y += 30;
+
+    (slot.items || []).forEach((item) => {
+      ensureSpace(doc, 30);
+
+      const y = doc.y;
+      const batchUnit = item.productionUnit || item.unit || '';
+      let x = tableX + 10;
+
+      doc.strokeColor('#eadccf')
+        .lineWidth(1)
+        .moveTo(tableX, y + 20)
+        .lineTo(tableX + tableWidth, y + 20)
+        .stroke();
+
+      doc.fillColor('#2f241c')
+        .font('Helvetica-Bold')
+        .fontSize(9.5)
+        .text(item.itemName || '', x, y, { width: colWidths.item - 8 });
+
+      x += colWidths.item;
+
+      doc.font('Helvetica')
+        .text(`${formatQty(item.totalOrderedQty)} ${item.unit || ''}`.trim(), x, y, {
+          width: colWidths.ordered,
+          align: 'center',
+        });
+
+      x += colWidths.ordered;
+      doc.text(`${formatQty(item.batchSize)} ${batchUnit}`.trim(), x, y, { width: colWidths.batchSize, align: 'center' });
+
+      x += colWidths.batchSize;
+      doc.font('Helvetica-Bold')
+        .text(String(toNumber(item.batchCount, 0)), x, y, { width: colWidths.batchCount, align: 'center' });
+
+      x += colWidths.batchCount;
+      doc.text(`${formatQty(item.plannedQty)} ${batchUnit}`.trim(), x, y, { width: colWidths.planned, align: 'center' });
+
+      x += colWidths.planned;
+      doc.fillColor('#7a6858')
+        .font('Helvetica')
+        .text(item.surplusQty ? `+${formatQty(item.surplusQty)} ${batchUnit}`.trim() : '—', x, y, {
+          width: colWidths.surplus,
+          align: 'center',
+        });
+
+      doc.y = y + 26;
+    });
+
+    doc.y += 6;
+  });
+}
+
+function drawStatementTable(doc, columns = [], rows = []) {
+  const tableX = 42;
+  const tableWidth = doc.page.width - 84;
+  const fixedWidth = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  const flexWidth = tableWidth - 20 - fixedWidth;
+
+  const drawTableHeader = () => {
+    ensureSpace(doc, 50);
+
+    const y = doc.y;
+
+    doc.save();
+    doc.roundedRect(tableX, y, tableWidth, 28, 10).fill('#efe4d6');
+    doc.restore();
+
+    doc.fillColor('#6c523e')
+      .font('Helvetica-Bold')
+      .fontSize(9);
+
+    let x = tableX + 10;
+    columns.forEach((column) => {
+      const width = column.width || flexWidth;
+      doc.text(column.label, x, y + 9, { width, align: column.align || 'left' });
+      x += width;
+    });
+
+    doc.y = y + 36;
+  };
+
+  drawTableHeader();
+
+  rows.forEach((row) => {
+    if (doc.y + 30 > doc.page.height - 56) {
+      ensureSpace(doc, 30);
+      drawTableHeader();
+    }
+
+    const y = doc.y;
+    let x = tableX + 10;
+
+    doc.strokeColor('#eadccf')
+      .lineWidth(1)
+      .moveTo(tableX, y + 20)
+      .lineTo(tableX + tableWidth, y + 20)
+      .stroke();
+
+    columns.forEach((column, index) => {
+      const width = column.width || flexWidth;
+      doc.fillColor('#2f241c')
+        .font(index === 0 || column.bold ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(9.5)
+        .text(String(column.value(row) ?? ''), x, y, { width: width - 8, align: column.align || 'left' });
+      x += width;
+    });
+
+    doc.y = y + 26;
+  });
+}
+
+function drawDeliveryTable(doc, groupedLines = []) {
+  const tableX = 42;
+  const tableWidth = doc.page.width - 84;
+  const colWidths = {
+    item: 250,
+    ordered: 80,
+    delivered: 90,
+    received: 90,
+  };
+
+  const drawTableHeader = () => {
+    ensureSpace(doc, 50);
+
+    const y = doc.y;
+
+    doc.save();
+    doc.roundedRect(tableX, y, tableWidth, 28, 10).fill('#efe4d6');
+    doc.restore();
+
+    doc.fillColor('#6c523e')
+      .font('Helvetica-Bold')
+      .fontSize(9);
+
+    let x = tableX + 10;
+    doc.text('Artikel', x, y + 9, { width: colWidths.item });
+    x += colWidths.item;
+    doc.text('Bestellt', x, y + 9, { width: colWidths.ordered, align: 'center' });
+    x += colWidths.ordered;
+    doc.text('Geliefert', x, y + 9, { width: colWidths.delivered, align: 'center' });
+    x += colWidths.delivered;
+    doc.text('Erhalten', x, y + 9, { width: colWidths.received, align: 'center' });
+
+    doc.y = y + 36;
+  };
+
+  const drawBox = (x, y, width) => {
+    doc.save();
+    doc.roundedRect(x + 14, y, width - 28, 20, 5)
+      .lineWidth(1)
+      .strokeColor('#d9c6b3')
+      .stroke();
+    doc.restore();
+  };
+
+  drawTableHeader();
+
+  groupedLines.forEach((group) => {
+    ensureSpace(doc, 34);
+
+    doc.save();
+    doc.roundedRect(tableX, doc.y, tableWidth, 24, 8).fill('#f7efe5');
+    doc.restore();
+
+    doc.fillColor('#8b5e3c')
+      .font('Helvetica-Bold')
+      .fontSize(9.5)
+      .text(group.category, tableX + 10, doc.y + 7, {
+        width: tableWidth - 20,
+      });
+
+    doc.y += 30;
+
+    group.lines.forEach((line) => {
+      ensureSpace(doc, 34);
+
+      const y = doc.y;
+      let x = tableX + 10;
+
+      doc.strokeColor('#eadccf')
+        .lineWidth(1)
+        .moveTo(tableX, y + 26)
+        .lineTo(tableX + tableWidth, y + 26)
+        .stroke();
+
+      doc.fillColor('#2f241c')
+        .font('Helvetica-Bold')
+        .fontSize(9.5)
+        .text(line.itemName || '', x, y, {
+          width: colWidths.item - 8,
+        });
+
+      doc.fillColor('#7a6858')
+        .font('Helvetica')
+        .fontSize(8.2)
+        .text(`Einheit: ${line.unit || 'Stk'}`, x, y + 12, {
+          width: colWidths.item - 8,
+        });
+
+      x += colWidths.item;
+
+      doc.fillColor('#2f241c')
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .text(String(toNumber(line.orderedQty, 0)), x, y + 5, {
+          width: colWidths.ordered,
+          align: 'center',
+        });
+
+      x += colWidths.ordered;
+      drawBox(x, y, colWidths.delivered);
+
+      x += colWidths.delivered;
+      if (line.receivedQty == null) {
+        drawBox(x, y, colWidths.received);
+      } else {
+        doc.fillColor('#2f241c')
+          .font('Helvetica')
+          .fontSize(10)
+          .text(String(toNumber(line.receivedQty, 0)), x, y + 5, {
+            width: colWidths.received,
+            align: 'center',
+          });
+      }
+
+      doc.y = y + 32;
+    });
+
+    doc.y += 6;
+  });
+}
+
+function drawSignatureFields(doc, labels = []) {
+  ensureSpace(doc, 130);
+
+  const startX = 42;
+  const gap = 24;
+  const totalWidth = doc.page.width - 84;
+  const fieldWidth = (totalWidth - gap * (labels.length - 1)) / labels.length;
+  const topY = doc.y + 10;
+
+  labels.forEach((label, index) => {
+    const x = startX + index * (fieldWidth + gap);
+
+    doc.fillColor('#7a6858')
+      .font('Helvetica-Bold')
+      .fontSize(8.5)
+      .text(label.toUpperCase(), x, topY, { width: fieldWidth });
+
+    ['Name', 'Datum / Uhrzeit', 'Unterschrift'].forEach((caption, row) => {
+      const lineY = topY + 38 + row * 30;
+
+      doc.strokeColor('#bfa892')
+        .lineWidth(1)
+        .moveTo(x, lineY)
+        .lineTo(x + fieldWidth, lineY)
+        .stroke();
+
+      doc.fillColor('#8a7767')
+        .font('Helvetica')
+        .fontSize(7.8)
+        .text(caption, x, lineY + 3, { width: fieldWidth });
+    });
+  });
+
+  doc.y = topY + 128;
+}
+
 function drawFooter(doc) {
   const range = doc.bufferedPageRange();
 
@@ -518,7 +969,7 @@ function buildProductionPdf(res, productionReport, options = {}) {
   drawHeader(doc, {
     eyebrow: 'BUNCA BAKERY',
     title: 'Produktionsbericht',
-    subtitle: 'Summierte Mengen aller abgegebenen Bestellungen für einen Tag',
+    subtitle: 'Summierte Mengen aller freigegebenen Bestellungen für einen Tag',
     rightTop: 'Produktion',
     rightBottom: formatDate(orderDate),
   });
@@ -540,7 +991,232 @@ function buildProductionPdf(res, productionReport, options = {}) {
   doc.end();
 }
 
+function buildIngredientRequirementsPdf(res, report, options = {}) {
+  const orderDate = options.orderDate || report?.orderDate || '';
+  const doc = createBaseDoc(`Rohstoffbedarf ${orderDate}`);
+  streamPdf(doc, res, `bakery-rohstoffbedarf-${orderDate || 'datum'}.pdf`);
+
+  drawPageBackground(doc);
+
+  drawHeader(doc, {
+    eyebrow: 'BUNCA BAKERY',
+    title: 'Rohstoffbedarf',
+    subtitle: 'Zutaten für die freigegebenen Bestellungen eines Tages, nach Lieferant gruppiert',
+    rightTop: 'Produktion',
+    rightBottom: formatDate(orderDate),
+  });
+
+  const suppliers = report?.suppliers || [];
+  const missingRecipes = report?.missingRecipes || [];
+
+  drawInfoCards(doc, [
+    { label: 'DATUM', value: formatDate(orderDate) || '—' },
+    { label: 'ZUTATEN', value: toNumber(report?.ingredientCount, 0) },
+    { label: 'LIEFERANTEN', value: suppliers.filter((supplier) => supplier.supplierId).length },
+    { label: 'OHNE REZEPT', value: missingRecipes.length },
+  ]);
+
+  if (missingRecipes.length) {
+    doc.fillColor('#9b3d2f')
+      .font('Helvetica')
+      .fontSize(9)
+      .text(
+        `Ohne Rezept und nicht berücksichtigt: ${missingRecipes.map((item) => `${item.itemName} (${toNumber(item.totalOrderedQty, 0)})`).join(', ')}`,
+        42,
+        doc.y,
+        { width: doc.page.width - 84 }
+      );
+
+    doc.y += 10;
+  }
+
+  drawIngredientTable(doc, suppliers);
+  drawFooter(doc);
+  doc.end();
+}
+
+function buildProductionPlanPdf(res, plan, options = {}) {
+  const orderDate = options.orderDate || plan?.orderDate || '';
+  const stations = plan?.stations || [];
+  const filename = stations.length === 1
+    ? `bakery-produktionsplan-${stations[0].stationId || 'ohne-station'}-${orderDate || 'datum'}.pdf`
+    : `bakery-produktionsplan-${orderDate || 'datum'}.pdf`;
+  const doc = createBaseDoc(`Produktionsplan ${orderDate}`);
+  streamPdf(doc, res, filename);
+
+  stations.forEach((station, index) => {
+    if (index > 0) {
+      doc.addPage();
+    }
+
+    drawPageBackground(doc);
+
+    drawHeader(doc, {
+      eyebrow: 'BUNCA BAKERY',
+      title: 'Produktionsplan',
+      subtitle: 'Mengen je Backzeit, auf volle Bleche bzw. Chargen aufgerundet',
+      rightTop: station.stationName || 'Ohne Station',
+      rightBottom: formatDate(orderDate),
+    });
+
+    const items = (station.slots || []).flatMap((slot) => slot.items || []);
+
+    drawInfoCards(doc, [
+      { label: 'STATION', value: station.stationName || 'Ohne Station' },
+      { label: 'START', value: station.startTime ? `${station.startTime} Uhr` : '—' },
+      { label: 'ARTIKEL', value: items.length },
+      { label: 'CHARGEN', value: items.reduce((sum, item) => sum + toNumber(item.batchCount, 0), 0) },
+    ]);
+
+    drawProductionPlanTable(doc, station.slots || []);
+  });
+
+  if (!stations.length) {
+    drawPageBackground(doc);
+    drawHeader(doc, {
+      eyebrow: 'BUNCA BAKERY',
+      title: 'Produktionsplan',
+      subtitle: 'Für dieses Datum gibt es keine freigegebenen Bestellungen',
+      rightBottom: formatDate(orderDate),
+    });
+  }
+
+  drawFooter(doc);
+  doc.end();
+}
+
+function buildShopStatementPdf(res, statement) {
+  const shop = statement?.shop || {};
+  const month = statement?.month || '';
+  const totals = statement?.totals || {};
+  const doc = createBaseDoc(`Abrechnung ${shop.name || ''} ${month}`.trim());
+  streamPdf(doc, res, `bakery-abrechnung-${shop.code || 'shop'}-${month || 'monat'}.pdf`);
+
+  drawPageBackground(doc);
+
+  drawHeader(doc, {
+    eyebrow: 'BUNCA BAKERY',
+    title: 'Monatsabrechnung',
+    subtitle: `Lieferungen vom ${formatDate(statement?.dateFrom)} bis ${formatDate(statement?.dateTo)} zu den bei Abgabe gültigen Preisen`,
+    rightTop: shop.name || '',
+    rightBottom: month,
+  });
+
+  drawInfoCards(doc, [
+    { label: 'SHOP', value: shop.name || '—' },
+    { label: 'MONAT', value: month || '—' },
+    { label: 'BESTELLUNGEN', value: toNumber(totals.orderCount, 0) },
+    { label: 'SUMME', value: formatMoney(totals.totalValue) },
+  ]);
+
+  drawStatementTable(
+    doc,
+    [
+      { label: 'Artikel', value: (item) => item.itemName },
+      { label: 'Menge', width: 90, align: 'center', value: (item) => `${formatQty(item.totalQty)} ${item.unit || ''}`.trim() },
+      { label: 'Einzelpreis', width: 100, align: 'right', value: (item) => (item.unitPrice == null ? 'ohne Preis' : formatMoney(item.unitPrice)) },
+      { label: 'Betrag', width: 110, align: 'right', bold: true, value: (item) => formatMoney(item.totalValue) },
+    ],
+    statement?.items || []
+  );
+
+  doc.y += 8;
+
+  drawStatementTable(
+    doc,
+    [
+      { label: 'Lieferdatum', value: (order) => formatDate(order.orderDate) },
+      { label: 'Bestell-Nr.', width: 100, align: 'center', value: (order) => order.orderId },
+      { label: 'Menge', width: 90, align: 'center', value: (order) => formatQty(order.totalQty) },
+      { label: 'Betrag', width: 110, align: 'right', bold: true, value: (order) => formatMoney(order.totalValue) },
+    ],
+    statement?.orders || []
+  );
+
+  ensureSpace(doc, 60);
+  doc.y += 6;
+
+  doc.fillColor('#2f241c')
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .text(`Gesamtbetrag: ${formatMoney(totals.totalValue)}`, 42, doc.y, {
+      width: doc.page.width - 84,
+      align: 'right',
+    });
+
+  if (toNumber(totals.unpricedLineCount, 0) > 0) {
+    doc.fillColor('#9b3d2f')
+      .font('Helvetica')
+      .fontSize(9)
+      .text(
+        `${toNumber(totals.unpricedLineCount, 0)} Positionen ohne hinterlegten Preis sind nicht im Gesamtbetrag enthalten.`,
+        42,
+        doc.y + 6,
+        { width: doc.page.width - 84, align: 'right' }
+      );
+  }
+
+  drawFooter(doc);
+  doc.end();
+}
+
+function buildDeliveryNotePdf(res, orders = [], options = {}) {
+  const list = Array.isArray(orders) ? orders : [orders];
+  const orderDate = options.orderDate || list[0]?.orderDate || '';
+  const filename = list.length === 1
+    ? `bakery-lieferschein-${list[0]?.shopCode || 'shop'}-${orderDate || 'datum'}.pdf`
+    : `bakery-lieferscheine-${orderDate || 'datum'}.pdf`;
+  const doc = createBaseDoc(`Lieferschein ${orderDate}`);
+  streamPdf(doc, res, filename);
+
+  list.forEach((order, index) => {
+    if (index > 0) {
+      doc.addPage();
+    }
+
+    drawPageBackground(doc);
+
+    drawHeader(doc, {
+      eyebrow: 'BUNCA BAKERY',
+      title: 'Lieferschein',
+      subtitle: 'Gelieferte Mengen bei Übergabe prüfen und gegenzeichnen',
+      rightTop: order?.shopName || '',
+      rightBottom: formatDate(order?.orderDate),
+    });
+
+    const lines = order?.lines || [];
+    const totalOrdered = lines.reduce((sum, line) => sum + toNumber(line.orderedQty, 0), 0);
+
+    drawInfoCards(doc, [
+      { label: 'SHOP', value: order?.shopName || '—' },
+      { label: 'LIEFERDATUM', value: formatDate(order?.orderDate) || '—' },
+      { label: 'BESTELL-NR.', value: order?.id || '—' },
+      { label: 'MENGE', value: totalOrdered },
+    ]);
+
+    drawDeliveryTable(doc, groupLinesByCategory(lines));
+    drawSignatureFields(doc, ['Fahrer', 'Shop / Empfänger']);
+  });
+
+  if (!list.length) {
+    drawPageBackground(doc);
+    drawHeader(doc, {
+      eyebrow: 'BUNCA BAKERY',
+      title: 'Lieferschein',
+      subtitle: 'Für dieses Datum gibt es keine Bestellungen zur Auslieferung',
+      rightBottom: formatDate(orderDate),
+    });
+  }
+
+  drawFooter(doc);
+  doc.end();
+}
+
 module.exports = {
   buildOrderPdf,
   buildProductionPdf,
+  buildIngredientRequirementsPdf,
+  buildProductionPlanPdf,
+  buildShopStatementPdf,
+  buildDeliveryNotePdf,
 };